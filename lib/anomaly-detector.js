@@ -2,24 +2,78 @@
 const EventEmitter = require('events');
 
 const SEVERITY = {
-    cpu_spike:     'high',
-    heap_growth:   'high',
-    loop_block:    'critical',
-    traffic_drop:  'critical',
-    traffic_spike: 'medium',
     user_fixed:    'medium',
     user_statistical: 'medium'
 };
 
+// Built-in pattern defaults; rows in `builtin_patterns` override them per field.
+//   cpu_spike      process CPU % sustained for window_s
+//   heap_growth    heap slope in MB/min, fitted over the last window_s
+//   loop_block     event loop lag in ms sustained for window_s
+//   traffic_drop   % below the message average of the last window_s
+//   traffic_spike  σ above the message average of the last window_s
+//   cpu_throttle   % of cgroup CPU periods throttled, sustained for window_s
+//   oom_risk       cgroup working set as % of memory.max, sustained for window_s
+//                  (an OOM kill in the container fires it at once)
+const BUILTIN_PATTERNS = {
+    cpu_spike:     { threshold: 90,  window_s: 60,  severity: 'high' },
+    heap_growth:   { threshold: 20,  window_s: 300, severity: 'high' },
+    loop_block:    { threshold: 500, window_s: 10,  severity: 'critical' },
+    traffic_drop:  { threshold: 90,  window_s: 300, severity: 'critical' },
+    traffic_spike: { threshold: 5,   window_s: 300, severity: 'medium' },
+    cpu_throttle:  { threshold: 25,  window_s: 60,  severity: 'high' },
+    oom_risk:      { threshold: 90,  window_s: 30,  severity: 'critical' }
+};
+
+// Patterns whose threshold is a percentage, so it cannot exceed 100
+const PERCENT_PATTERNS = new Set(['cpu_spike', 'traffic_drop', 'cpu_throttle', 'oom_risk']);
+
+/** Effective built-in pattern config: defaults merged with stored override rows. */
+function resolveBuiltinPatterns(rows = []) {
+    const out = {};
+    for (const [pattern, defaults] of Object.entries(BUILTIN_PATTERNS)) {
+        const row = rows.find(r => r.pattern === pattern) || {};
+        out[pattern] = {
+            enabled: row.enabled == null ? true : !!row.enabled,
+            threshold: row.threshold ?? defaults.threshold,
+            window_s: row.window_s ?? defaults.window_s,
+            severity: row.severity ?? defaults.severity,
+            capture: row.capture ?? null
+        };
+    }
+    return out;
+}
+
+// Comparison applied to a rule's value; statistical rules compare against
+// mean ± threshold·σ on the same side.
+const OPERATORS = {
+    gt:  (v, t) => v > t,
+    gte: (v, t) => v >= t,
+    lt:  (v, t) => v < t,
+    lte: (v, t) => v <= t
+};
+const OPERATOR_SYMBOLS = { gt: '>', gte: '≥', lt: '<', lte: '≤' };
+
+// Per-node metrics a rule can target, read from drainNodes() rows. A scope that
+// matches several nodes sums counts/rates and message-weights avg_process_ms.
+const NODE_METRICS = ['msg_rate', 'msg_count', 'avg_process_ms', 'error_count'];
+const SCOPE_FIELDS = { node: 'node_id', type: 'node_type', flow: 'flow_id' };
+
 class AnomalyDetector {
-    constructor({ store, collector, RED }) {
+    constructor({ store, collector, RED, notifier = null, profiler = null, resolveAfterMs = 60_000 }) {
         this._store = store;
         this._collector = collector;
         this._RED = RED;
+        this._notifier = notifier;          // NotifierManager (webhook / SMTP), optional
+        this._profiler = profiler;          // Profiler for rules / patterns with `capture`, optional
+        this._resolveAfterMs = resolveAfterMs;
 
         this._rules = [];
-        this._ruleWindows = new Map();      // rule_id → number[] (recent values for duration check)
-        this._cooldowns = new Map();        // key → { activeUntil }
+        this._breachStart = new Map();      // alarm key → ts the current unbroken breach began
+        this._lastSampleTs = null;
+        this._alarms = new Map();           // key → pending / firing alarm (resolved ones are dropped)
+        this._silences = [];                // unexpired silences, refreshed with the rules
+        this._patterns = resolveBuiltinPatterns();
 
         // Rolling buffer for statistical baseline: last 1800 samples per metric
         this._baseline = new Map();         // metric → number[]
@@ -42,6 +96,8 @@ class AnomalyDetector {
         if (this._RED && this._RED.events && this._RED.events.on) {
             this._onRulesChanged = () => this._loadRules();
             this._RED.events.on('rules:changed', this._onRulesChanged);
+            this._onSilencesChanged = () => this._loadSilences();
+            this._RED.events.on('silences:changed', this._onSilencesChanged);
         }
     }
 
@@ -51,6 +107,7 @@ class AnomalyDetector {
         clearInterval(this._reloadTimer);
         if (this._RED && this._RED.events && this._onRulesChanged) {
             this._RED.events.off('rules:changed', this._onRulesChanged);
+            this._RED.events.off('silences:changed', this._onSilencesChanged);
         }
     }
 
@@ -61,48 +118,215 @@ class AnomalyDetector {
             if (this._RED && this._RED.log) this._RED.log.warn(`[perf-monitor] anomaly: rule load failed: ${err.message}`);
             this._rules = [];
         }
-        // Remove rule windows for rules that no longer exist
+        // Forget breach timers and alarms of rules that no longer exist
         const activeIds = new Set(this._rules.map(r => r.id));
-        for (const k of this._ruleWindows.keys()) {
-            if (!activeIds.has(k)) this._ruleWindows.delete(k);
+        for (const key of [...this._breachStart.keys(), ...this._alarms.keys()]) {
+            if (key.startsWith('rule:') && !activeIds.has(Number(key.slice(5)))) this._dropAlarm(key, Date.now());
+        }
+        this._loadPatterns();
+        this._loadSilences();
+    }
+
+    _loadPatterns() {
+        try {
+            this._patterns = resolveBuiltinPatterns(this._store.getBuiltinPatterns());
+        } catch (err) {
+            if (this._RED && this._RED.log) this._RED.log.warn(`[perf-monitor] anomaly: pattern load failed: ${err.message}`);
+            this._patterns = resolveBuiltinPatterns();
+        }
+    }
+
+    _loadSilences() {
+        try {
+            this._silences = this._store.getSilences();
+        } catch (err) {
+            if (this._RED && this._RED.log) this._RED.log.warn(`[perf-monitor] anomaly: silence load failed: ${err.message}`);
+            this._silences = [];
         }
     }
 
-    _isInCooldown(key) {
-        const cd = this._cooldowns.get(key);
-        return cd && Date.now() < cd.activeUntil;
+    // A silence matches when every matcher it sets (pattern, metric, severity)
+    // equals the alert's; `pattern` also accepts the alarm key, e.g. `rule:3`.
+    _findSilence(alert, now = Date.now()) {
+        return this._silences.find(s =>
+            s.starts_at <= now && now < s.ends_at &&
+            (s.pattern == null || s.pattern === alert.pattern || s.pattern === alert.key) &&
+            (s.metric == null || s.metric === alert.metric) &&
+            (s.severity == null || s.severity === alert.severity)
+        ) || null;
+    }
+
+    /** Pending and firing alarms, oldest first, with their current silence (if any). */
+    getActiveAlarms() {
+        return Array.from(this._alarms.values())
+            .map(a => {
+                const silence = this._findSilence(a);
+                return { ...a, silenced: silence ? silence.id : null };
+            })
+            .sort((a, b) => a.since - b.since);
     }
 
-    _setCooldown(key, durationMs) {
-        const cooldownMs = Math.max(durationMs * 2, 60_000);
-        this._cooldowns.set(key, { activeUntil: Date.now() + cooldownMs });
+    /**
+     * Acknowledge a pending or firing alarm. The acknowledgement lasts until the
+     * alarm resolves. Returns the updated alarm, or null if `key` is not active.
+     */
+    acknowledge(key, { user = null, comment = null } = {}) {
+        const alarm = this._alarms.get(key);
+        if (!alarm) return null;
+        const ts = Date.now();
+        alarm.ack = { user, comment, ts };
+        try {
+            this._store.insertAlarmAck({ ts, alarm_key: key, user, comment });
+        } catch (err) {
+            if (this._RED && this._RED.log) this._RED.log.warn(`[perf-monitor] anomaly: ack not stored: ${err.message}`);
+        }
+        return this.getActiveAlarms().find(a => a.key === key);
+    }
+
+    // Alarm lifecycle per rule / pattern key:
+    //   (inactive) → pending   condition breaching, duration not yet satisfied
+    //   pending    → firing    duration satisfied — the anomaly alert goes out
+    //   firing     → resolved  condition clear for resolveAfterMs — a resolved alert goes out
+    //   pending    → inactive  condition cleared before it ever fired
+    // `makeAlert` builds the anomaly alert lazily, only when the alarm fires.
+    _updateAlarm({ key, pattern, metric, severity, ts, value, breaching, satisfied }, makeAlert) {
+        const alarm = this._alarms.get(key);
+        const state = alarm ? alarm.state : 'inactive';
+
+        if (state === 'firing') {
+            alarm.value = value;
+            if (breaching) {
+                alarm.clearSince = null;
+                return;
+            }
+            if (alarm.clearSince == null) alarm.clearSince = ts;
+            if (ts - alarm.clearSince >= this._resolveAfterMs) this._resolveAlarm(alarm, ts);
+            return;
+        }
+
+        if (!breaching) {
+            if (alarm) this._dropAlarm(key, ts);
+            return;
+        }
+
+        if (satisfied) {
+            const alert = makeAlert();
+            const firing = {
+                key, pattern, metric, severity, state: 'firing',
+                since: alarm ? alarm.since : ts,
+                firedAt: ts, clearSince: null, ack: alarm ? alarm.ack : null,
+                value, threshold: alert.threshold, message: alert.message
+            };
+            this._alarms.set(key, firing);
+            this._recordTransition(firing, state, ts);
+            const capture = this._startCapture(key, pattern);
+            this._fireAlert({ ...alert, key, ...(capture ? { capture } : {}) });
+        } else if (!alarm) {
+            const pending = { key, pattern, metric, severity, state: 'pending', since: ts, firedAt: null, clearSince: null, ack: null, value };
+            this._alarms.set(key, pending);
+            this._recordTransition(pending, 'inactive', ts);
+        } else {
+            alarm.value = value;
+        }
+    }
+
+    // Evidence for a firing alarm: the heap snapshot / CPU profile its rule or
+    // pattern asks for. Returns the capture kind when one was started.
+    _startCapture(key, pattern) {
+        if (!this._profiler) return null;
+        let kind = null;
+        if (key.startsWith('rule:')) {
+            const rule = this._rules.find(r => `rule:${r.id}` === key);
+            kind = rule ? rule.capture : null;
+        } else if (this._patterns[pattern]) {
+            kind = this._patterns[pattern].capture;
+        }
+        if (!kind) return null;
+        return this._profiler.captureForAlarm(kind, { key, pattern }) ? kind : null;
+    }
+
+    _resolveAlarm(alarm, ts) {
+        this._alarms.delete(alarm.key);
+        const from = alarm.state;
+        alarm.state = 'resolved';
+        this._recordTransition(alarm, from, ts);
+        const durationMs = ts - alarm.firedAt;
+        this._fireAlert({
+            ts, kind: 'resolved', key: alarm.key, pattern: alarm.pattern, metric: alarm.metric,
+            value: alarm.value, threshold: alarm.threshold, severity: alarm.severity,
+            firedAt: alarm.firedAt, durationMs,
+            message: `Resolved: ${alarm.pattern} (${alarm.metric}) back within threshold after ${Math.round(durationMs / 1000)}s.`
+        });
+    }
+
+    // Forget an alarm without a resolved alert (never fired, or its rule went away).
+    _dropAlarm(key, ts) {
+        this._breachStart.delete(key);
+        const alarm = this._alarms.get(key);
+        if (!alarm) return;
+        this._alarms.delete(key);
+        const from = alarm.state;
+        alarm.state = 'inactive';
+        this._recordTransition(alarm, from, ts);
+    }
+
+    _recordTransition(alarm, fromState, ts) {
+        try {
+            this._store.insertAlarmTransition({
+                ts, alarm_key: alarm.key, pattern: alarm.pattern, metric: alarm.metric,
+                severity: alarm.severity, from_state: fromState, to_state: alarm.state, value: alarm.value
+            });
+        } catch (err) {
+            if (this._RED && this._RED.log) this._RED.log.warn(`[perf-monitor] anomaly: alarm transition not stored: ${err.message}`);
+        }
     }
 
     _fireAlert(alert) {
+        const resolved = alert.kind === 'resolved';
+        const silence = this._findSilence(alert);
+        if (silence) alert.silenced = silence.id;
+
         // Persist
         try {
-            this._store.insertEvent({ ts: alert.ts, kind: 'anomaly', detail: alert });
+            this._store.insertEvent({ ts: alert.ts, kind: resolved ? 'resolved' : 'anomaly', detail: alert });
         } catch (err) {
             if (this._RED && this._RED.log) this._RED.log.warn(`[perf-monitor] anomaly: insertEvent failed: ${err.message}`);
         }
 
         // RED notification bar
-        if (this._RED && this._RED.events) {
+        if (!silence && this._RED && this._RED.events) {
             try {
                 this._RED.events.emit('runtime-event', {
                     id: 'perf-monitor:anomaly',
                     retain: false,
-                    payload: { type: 'warning', text: alert.message }
+                    payload: { type: resolved ? 'success' : 'warning', text: alert.message }
                 });
             } catch (_) {}
         }
 
-        // Flow node output
-        if (this._collector) {
+        // Flow node output; a silence mutes flows as well as notifications
+        if (!silence && this._collector) {
             try {
                 this._collector.emitAlarm(alert);
             } catch (_) {}
         }
+
+        // External channels — independent of flows, which may be what is broken
+        if (!silence && this._notifier) {
+            this._notifier.notify(alert).catch(() => {});
+        }
+    }
+
+    // Duration check on sample timestamps, so `durationMs` is wall time at any poll
+    // rate. A breaching sample stands for the whole interval since the previous
+    // one, hence the breach is taken to start one interval before it was seen.
+    _sustained(key, breaching, ts, durationMs, intervalMs) {
+        if (!breaching) {
+            this._breachStart.delete(key);
+            return false;
+        }
+        if (!this._breachStart.has(key)) this._breachStart.set(key, ts - intervalMs);
+        return ts - this._breachStart.get(key) >= durationMs;
     }
 
     _updateBaseline(metric, value) {
@@ -126,84 +350,133 @@ class AnomalyDetector {
             if (system[metric] != null) this._updateBaseline(metric, system[metric]);
         }
 
+        // Interval this sample covers; the first one assumes the configured poll rate
+        const intervalMs = this._lastSampleTs != null && ts > this._lastSampleTs
+            ? ts - this._lastSampleTs
+            : (this._collector && this._collector.pollInterval) || 2000;
+        this._lastSampleTs = ts;
+
         // ── User-defined alarm rules ─────────────────────────────────────
         for (const rule of this._rules) {
             // Skip builtin-disable rules (metric starts with 'builtin:')
             if (rule.metric.startsWith('builtin:')) continue;
             try {
-                this._evaluateUserRule(rule, system, ts);
+                this._evaluateUserRule(rule, system, ts, nodes, intervalMs);
             } catch (err) {
                 if (this._RED && this._RED.log) this._RED.log.warn(`[perf-monitor] anomaly: rule ${rule.id} eval error: ${err.message}`);
             }
         }
 
         // ── Built-in security patterns ────────────────────────────────────
+        // Disabled via builtin_patterns, or by a legacy `builtin:<pattern>` rule row
         const builtinDisabled = new Set(
             this._store.getAlarmRules()
                 .filter(r => r.metric.startsWith('builtin:') && r.enabled === 0)
                 .map(r => r.metric.replace('builtin:', ''))
         );
+        for (const [pattern, cfg] of Object.entries(this._patterns)) {
+            if (!cfg.enabled) builtinDisabled.add(pattern);
+        }
+        for (const pattern of builtinDisabled) this._dropAlarm(`builtin:${pattern}`, ts);
 
-        if (!builtinDisabled.has('cpu_spike'))    this._evalCpuSpike(system, ts);
+        if (!builtinDisabled.has('cpu_spike'))    this._evalCpuSpike(system, ts, intervalMs);
         if (!builtinDisabled.has('heap_growth'))  this._evalHeapGrowth(system, ts);
-        if (!builtinDisabled.has('loop_block'))   this._evalLoopBlock(system, ts);
-        if (!builtinDisabled.has('traffic_drop') && !builtinDisabled.has('traffic_spike')) {
-            this._evalTrafficAnomalies(system, nodes, ts);
+        if (!builtinDisabled.has('loop_block'))   this._evalLoopBlock(system, ts, intervalMs);
+        if (!builtinDisabled.has('traffic_drop') || !builtinDisabled.has('traffic_spike')) {
+            this._evalTrafficAnomalies(system, nodes, ts, builtinDisabled);
         }
+        if (!builtinDisabled.has('cpu_throttle')) this._evalCpuThrottle(system, ts, intervalMs);
+        if (!builtinDisabled.has('oom_risk'))     this._evalOomRisk(system, ts, intervalMs);
+    }
+
+    /** Effective threshold / window / severity / enabled for each built-in pattern. */
+    getBuiltinPatterns() {
+        return this._patterns;
     }
 
-    _evaluateUserRule(rule, system, ts) {
-        const value = system[rule.metric];
-        if (value == null) return;
+    // Value a rule looks at for this sample: a system column, or a per-node
+    // metric aggregated over the nodes in the rule's scope. Nodes absent from
+    // `nodes` were idle this interval, so counts and rates read as zero.
+    _ruleValue(rule, system, nodes, intervalMs) {
+        if (!NODE_METRICS.includes(rule.metric)) return system[rule.metric];
+
+        const field = SCOPE_FIELDS[rule.scope_type];
+        if (!field) return null;
+        const matched = nodes.filter(n => n[field] === rule.scope_value);
+        const msgs = matched.reduce((a, n) => a + (n.msg_count || 0), 0);
+        switch (rule.metric) {
+            case 'msg_count':   return msgs;
+            case 'msg_rate':    return msgs / (intervalMs / 1000);
+            case 'error_count': return matched.reduce((a, n) => a + (n.error_count || 0), 0);
+            case 'avg_process_ms':
+                if (msgs === 0) return null;
+                return matched.reduce((a, n) => a + (n.avg_process_ms || 0) * (n.msg_count || 0), 0) / msgs;
+        }
+        return null;
+    }
+
+    _describeRule(rule) {
+        return rule.scope_type ? `${rule.metric} [${rule.scope_type} ${rule.scope_value}]` : rule.metric;
+    }
+
+    _evaluateUserRule(rule, system, ts, nodes = [], intervalMs = 2000) {
+        const value = this._ruleValue(rule, system, nodes, intervalMs);
         if (!Number.isFinite(rule.threshold)) return;
 
-        const pollInterval = 2000;
-        const windowSize = Math.max(1, Math.ceil((rule.duration_s * 1000) / pollInterval));
+        const key = `rule:${rule.id}`;
+        const severity = rule.mode === 'fixed' ? SEVERITY.user_fixed : SEVERITY.user_statistical;
+        if (value == null) {
+            // Nothing to compare (e.g. avg_process_ms while the scoped nodes are
+            // idle) counts as clear, so a firing alarm can still resolve
+            this._sustained(key, false, ts, 0, intervalMs);
+            this._updateAlarm({ key, pattern: key, metric: rule.metric, severity, ts, value, breaching: false, satisfied: false }, null);
+            return;
+        }
+
+        const operator = OPERATORS[rule.operator] ? rule.operator : 'gt';
+        const compare = OPERATORS[operator];
+        const below = operator === 'lt' || operator === 'lte';
 
-        if (!this._ruleWindows.has(rule.id)) this._ruleWindows.set(rule.id, []);
-        const window = this._ruleWindows.get(rule.id);
+        // Scoped rules keep their own baseline; system metrics share one per column
+        const baselineKey = rule.scope_type ? `rule:${rule.id}` : rule.metric;
+        if (rule.scope_type) this._updateBaseline(baselineKey, value);
 
         let breaching;
         if (rule.mode === 'fixed') {
-            breaching = value > rule.threshold;
+            breaching = compare(value, rule.threshold);
         } else {
             // statistical
-            const stats = this._baselineStats(rule.metric);
+            const stats = this._baselineStats(baselineKey);
             if (!stats) {
                 // fallback to fixed when baseline not yet established
-                breaching = rule.threshold != null && value > rule.threshold;
+                breaching = rule.threshold != null && compare(value, rule.threshold);
             } else {
-                breaching = value > stats.mean + rule.threshold * stats.std;
+                const bound = below
+                    ? stats.mean - rule.threshold * stats.std
+                    : stats.mean + rule.threshold * stats.std;
+                breaching = compare(value, bound);
             }
         }
 
-        window.push(breaching ? 1 : 0);
-        if (window.length > windowSize) window.shift();
-
-        if (window.length < windowSize) return;
-        const allBreaching = window.every(v => v === 1);
-        if (!allBreaching) return;
-
-        const key = `rule:${rule.id}`;
-        if (this._isInCooldown(key)) return;
-        this._setCooldown(key, rule.duration_s * 1000);
-
-        const deployNearby = this._checkDeployNearby(ts);
-
-        const alert = {
+        const label = this._describeRule(rule);
+        this._updateAlarm({
+            key, pattern: key, metric: rule.metric, severity, ts, value, breaching,
+            satisfied: this._sustained(key, breaching, ts, rule.duration_s * 1000, intervalMs)
+        }, () => ({
             ts,
             kind: 'anomaly',
             pattern: key,
             metric: rule.metric,
+            scope: rule.scope_type ? { type: rule.scope_type, value: rule.scope_value } : null,
             value,
             threshold: rule.threshold,
+            operator,
             mode: rule.mode,
             durationMs: rule.duration_s * 1000,
-            severity: rule.mode === 'fixed' ? SEVERITY.user_fixed : SEVERITY.user_statistical,
-            message: `${rule.metric} ${value.toFixed(2)} sustained for ${rule.duration_s}s (threshold: ${rule.threshold}, mode: ${rule.mode}).`,
-            deployNearby
-        };
-        this._fireAlert(alert);
+            severity,
+            message: `${label} ${value.toFixed(2)} sustained for ${rule.duration_s}s (threshold: ${OPERATOR_SYMBOLS[operator]} ${rule.threshold}, mode: ${rule.mode}).`,
+            deployNearby: this._checkDeployNearby(ts)
+        }));
     }
 
     _checkDeployNearby(ts) {
@@ -213,53 +486,50 @@ class AnomalyDetector {
         } catch (_) { return false; }
     }
 
-    // Built-in: CPU spike ≥ 90% for 60s
-    _evalCpuSpike(system, ts) {
-        const threshold = 90, duration_s = 60;
-        const windowSize = Math.ceil((duration_s * 1000) / 2000);
-        if (!this._cpuWindow) this._cpuWindow = [];
-        this._cpuWindow.push(system.proc_cpu_pct > threshold ? 1 : 0);
-        if (this._cpuWindow.length > windowSize) this._cpuWindow.shift();
-        if (this._cpuWindow.length < windowSize) return;
-        if (!this._cpuWindow.every(v => v === 1)) return;
+    // Built-in: process CPU above threshold (default 90%) for window_s (default 60s)
+    _evalCpuSpike(system, ts, intervalMs) {
+        const { threshold, window_s: duration_s, severity } = this._patterns.cpu_spike;
+        const breaching = system.proc_cpu_pct > threshold;
 
-        const key = 'builtin:cpu_spike';
-        if (this._isInCooldown(key)) return;
-        this._setCooldown(key, duration_s * 1000);
-        this._fireAlert({
+        this._updateAlarm({
+            key: 'builtin:cpu_spike', pattern: 'cpu_spike', metric: 'proc_cpu_pct', severity,
+            ts, value: system.proc_cpu_pct, breaching,
+            satisfied: this._sustained('builtin:cpu_spike', breaching, ts, duration_s * 1000, intervalMs)
+        }, () => ({
             ts, kind: 'anomaly', pattern: 'cpu_spike', metric: 'proc_cpu_pct',
             value: system.proc_cpu_pct, threshold,
             mode: 'fixed', durationMs: duration_s * 1000,
-            severity: SEVERITY.cpu_spike,
+            severity,
             message: `Process CPU ${system.proc_cpu_pct.toFixed(1)}% sustained for ${duration_s}s (threshold: ${threshold}%). Possible crypto-mining.`,
             deployNearby: this._checkDeployNearby(ts)
-        });
+        }));
     }
 
-    // Built-in: heap linear slope > 20 MB/min over 5-min window
+    // Built-in: heap linear slope ≥ threshold (default 20 MB/min) over window_s (default 5 min)
     _evalHeapGrowth(system, ts) {
-        const SLOPE_LIMIT_MB_PER_MIN = 20;
-        const WINDOW_MS = 5 * 60_000;
+        const { threshold: SLOPE_LIMIT_MB_PER_MIN, window_s, severity } = this._patterns.heap_growth;
+        const WINDOW_MS = window_s * 1000;
+        const MIN_SPAN_MS = 20_000;         // fit a slope only over ≥ 20s of history
         this._heapWindow.push({ ts, value: system.proc_heap_used });
         while (this._heapWindow.length > 0 && ts - this._heapWindow[0].ts > WINDOW_MS) {
             this._heapWindow.shift();
         }
-        if (this._heapWindow.length < 10) return;
+        if (this._heapWindow.length < 3 || ts - this._heapWindow[0].ts < MIN_SPAN_MS) return;
 
         const slope = this._linearSlopeMBPerMin(this._heapWindow);
-        if (slope < SLOPE_LIMIT_MB_PER_MIN) return;
+        const breaching = slope >= SLOPE_LIMIT_MB_PER_MIN;
 
-        const key = 'builtin:heap_growth';
-        if (this._isInCooldown(key)) return;
-        this._setCooldown(key, WINDOW_MS);
-        this._fireAlert({
+        this._updateAlarm({
+            key: 'builtin:heap_growth', pattern: 'heap_growth', metric: 'proc_heap_used', severity,
+            ts, value: system.proc_heap_used, breaching, satisfied: breaching
+        }, () => ({
             ts, kind: 'anomaly', pattern: 'heap_growth', metric: 'proc_heap_used',
             value: system.proc_heap_used, threshold: SLOPE_LIMIT_MB_PER_MIN,
             mode: 'fixed', durationMs: WINDOW_MS,
-            severity: SEVERITY.heap_growth,
-            message: `Heap growing at ${slope.toFixed(1)} MB/min over last 5 min (limit: ${SLOPE_LIMIT_MB_PER_MIN} MB/min). Possible memory leak.`,
+            severity,
+            message: `Heap growing at ${slope.toFixed(1)} MB/min over last ${_formatWindow(window_s)} (limit: ${SLOPE_LIMIT_MB_PER_MIN} MB/min). Possible memory leak.`,
             deployNearby: this._checkDeployNearby(ts)
-        });
+        }));
     }
 
     _linearSlopeMBPerMin(points) {
@@ -274,75 +544,140 @@ class AnomalyDetector {
         return den === 0 ? 0 : num / den;
     }
 
-    // Built-in: event loop lag > 500ms for 10s
-    _evalLoopBlock(system, ts) {
-        const threshold = 500, duration_s = 10;
-        const windowSize = Math.ceil((duration_s * 1000) / 2000);
-        if (!this._lagWindow) this._lagWindow = [];
-        this._lagWindow.push(system.event_loop_lag > threshold ? 1 : 0);
-        if (this._lagWindow.length > windowSize) this._lagWindow.shift();
-        if (this._lagWindow.length < windowSize) return;
-        if (!this._lagWindow.every(v => v === 1)) return;
+    // Built-in: event loop lag above threshold (default 500ms) for window_s (default 10s)
+    _evalLoopBlock(system, ts, intervalMs) {
+        const { threshold, window_s: duration_s, severity } = this._patterns.loop_block;
+        const breaching = system.event_loop_lag > threshold;
 
-        const key = 'builtin:loop_block';
-        if (this._isInCooldown(key)) return;
-        this._setCooldown(key, duration_s * 1000);
-        this._fireAlert({
+        this._updateAlarm({
+            key: 'builtin:loop_block', pattern: 'loop_block', metric: 'event_loop_lag', severity,
+            ts, value: system.event_loop_lag, breaching,
+            satisfied: this._sustained('builtin:loop_block', breaching, ts, duration_s * 1000, intervalMs)
+        }, () => ({
             ts, kind: 'anomaly', pattern: 'loop_block', metric: 'event_loop_lag',
             value: system.event_loop_lag, threshold,
             mode: 'fixed', durationMs: duration_s * 1000,
-            severity: SEVERITY.loop_block,
+            severity,
             message: `Event loop blocked ${system.event_loop_lag.toFixed(0)}ms for ${duration_s}s (threshold: ${threshold}ms). Possible DoS.`,
             deployNearby: this._checkDeployNearby(ts)
-        });
+        }));
+    }
+
+    // Built-in: cgroup CPU throttled in more than threshold (default 25%) of periods
+    // for window_s (default 60s). No-op outside a cgroup v2 container.
+    _evalCpuThrottle(system, ts, intervalMs) {
+        if (system.cg_cpu_throttled_pct == null) return;
+        const { threshold, window_s: duration_s, severity } = this._patterns.cpu_throttle;
+        const breaching = system.cg_cpu_throttled_pct > threshold;
+
+        this._updateAlarm({
+            key: 'builtin:cpu_throttle', pattern: 'cpu_throttle', metric: 'cg_cpu_throttled_pct', severity,
+            ts, value: system.cg_cpu_throttled_pct, breaching,
+            satisfied: this._sustained('builtin:cpu_throttle', breaching, ts, duration_s * 1000, intervalMs)
+        }, () => ({
+            ts, kind: 'anomaly', pattern: 'cpu_throttle', metric: 'cg_cpu_throttled_pct',
+            value: system.cg_cpu_throttled_pct, threshold,
+            mode: 'fixed', durationMs: duration_s * 1000,
+            severity,
+            message: `Container CPU throttled in ${system.cg_cpu_throttled_pct.toFixed(1)}% of periods for ${duration_s}s (threshold: ${threshold}%). The CPU limit is too low for the load.`,
+            deployNearby: this._checkDeployNearby(ts)
+        }));
     }
 
-    // Built-in: traffic drop (90% vs 5-min avg) and traffic spike (baseline + 5σ)
-    _evalTrafficAnomalies(system, nodes, ts) {
+    // Built-in: cgroup working set above threshold (default 90%) of memory.max for
+    // window_s (default 30s), or any OOM kill in the container during the interval.
+    _evalOomRisk(system, ts, intervalMs) {
+        const kills = system.cg_oom_kills || 0;
+        // Without memory.max there is nothing to measure, but an alarm raised by
+        // a kill must still see the clear samples that resolve it
+        if (system.cg_mem_pct == null && !kills && !this._alarms.has('builtin:oom_risk')) return;
+        const { threshold, window_s: duration_s, severity } = this._patterns.oom_risk;
+        const value = system.cg_mem_pct;
+        const breaching = kills > 0 || value > threshold;
+        const sustained = this._sustained('builtin:oom_risk', breaching, ts, duration_s * 1000, intervalMs);
+
+        this._updateAlarm({
+            key: 'builtin:oom_risk', pattern: 'oom_risk', metric: 'cg_mem_pct', severity,
+            ts, value, breaching, satisfied: kills > 0 || sustained
+        }, () => ({
+            ts, kind: 'anomaly', pattern: 'oom_risk', metric: 'cg_mem_pct',
+            value, threshold,
+            mode: 'fixed', durationMs: duration_s * 1000,
+            severity,
+            message: kills > 0
+                ? `OOM killer ended ${kills} process${kills === 1 ? '' : 'es'} in the container${value != null ? ` at ${value.toFixed(1)}% of memory.max` : ''}.`
+                : `Container working set at ${value.toFixed(1)}% of memory.max for ${duration_s}s (threshold: ${threshold}%). OOM kill imminent.`,
+            deployNearby: this._checkDeployNearby(ts)
+        }));
+    }
+
+    // Built-in: traffic drop (default 90% below the window average) and traffic
+    // spike (default average + 5σ); each pattern averages over its own window_s.
+    _evalTrafficAnomalies(system, nodes, ts, disabled = new Set()) {
         const totalMsgs = nodes.reduce((a, n) => a + (n.msg_count || 0), 0);
-        const WINDOW_MS = 5 * 60_000;
+        const drop = this._patterns.traffic_drop;
+        const spike = this._patterns.traffic_spike;
+        const WINDOW_MS = Math.max(drop.window_s, spike.window_s) * 1000;
         this._trafficWindow.push({ ts, count: totalMsgs });
         while (this._trafficWindow.length > 0 && ts - this._trafficWindow[0].ts > WINDOW_MS) {
             this._trafficWindow.shift();
         }
-        if (this._trafficWindow.length < 5) return;
 
-        const counts = this._trafficWindow.map(p => p.count);
-        const avg = counts.reduce((a, v) => a + v, 0) / counts.length;
-        const std = Math.sqrt(counts.reduce((a, v) => a + (v - avg) ** 2, 0) / counts.length);
+        const stats = (window_s) => {
+            const counts = this._trafficWindow.filter(p => ts - p.ts <= window_s * 1000).map(p => p.count);
+            if (counts.length < 5) return null;
+            const avg = counts.reduce((a, v) => a + v, 0) / counts.length;
+            const std = Math.sqrt(counts.reduce((a, v) => a + (v - avg) ** 2, 0) / counts.length);
+            return { avg, std };
+        };
 
         // Drop
-        if (avg > 0 && totalMsgs < avg * 0.1) {
-            const key = 'builtin:traffic_drop';
-            if (!this._isInCooldown(key)) {
-                this._setCooldown(key, 30_000);
-                this._fireAlert({
-                    ts, kind: 'anomaly', pattern: 'traffic_drop', metric: 'msg_count',
-                    value: totalMsgs, threshold: avg * 0.1,
-                    mode: 'fixed', durationMs: 30_000,
-                    severity: SEVERITY.traffic_drop,
-                    message: `Message throughput dropped to ${totalMsgs} (90% below 5-min avg ${avg.toFixed(0)}). Possible crash or kill signal.`,
-                    deployNearby: this._checkDeployNearby(ts)
-                });
-            }
+        const dropStats = !disabled.has('traffic_drop') && stats(drop.window_s);
+        if (dropStats) {
+            const { avg } = dropStats;
+            const floor = avg * (1 - drop.threshold / 100);
+            const dropping = avg > 0 && totalMsgs < floor;
+            this._updateAlarm({
+                key: 'builtin:traffic_drop', pattern: 'traffic_drop', metric: 'msg_count', severity: drop.severity,
+                ts, value: totalMsgs, breaching: dropping, satisfied: dropping
+            }, () => ({
+                ts, kind: 'anomaly', pattern: 'traffic_drop', metric: 'msg_count',
+                value: totalMsgs, threshold: floor,
+                mode: 'fixed', durationMs: drop.window_s * 1000,
+                severity: drop.severity,
+                message: `Message throughput dropped to ${totalMsgs} (${drop.threshold}% below ${_formatWindow(drop.window_s)} avg ${avg.toFixed(0)}). Possible crash or kill signal.`,
+                deployNearby: this._checkDeployNearby(ts)
+            }));
         }
 
         // Spike
-        if (std > 0 && totalMsgs > avg + 5 * std) {
-            const key = 'builtin:traffic_spike';
-            if (!this._isInCooldown(key)) {
-                this._setCooldown(key, 30_000);
-                this._fireAlert({
-                    ts, kind: 'anomaly', pattern: 'traffic_spike', metric: 'msg_count',
-                    value: totalMsgs, threshold: avg + 5 * std,
-                    mode: 'statistical', durationMs: 30_000,
-                    severity: SEVERITY.traffic_spike,
-                    message: `Message throughput ${totalMsgs} is baseline + 5σ (avg=${avg.toFixed(0)}, σ=${std.toFixed(0)}).`,
-                    deployNearby: this._checkDeployNearby(ts)
-                });
-            }
+        const spikeStats = !disabled.has('traffic_spike') && stats(spike.window_s);
+        if (spikeStats) {
+            const { avg, std } = spikeStats;
+            const ceiling = avg + spike.threshold * std;
+            const spiking = std > 0 && totalMsgs > ceiling;
+            this._updateAlarm({
+                key: 'builtin:traffic_spike', pattern: 'traffic_spike', metric: 'msg_count', severity: spike.severity,
+                ts, value: totalMsgs, breaching: spiking, satisfied: spiking
+            }, () => ({
+                ts, kind: 'anomaly', pattern: 'traffic_spike', metric: 'msg_count',
+                value: totalMsgs, threshold: ceiling,
+                mode: 'statistical', durationMs: spike.window_s * 1000,
+                severity: spike.severity,
+                message: `Message throughput ${totalMsgs} is baseline + ${spike.threshold}σ (avg=${avg.toFixed(0)}, σ=${std.toFixed(0)}).`,
+                deployNearby: this._checkDeployNearby(ts)
+            }));
         }
     }
 }
 
+function _formatWindow(window_s) {
+    return window_s % 60 === 0 ? `${window_s / 60} min` : `${window_s}s`;
+}
+
 module.exports = AnomalyDetector;
+module.exports.BUILTIN_PATTERNS = BUILTIN_PATTERNS;
+module.exports.PERCENT_PATTERNS = PERCENT_PATTERNS;
+module.exports.resolveBuiltinPatterns = resolveBuiltinPatterns;
+module.exports.NODE_METRICS = NODE_METRICS;
+module.exports.OPERATORS = Object.keys(OPERATORS);
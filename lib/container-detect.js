@@ -1,6 +1,26 @@
 const os = require('os');
 const fs = require('fs');
+const path = require('path');
 
+const CGROUP_MOUNT = '/sys/fs/cgroup';
+const PROC_SELF_CGROUP = '/proc/self/cgroup';
+
+// Limit files, relative to the process's cgroup directory
+const CGROUP_V2_FILES = {
+    memoryMax: 'memory.max',
+    memoryCurrent: 'memory.current',
+    cpuMax: 'cpu.max'
+};
+
+// cgroup v1 mounts one hierarchy per controller (CGROUP_MOUNT/memory, CGROUP_MOUNT/cpu)
+const CGROUP_V1_FILES = {
+    memoryLimit: 'memory.limit_in_bytes',
+    memoryUsage: 'memory.usage_in_bytes',
+    cpuQuota: 'cpu.cfs_quota_us',
+    cpuPeriod: 'cpu.cfs_period_us'
+};
+
+// The same files at the root of the cgroup mount
 const CGROUP_V2_PATHS = {
     memoryMax: '/sys/fs/cgroup/memory.max',
     memoryCurrent: '/sys/fs/cgroup/memory.current',
@@ -13,13 +33,104 @@ const CGROUP_V1_PATHS = {
     cpuQuota: '/sys/fs/cgroup/cpu/cpu.cfs_quota_us',
     cpuPeriod: '/sys/fs/cgroup/cpu/cpu.cfs_period_us'
 };
+const V1_UNLIMITED = 9223372036854771712;
 
 let cached = null;
 
-function detectContainerEnvironment({ force = false } = {}) {
+/**
+ * /proc/self/cgroup text → the process's cgroup, relative to each hierarchy:
+ * `{ v2: '/system.slice/node-red.service', v1: { memory: '/docker/…', cpu: … } }`.
+ */
+function parseProcCgroup(text) {
+    const out = { v2: null, v1: {} };
+    for (const line of (text || '').split('\n')) {
+        const m = /^(\d+):([^:]*):(.+)$/.exec(line.trim());
+        if (!m) continue;
+        if (m[1] === '0' && m[2] === '') out.v2 = m[3];
+        else for (const controller of m[2].split(',')) out.v1[controller] = m[3];
+    }
+    return out;
+}
+
+// Directory of the process's cgroup under `base`. Inside a container with its own
+// cgroup namespace the relative path is `/`; without one it is the host's path,
+// which is usually not mounted in the container, so fall back to the mount root.
+function _cgroupDir(base, rel) {
+    if (rel && rel !== '/') {
+        const dir = path.join(base, rel);
+        if (fs.existsSync(dir)) return dir;
+    }
+    return base;
+}
+
+// `dir` and each parent up to and including `base`
+function _ancestors(dir, base) {
+    const out = [dir];
+    while (dir !== base && dir.startsWith(base + path.sep)) {
+        dir = path.dirname(dir);
+        out.push(dir);
+    }
+    return out;
+}
+
+// Tightest limit along the hierarchy: a systemd slice or pod can cap a parent
+// while the process's own cgroup says `max`. `read(dir)` returns a limit or null.
+function _minLimit(levels, read) {
+    let best = null;
+    for (const dir of levels) {
+        const v = read(dir);
+        if (v != null && v > 0 && (best == null || v < best)) best = v;
+    }
+    return best;
+}
+
+function _readFile(file) {
+    if (!fs.existsSync(file)) return null;
+    return fs.readFileSync(file, 'utf8').trim();
+}
+
+function _v2Memory(dir) {
+    const text = _readFile(path.join(dir, CGROUP_V2_FILES.memoryMax));
+    return text && text !== 'max' ? parseInt(text, 10) : null;
+}
+
+function _v2Cpu(dir) {
+    const parts = (_readFile(path.join(dir, CGROUP_V2_FILES.cpuMax)) || '').split(' ');
+    if (parts[0] === 'max' || parts.length !== 2) return null;
+    const quota = parseInt(parts[0], 10);
+    const period = parseInt(parts[1], 10);
+    return quota > 0 && period > 0 ? quota / period : null;
+}
+
+function _v1Memory(dir) {
+    const text = _readFile(path.join(dir, CGROUP_V1_FILES.memoryLimit));
+    const limit = text ? parseInt(text, 10) : null;
+    return limit > 0 && limit < V1_UNLIMITED ? limit : null;
+}
+
+function _v1Cpu(dir) {
+    const quota = parseInt(_readFile(path.join(dir, CGROUP_V1_FILES.cpuQuota)), 10);
+    const period = parseInt(_readFile(path.join(dir, CGROUP_V1_FILES.cpuPeriod)), 10);
+    return quota > 0 && period > 0 ? quota / period : null;
+}
+
+/**
+ * Memory and CPU limits of the cgroup Node-RED runs in. The cgroup is taken from
+ * `/proc/self/cgroup`, so limits set on a nested cgroup (a systemd service with
+ * `MemoryMax=`, a Kubernetes pod) are found as well as a container's root
+ * cgroup; the tightest limit along the path wins. `isContainerized` means a
+ * memory or CPU limit applies, whatever set it.
+ *
+ * The result is cached; pass `force` to re-read limits that may have changed
+ * (`docker update`, Kubernetes in-place resize).
+ */
+function detectContainerEnvironment({ force = false, mount = CGROUP_MOUNT, procCgroup = PROC_SELF_CGROUP } = {}) {
     if (cached !== null && !force) return cached;
 
-    const info = { isContainerized: false, cgroupVersion: null, memoryLimit: null, cpuLimit: null };
+    const info = {
+        isContainerized: false, cgroupVersion: null, cgroupPath: null,
+        memoryLimit: null, cpuLimit: null, detectedAt: Date.now()
+    };
 
     if (os.platform() !== 'linux') {
         cached = info;
@@ -27,44 +138,27 @@ function detectContainerEnvironment({ force = false } = {}) {
     }
 
     try {
-        if (fs.existsSync(CGROUP_V2_PATHS.memoryMax)) {
-            const memMax = fs.readFileSync(CGROUP_V2_PATHS.memoryMax, 'utf8').trim();
-            if (memMax !== 'max') {
-                const memLimit = parseInt(memMax, 10);
-                if (memLimit > 0 && memLimit < os.totalmem()) {
-                    info.isContainerized = true;
-                    info.cgroupVersion = 2;
-                    info.memoryLimit = memLimit;
-                }
-            }
-            if (fs.existsSync(CGROUP_V2_PATHS.cpuMax)) {
-                const parts = fs.readFileSync(CGROUP_V2_PATHS.cpuMax, 'utf8').trim().split(' ');
-                if (parts[0] !== 'max' && parts.length === 2) {
-                    const quota = parseInt(parts[0], 10);
-                    const period = parseInt(parts[1], 10);
-                    if (quota > 0 && period > 0) {
-                        info.cpuLimit = quota / period;
-                        info.isContainerized = true;
-                    }
-                }
-            }
-        } else if (fs.existsSync(CGROUP_V1_PATHS.memoryLimit)) {
-            const memLimit = parseInt(fs.readFileSync(CGROUP_V1_PATHS.memoryLimit, 'utf8').trim(), 10);
-            const MAX_MEMORY_LIMIT = 9223372036854771712;
-            if (memLimit > 0 && memLimit < MAX_MEMORY_LIMIT && memLimit < os.totalmem()) {
-                info.isContainerized = true;
-                info.cgroupVersion = 1;
-                info.memoryLimit = memLimit;
-            }
-            if (fs.existsSync(CGROUP_V1_PATHS.cpuQuota) && fs.existsSync(CGROUP_V1_PATHS.cpuPeriod)) {
-                const quota = parseInt(fs.readFileSync(CGROUP_V1_PATHS.cpuQuota, 'utf8').trim(), 10);
-                const period = parseInt(fs.readFileSync(CGROUP_V1_PATHS.cpuPeriod, 'utf8').trim(), 10);
-                if (quota > 0 && period > 0) {
-                    info.cpuLimit = quota / period;
-                    info.isContainerized = true;
-                }
-            }
+        let self = { v2: null, v1: {} };
+        try { self = parseProcCgroup(fs.readFileSync(procCgroup, 'utf8')); } catch (_) {}
+
+        const v2Dir = _cgroupDir(mount, self.v2);
+        const v1MemDir = _cgroupDir(path.join(mount, 'memory'), self.v1.memory);
+        if (fs.existsSync(path.join(v2Dir, CGROUP_V2_FILES.memoryMax)) || fs.existsSync(path.join(mount, 'cgroup.controllers'))) {
+            const levels = _ancestors(v2Dir, mount);
+            info.cgroupVersion = 2;
+            info.cgroupPath = v2Dir;
+            info.memoryLimit = _minLimit(levels, _v2Memory);
+            info.cpuLimit = _minLimit(levels, _v2Cpu);
+        } else if (fs.existsSync(path.join(v1MemDir, CGROUP_V1_FILES.memoryLimit))) {
+            const cpuBase = path.join(mount, 'cpu');
+            info.cgroupVersion = 1;
+            info.cgroupPath = v1MemDir;
+            info.memoryLimit = _minLimit(_ancestors(v1MemDir, path.join(mount, 'memory')), _v1Memory);
+            info.cpuLimit = _minLimit(_ancestors(_cgroupDir(cpuBase, self.v1.cpu), cpuBase), _v1Cpu);
         }
+        // A "limit" at or above physical memory limits nothing
+        if (info.memoryLimit != null && info.memoryLimit >= os.totalmem()) info.memoryLimit = null;
+        info.isContainerized = info.memoryLimit != null || info.cpuLimit != null;
     } catch (_) {
         // Treat detection errors as "not containerized". Never crash on probe.
     }
@@ -73,16 +167,150 @@ function detectContainerEnvironment({ force = false } = {}) {
     return info;
 }
 
-function readContainerMemoryUsage() {
+/** Bytes in use by the detected cgroup (memory.current / memory.usage_in_bytes), or null. */
+function readContainerMemoryUsage(info = detectContainerEnvironment()) {
+    if (!info.cgroupPath) return null;
+    const file = info.cgroupVersion === 2 ? CGROUP_V2_FILES.memoryCurrent : CGROUP_V1_FILES.memoryUsage;
     try {
-        if (fs.existsSync(CGROUP_V2_PATHS.memoryCurrent)) {
-            return parseInt(fs.readFileSync(CGROUP_V2_PATHS.memoryCurrent, 'utf8').trim(), 10);
+        return parseInt(fs.readFileSync(path.join(info.cgroupPath, file), 'utf8').trim(), 10);
+    } catch (_) {
+        return null;
+    }
+}
+
+// Files CgroupStatsProbe reads, relative to the process's cgroup v2 directory
+const CGROUP_V2_STAT_FILES = {
+    cpuStat: 'cpu.stat',
+    memoryStat: 'memory.stat',
+    memoryEvents: 'memory.events',
+    memoryCurrent: 'memory.current',
+    memoryMax: 'memory.max',
+    cpuPressure: 'cpu.pressure',
+    memoryPressure: 'memory.pressure',
+    ioPressure: 'io.pressure'
+};
+
+// Sample columns CgroupStatsProbe reports, in order
+const CGROUP_COLUMNS = [
+    'cg_cpu_throttled_periods', 'cg_cpu_throttled_pct', 'cg_cpu_throttled_ms',
+    'cg_mem_anon', 'cg_mem_file', 'cg_mem_kernel', 'cg_mem_working_set', 'cg_mem_pct',
+    'cg_oom_events', 'cg_oom_kills',
+    'psi_cpu_some', 'psi_mem_some', 'psi_mem_full', 'psi_io_some', 'psi_io_full'
+];
+
+// memory.stat has no `kernel` line before Linux 5.18; sum its parts instead
+const KERNEL_MEM_KEYS = ['kernel_stack', 'pagetables', 'percpu', 'sock', 'slab'];
+
+/** `key value` lines (cpu.stat, memory.stat, memory.events) → { key: number }. */
+function parseFlatKeyed(text) {
+    const out = {};
+    for (const line of text.split('\n')) {
+        const [key, value] = line.trim().split(/\s+/);
+        if (key && value !== undefined && /^\d+$/.test(value)) out[key] = Number(value);
+    }
+    return out;
+}
+
+/** PSI text (`some avg10=1.50 avg60=… total=…`) → { some: {avg10, avg60, avg300, total}, full: … }. */
+function parsePressure(text) {
+    const out = {};
+    for (const line of text.split('\n')) {
+        const [kind, ...fields] = line.trim().split(/\s+/);
+        if (kind !== 'some' && kind !== 'full') continue;
+        out[kind] = {};
+        for (const f of fields) {
+            const [k, v] = f.split('=');
+            out[kind][k] = Number(v);
+        }
+    }
+    return out;
+}
+
+function _readText(file) {
+    try { return fs.readFileSync(file, 'utf8'); } catch (_) { return null; }
+}
+
+function _counterDelta(cur, prev) {
+    if (cur == null || prev == null) return null;
+    return cur >= prev ? cur - prev : null;
+}
+
+/**
+ * Per-tick cgroup v2 statistics for the container Node-RED runs in: CPU
+ * throttling from `cpu.stat`, a memory breakdown from `memory.stat`, OOM events
+ * from `memory.events` and pressure stall (PSI) averages. Counters are reported
+ * as deltas since the previous `drain()`; every field is null outside cgroup v2
+ * or when the kernel lacks the file (PSI needs Linux 4.20+).
+ *
+ * `cg_mem_working_set` is `memory.current` minus inactive page cache, the value
+ * the kernel OOM killer and Kubernetes compare against `memory.max`.
+ */
+class CgroupStatsProbe {
+    constructor({ root = CGROUP_MOUNT, memoryLimit = null } = {}) {
+        this._root = root;
+        this.memoryLimit = memoryLimit;     // a parent's limit, when this cgroup's memory.max is `max`
+        this._prev = this._read();
+    }
+
+    _read() {
+        const text = {};
+        for (const [key, file] of Object.entries(CGROUP_V2_STAT_FILES)) text[key] = _readText(path.join(this._root, file));
+        const max = text.memoryMax && text.memoryMax.trim();
+        return {
+            cpu: text.cpuStat ? parseFlatKeyed(text.cpuStat) : null,
+            mem: text.memoryStat ? parseFlatKeyed(text.memoryStat) : null,
+            events: text.memoryEvents ? parseFlatKeyed(text.memoryEvents) : null,
+            current: text.memoryCurrent ? parseInt(text.memoryCurrent, 10) : null,
+            max: max && max !== 'max' ? parseInt(max, 10) : null,
+            psiCpu: text.cpuPressure ? parsePressure(text.cpuPressure) : null,
+            psiMem: text.memoryPressure ? parsePressure(text.memoryPressure) : null,
+            psiIo: text.ioPressure ? parsePressure(text.ioPressure) : null
+        };
+    }
+
+    /** Current values and deltas since the previous call, keyed by sample column. */
+    drain() {
+        const cur = this._read();
+        const prev = this._prev;
+        this._prev = cur;
+
+        const out = Object.fromEntries(CGROUP_COLUMNS.map(c => [c, null]));
+        if (cur.cpu && prev.cpu) {
+            const periods = _counterDelta(cur.cpu.nr_periods, prev.cpu.nr_periods);
+            const throttled = _counterDelta(cur.cpu.nr_throttled, prev.cpu.nr_throttled);
+            const usec = _counterDelta(cur.cpu.throttled_usec, prev.cpu.throttled_usec);
+            out.cg_cpu_throttled_periods = throttled;
+            out.cg_cpu_throttled_ms = usec != null ? usec / 1000 : null;
+            if (throttled != null && periods) out.cg_cpu_throttled_pct = (throttled / periods) * 100;
+            else if (periods === 0) out.cg_cpu_throttled_pct = 0;
         }
-        if (fs.existsSync(CGROUP_V1_PATHS.memoryUsage)) {
-            return parseInt(fs.readFileSync(CGROUP_V1_PATHS.memoryUsage, 'utf8').trim(), 10);
+        if (cur.mem) {
+            const m = cur.mem;
+            out.cg_mem_anon = m.anon ?? null;
+            out.cg_mem_file = m.file ?? null;
+            out.cg_mem_kernel = m.kernel ?? (KERNEL_MEM_KEYS.some(k => k in m) ? KERNEL_MEM_KEYS.reduce((a, k) => a + (m[k] || 0), 0) : null);
+            if (cur.current != null) {
+                out.cg_mem_working_set = Math.max(0, cur.current - (m.inactive_file || 0));
+                const max = cur.max || this.memoryLimit;
+                if (max) out.cg_mem_pct = (out.cg_mem_working_set / max) * 100;
+            }
         }
-    } catch (_) {}
-    return null;
+        if (cur.events && prev.events) {
+            out.cg_oom_events = _counterDelta(cur.events.oom, prev.events.oom);
+            out.cg_oom_kills = _counterDelta(cur.events.oom_kill, prev.events.oom_kill);
+        }
+        const avg10 = (psi, kind) => (psi && psi[kind] && Number.isFinite(psi[kind].avg10) ? psi[kind].avg10 : null);
+        out.psi_cpu_some = avg10(cur.psiCpu, 'some');
+        out.psi_mem_some = avg10(cur.psiMem, 'some');
+        out.psi_mem_full = avg10(cur.psiMem, 'full');
+        out.psi_io_some = avg10(cur.psiIo, 'some');
+        out.psi_io_full = avg10(cur.psiIo, 'full');
+        return out;
+    }
 }
 
-module.exports = { detectContainerEnvironment, readContainerMemoryUsage, CGROUP_V1_PATHS, CGROUP_V2_PATHS };
+module.exports = {
+    detectContainerEnvironment, readContainerMemoryUsage, parseProcCgroup,
+    CgroupStatsProbe, parseFlatKeyed, parsePressure,
+    CGROUP_COLUMNS, CGROUP_MOUNT, CGROUP_V1_PATHS, CGROUP_V2_PATHS, CGROUP_V1_FILES, CGROUP_V2_FILES, CGROUP_V2_STAT_FILES
+};
@@ -0,0 +1,181 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+
+// Top-level userDir entries broken out by the directory-size probe. Everything
+// else is counted as `other`.
+const FLOWS_RE = /^\.?flows.*\.json(\.backup)?$/;
+const DIR_LABELS = {
+    context: 'context',
+    node_modules: 'node_modules'
+};
+
+// statPath runs every tick, but the mount a path lives on rarely changes: look
+// it up again only after MOUNT_REFRESH_MS or once a stat of the path fails.
+const MOUNT_REFRESH_MS = 600_000;
+const _mounts = new Map();                  // path → { mount, ts }
+
+function _unescapeMount(s) {
+    return s.replace(/\\([0-7]{3})/g, (_, oct) => String.fromCharCode(parseInt(oct, 8)));
+}
+
+// Mount point holding `p`: the longest /proc/self/mounts entry that prefixes it.
+// null off Linux.
+function mountFor(p) {
+    let text;
+    try { text = fs.readFileSync('/proc/self/mounts', 'utf8'); } catch (_) { return null; }
+    let real;
+    try { real = fs.realpathSync(p); } catch (_) { real = path.resolve(p); }
+    let best = null;
+    for (const line of text.split('\n')) {
+        const mp = line.split(' ')[1];
+        if (!mp) continue;
+        const mount = _unescapeMount(mp);
+        const within = mount === '/' || real === mount || real.startsWith(mount + '/');
+        if (within && (!best || mount.length > best.length)) best = mount;
+    }
+    return best;
+}
+
+function _cachedMount(p, now) {
+    const hit = _mounts.get(p);
+    if (hit && now - hit.ts < MOUNT_REFRESH_MS) return hit.mount;
+    const mount = mountFor(p);
+    _mounts.set(p, { mount, ts: now });
+    return mount;
+}
+
+/** statfs of one path: bytes and inodes, plus the mount it lives on. null when unreadable. */
+function statPath(p, now = Date.now()) {
+    if (!fs.statfsSync) return null;
+    try {
+        const st = fs.statfsSync(p);
+        return {
+            path: p,
+            mount: _cachedMount(p, now),
+            total: st.blocks * st.bsize,
+            used: (st.blocks - st.bfree) * st.bsize,
+            avail: st.bavail * st.bsize,
+            inodes_total: st.files || null,
+            inodes_used: st.files ? st.files - st.ffree : null
+        };
+    } catch (_) {
+        _mounts.delete(p);
+        return null;
+    }
+}
+
+// Bytes under `dir`, without following symlinks. Stops counting after
+// `budget.left` entries so a huge node_modules cannot stall the probe.
+async function _dirBytes(dir, budget) {
+    let entries;
+    try { entries = await fs.promises.readdir(dir, { withFileTypes: true }); } catch (_) { return 0; }
+    let total = 0;
+    for (const e of entries) {
+        if (budget.left-- <= 0) { budget.truncated = true; return total; }
+        const full = path.join(dir, e.name);
+        if (e.isDirectory()) total += await _dirBytes(full, budget);
+        else if (e.isFile()) {
+            try { total += (await fs.promises.lstat(full)).size; } catch (_) {}
+        }
+    }
+    return total;
+}
+
+/**
+ * Disk usage for a set of monitored paths (default: userDir and the database
+ * directory) and a periodic size breakdown of userDir: flows files, the
+ * context store, node_modules, the performance-monitor database and the rest.
+ *
+ * `drain()` is called every collector tick and returns the `disk_samples` rows
+ * that are due: one `volume` row per path every `intervalMs`, and `dir` rows
+ * whenever a background size walk (every `dirSizeIntervalMs`) has finished.
+ */
+class DiskProbe {
+    constructor({ paths = null, userDir = null, dbPath = null, intervalMs = 60_000, dirSizeIntervalMs = 300_000, maxDirEntries = 200_000 } = {}) {
+        const defaults = [userDir, dbPath && path.dirname(dbPath)].filter(Boolean);
+        const list = (paths && paths.length ? paths : defaults.length ? defaults : [process.cwd()]).map(p => path.resolve(p));
+        this.paths = Array.from(new Set(list));
+        this.userDir = userDir ? path.resolve(userDir) : null;
+        this.dbPath = dbPath ? path.resolve(dbPath) : null;
+        this._intervalMs = intervalMs;
+        this._dirSizeIntervalMs = dirSizeIntervalMs;
+        this._maxDirEntries = maxDirEntries;
+        this._lastVolumeTs = 0;
+        this._lastWalkTs = 0;
+        this._walking = false;
+        this._dirRows = [];                 // finished walk, not yet drained
+        this._dirSizes = null;              // latest finished walk, for /stats
+    }
+
+    /** First monitored path; its volume feeds the `disk_used` / `disk_total` sample columns. */
+    primary() {
+        return statPath(this.paths[0]);
+    }
+
+    volumes(now = Date.now()) {
+        return this.paths.map(p => statPath(p, now)).filter(Boolean);
+    }
+
+    dirSizes() {
+        return this._dirSizes;
+    }
+
+    /** Walk userDir and record its breakdown. Resolves with the rows (or null without userDir). */
+    async refreshDirSizes(ts = Date.now()) {
+        if (!this.userDir || this._walking) return null;
+        this._walking = true;
+        try {
+            const budget = { left: this._maxDirEntries, truncated: false };
+            const sizes = { flows: 0, context: 0, node_modules: 0, perf_db: 0, other: 0 };
+            const dbFiles = this.dbPath ? new Set([this.dbPath, this.dbPath + '-wal', this.dbPath + '-shm']) : new Set();
+            let entries = [];
+            try { entries = await fs.promises.readdir(this.userDir, { withFileTypes: true }); } catch (_) {}
+            for (const e of entries) {
+                const full = path.join(this.userDir, e.name);
+                if (dbFiles.has(full)) continue;
+                let label = 'other';
+                let size = 0;
+                if (e.isDirectory()) {
+                    label = DIR_LABELS[e.name] || 'other';
+                    size = await _dirBytes(full, budget);
+                } else if (e.isFile()) {
+                    if (FLOWS_RE.test(e.name)) label = 'flows';
+                    try { size = (await fs.promises.lstat(full)).size; } catch (_) {}
+                }
+                sizes[label] += size;
+            }
+            for (const f of dbFiles) {
+                try { sizes.perf_db += fs.statSync(f).size; } catch (_) {}
+            }
+            // A database elsewhere gets its own row but is not part of the userDir total
+            const dbInUserDir = this.dbPath && path.dirname(this.dbPath) === this.userDir;
+            const total = sizes.flows + sizes.context + sizes.node_modules + sizes.other + (dbInUserDir ? sizes.perf_db : 0);
+            const rows = Object.entries(sizes)
+                .filter(([label]) => label !== 'perf_db' || this.dbPath)
+                .map(([label, size]) => ({ ts, kind: 'dir', label, size, path: label === 'perf_db' ? this.dbPath : this.userDir }));
+            rows.push({ ts, kind: 'dir', label: 'total', path: this.userDir, size: total });
+            this._dirSizes = { ts, path: this.userDir, truncated: budget.truncated, ...Object.fromEntries(rows.map(r => [r.label, r.size])) };
+            this._dirRows = rows;
+            return rows;
+        } finally {
+            this._walking = false;
+        }
+    }
+
+    /** Rows for `disk_samples` that are due at `now`; starts a size walk when one is due. */
+    drain(now = Date.now()) {
+        const out = this._dirRows.splice(0);
+        if (now - this._lastVolumeTs >= this._intervalMs) {
+            this._lastVolumeTs = now;
+            for (const v of this.volumes(now)) out.push({ ts: now, kind: 'volume', label: null, size: null, ...v });
+        }
+        if (this.userDir && now - this._lastWalkTs >= this._dirSizeIntervalMs) {
+            this._lastWalkTs = now;
+            this.refreshDirSizes(now).catch(() => {});
+        }
+        return out;
+    }
+}
+
+module.exports = { DiskProbe, statPath, mountFor, MOUNT_REFRESH_MS };
@@ -0,0 +1,65 @@
+'use strict';
+
+const FORMATS = {
+    csv:    { contentType: 'text/csv; charset=utf-8',             ext: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', ext: 'ndjson' }
+};
+
+// Text columns holding JSON; NDJSON emits them as nested values, CSV as the raw text
+const JSON_COLUMNS = new Set(['detail', 'latency_hist', 'complete_hist', 'sys_cpu_cores']);
+
+const YIELD_EVERY = 500;                    // rows written before giving the event loop a turn
+
+function csvValue(v) {
+    if (v == null) return '';
+    const s = String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** One CSV line (RFC 4180 quoting, empty for null), ending in CRLF. */
+function csvLine(values) {
+    return values.map(csvValue).join(',') + '\r\n';
+}
+
+/** One NDJSON line with the given columns, JSON text columns parsed. */
+function ndjsonLine(row, columns) {
+    const out = {};
+    for (const c of columns) {
+        let v = row[c];
+        if (v != null && JSON_COLUMNS.has(c)) {
+            try { v = JSON.parse(v); } catch (_) {}
+        }
+        out[c] = v;
+    }
+    return JSON.stringify(out) + '\n';
+}
+
+/**
+ * Write `rows` to the HTTP response as CSV (with a header line) or NDJSON,
+ * waiting for `drain` when the socket is full so memory stays flat however
+ * large the export. Stops early, and closes the iterator, when the client
+ * disconnects. Resolves with the number of rows written.
+ */
+async function streamExport(res, { columns, rows }, format) {
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    const waitDrain = () => new Promise(resolve => {
+        const done = () => { res.off('drain', done); res.off('close', done); resolve(); };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+
+    let count = 0;
+    let ok = format === 'csv' ? res.write(csvLine(columns)) : true;
+    // Leaving the loop early (break or throw) finalizes the statement via return()
+    for (const row of rows) {
+        if (!ok && !closed) await waitDrain();
+        if (closed) break;
+        ok = res.write(format === 'csv' ? csvLine(columns.map(c => row[c])) : ndjsonLine(row, columns));
+        if (++count % YIELD_EVERY === 0) await new Promise(resolve => setImmediate(resolve));
+    }
+    if (!closed) res.end();
+    return count;
+}
+
+module.exports = { streamExport, csvLine, ndjsonLine, FORMATS };
@@ -0,0 +1,48 @@
+'use strict';
+const http = require('http');
+const https = require('https');
+
+/**
+ * POST a JSON body and resolve with `{ statusCode, body }` for 2xx replies.
+ * Non-2xx replies, network errors and timeouts reject.
+ *
+ * @param {string} url
+ * @param {Object} payload - serialised with JSON.stringify
+ * @param {Object} [opts]
+ * @param {Object} [opts.headers] - extra request headers
+ * @param {number} [opts.timeoutMs=10000]
+ * @returns {Promise<{statusCode: number, body: string}>}
+ */
+function postJson(url, payload, { headers = {}, timeoutMs = 10_000 } = {}) {
+    return new Promise((resolve, reject) => {
+        let target;
+        try { target = new URL(url); } catch (err) { return reject(err); }
+        const transport = target.protocol === 'https:' ? https : http;
+        const data = Buffer.from(JSON.stringify(payload), 'utf8');
+        const req = transport.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': data.length,
+                ...headers
+            },
+            timeout: timeoutMs
+        }, (res) => {
+            const chunks = [];
+            res.on('data', c => chunks.push(c));
+            res.on('end', () => {
+                const body = Buffer.concat(chunks).toString('utf8');
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve({ statusCode: res.statusCode, body });
+                } else {
+                    reject(new Error(`HTTP ${res.statusCode}${body ? ': ' + body.slice(0, 200) : ''}`));
+                }
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error(`timeout after ${timeoutMs}ms`)));
+        req.on('error', reject);
+        req.end(data);
+    });
+}
+
+module.exports = { postJson };
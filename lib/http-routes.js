@@ -1,13 +1,92 @@
 const os = require('os');
 const path = require('path');
+const prometheus = require('./prometheus');
+const { NODE_METRICS, OPERATORS, BUILTIN_PATTERNS, PERCENT_PATTERNS, resolveBuiltinPatterns } = require('./anomaly-detector');
+const { CAPTURE_KINDS } = require('./profiler');
+const { streamExport, FORMATS } = require('./export');
 
-function registerRoutes({ RED, store, collector }) {
+function registerRoutes({ RED, store, collector, detector = null, tracer = null, profiler = null }) {
     // Valid metrics set for alarm rules validation
     const VALID_METRICS = new Set([
         'proc_cpu_pct', 'proc_rss', 'proc_heap_used', 'proc_heap_total',
         'event_loop_lag', 'sys_cpu_pct', 'sys_mem_used', 'sys_mem_total',
-        'disk_used', 'disk_total'
+        'disk_used', 'disk_total',
+        'gc_count', 'gc_pause_ms', 'gc_major_count', 'gc_major_ms',
+        'heap_old_space', 'heap_new_space', 'heap_large_object_space',
+        'loop_delay_mean_ms', 'loop_delay_p50_ms', 'loop_delay_p99_ms', 'loop_delay_max_ms', 'loop_util_pct',
+        'res_handles', 'res_requests', 'res_sockets', 'res_servers', 'res_timers',
+        'res_fs_watchers', 'res_child_processes', 'open_fds',
+        'sys_cpu_max_core_pct', 'load_avg_1', 'load_avg_5', 'load_avg_15', 'proc_cpu_quota_pct',
+        'net_rx_bytes', 'net_tx_bytes', 'net_rx_packets', 'net_tx_packets', 'net_rx_errors', 'net_tx_errors',
+        'proc_read_bytes', 'proc_write_bytes', 'disk_read_bytes', 'disk_write_bytes', 'disk_busy_pct',
+        'cg_cpu_throttled_periods', 'cg_cpu_throttled_pct', 'cg_cpu_throttled_ms',
+        'cg_mem_anon', 'cg_mem_file', 'cg_mem_kernel', 'cg_mem_working_set', 'cg_mem_pct',
+        'cg_oom_events', 'cg_oom_kills',
+        'psi_cpu_some', 'psi_mem_some', 'psi_mem_full', 'psi_io_some', 'psi_io_full'
     ]);
+    const SCOPE_TYPES = new Set(['node', 'type', 'flow']);
+    const SEVERITIES = new Set(['critical', 'high', 'medium', 'low']);
+
+    // Node metrics need a scope to aggregate over; system metrics must not have one.
+    // Returns an error message, or null when the rule is valid.
+    function validateRuleTarget({ metric, scope_type = null, scope_value = null, operator = 'gt' }) {
+        const nodeMetric = NODE_METRICS.includes(metric);
+        if (!metric || (!VALID_METRICS.has(metric) && !nodeMetric)) return 'invalid metric';
+        if (!OPERATORS.includes(operator)) return 'invalid operator';
+        if (nodeMetric) {
+            if (!SCOPE_TYPES.has(scope_type)) return 'node metrics require scope_type node, type or flow';
+            if (!scope_value || typeof scope_value !== 'string') return 'node metrics require scope_value';
+        } else if (scope_type != null || scope_value != null) {
+            return 'system metrics do not take a scope';
+        }
+        return null;
+    }
+
+    // JSON numbers or numeric strings; NaN for anything else (true, [], '')
+    function numeric(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'string' && value.trim() !== '') return Number(value);
+        return NaN;
+    }
+
+    function validCapture(capture) {
+        return capture == null || CAPTURE_KINDS.includes(capture);
+    }
+
+    // Permission middleware for a route, spread before its handler. Node-RED's
+    // needsPermission enforces adminAuth and sets req.user; without RED.auth
+    // (tests, minimal embeddings) the handler runs alone.
+    function permission(name) {
+        return RED.auth && RED.auth.needsPermission ? [RED.auth.needsPermission(name)] : [];
+    }
+
+    // Admin user for audit fields; Node-RED sets req.user when adminAuth is on
+    function requestUser(req) {
+        return (req.user && req.user.username) || 'anonymous';
+    }
+
+    function alarmSummary() {
+        const alarms = detector ? detector.getActiveAlarms() : [];
+        return {
+            firing: alarms.filter(a => a.state === 'firing').length,
+            pending: alarms.filter(a => a.state === 'pending').length,
+            acknowledged: alarms.filter(a => a.ack).length,
+            silenced: alarms.filter(a => a.silenced).length,
+            items: alarms.map(a => ({
+                key: a.key, pattern: a.pattern, severity: a.severity, state: a.state,
+                since: a.since, ack: a.ack, silenced: a.silenced
+            }))
+        };
+    }
+
+    // Effective built-in pattern settings plus the defaults they override
+    function builtinPatternList() {
+        const effective = resolveBuiltinPatterns(store.getBuiltinPatterns());
+        return Object.keys(BUILTIN_PATTERNS).map(pattern => ({
+            pattern, ...effective[pattern], defaults: BUILTIN_PATTERNS[pattern]
+        }));
+    }
+
     // Legacy /stats endpoint — returns the nested shape the sidebar UI expects
     RED.httpAdmin.get('/performance-monitor/stats', (req, res) => {
         if (!collector) return res.status(503).json({ error: 'collector unavailable' });
@@ -16,17 +95,52 @@ function registerRoutes({ RED, store, collector }) {
         const sysPct = s.sys_mem_total > 0 ? (s.sys_mem_used / s.sys_mem_total) * 100 : 0;
         const diskPct = s.disk_total > 0 ? Math.round((s.disk_used / s.disk_total) * 100) : 0;
         const mem = process.memoryUsage();
+        const last = collector.getLastSample() || {};
+        const active = collector.activeResources();
+        const volumes = collector.disk.volumes();
         res.json({
             nodeRed: {
                 cpu: s.proc_cpu_pct,
+                cpuQuotaPercent: s.proc_cpu_quota_pct,
                 memory: {
                     rss: s.proc_rss,
                     heapUsed: s.proc_heap_used,
                     heapTotal: s.proc_heap_total,
                     external: mem.external || 0,
-                    arrayBuffers: mem.arrayBuffers || 0
+                    arrayBuffers: mem.arrayBuffers || 0,
+                    heapSizeLimit: s.heap_size_limit,
+                    spaces: { new: s.heap_new_space, old: s.heap_old_space, largeObject: s.heap_large_object_space }
+                },
+                // GC activity over the last completed poll interval
+                gc: last.gc_count == null ? null : {
+                    count: last.gc_count,
+                    pauseMs: last.gc_pause_ms,
+                    minor: last.gc_minor_count,
+                    major: last.gc_major_count,
+                    intervalMs: collector.pollInterval
                 },
                 eventLoopLag: s.event_loop_lag,
+                resources: {
+                    handles: active.res_handles,
+                    requests: active.res_requests,
+                    sockets: active.res_sockets,
+                    servers: active.res_servers,
+                    timers: active.res_timers,
+                    fsWatchers: active.res_fs_watchers,
+                    childProcesses: active.res_child_processes,
+                    openFds: active.open_fds,
+                    fdLimit: collector.fdLimit,
+                    byType: active.byType
+                },
+                // monitorEventLoopDelay / eventLoopUtilization over the last completed poll interval
+                eventLoop: last.loop_util_pct == null ? null : {
+                    delayMinMs: last.loop_delay_min_ms,
+                    delayMeanMs: last.loop_delay_mean_ms,
+                    delayP50Ms: last.loop_delay_p50_ms,
+                    delayP99Ms: last.loop_delay_p99_ms,
+                    delayMaxMs: last.loop_delay_max_ms,
+                    utilizationPct: last.loop_util_pct
+                },
                 pid: process.pid,
                 uptime: process.uptime()
             },
@@ -34,7 +148,10 @@ function registerRoutes({ RED, store, collector }) {
                 cpu: {
                     percent: s.sys_cpu_pct,
                     cores: cpus.length,
-                    model: cpus[0] ? cpus[0].model : 'Unknown'
+                    model: cpus[0] ? cpus[0].model : 'Unknown',
+                    perCore: s.sys_cpu_cores,
+                    maxCorePercent: s.sys_cpu_max_core_pct,
+                    loadAvg: [s.load_avg_1, s.load_avg_5, s.load_avg_15]
                 },
                 memory: {
                     total: s.sys_mem_total,
@@ -47,17 +164,64 @@ function registerRoutes({ RED, store, collector }) {
                     used: s.disk_used,
                     free: s.disk_total - s.disk_used,
                     usedPercent: diskPct,
-                    mount: '/'
+                    mount: volumes[0] ? volumes[0].mount : null,
+                    path: volumes[0] ? volumes[0].path : null
+                },
+                // Every monitored path, plus the latest userDir size breakdown
+                disks: volumes.map(v => ({
+                    path: v.path,
+                    mount: v.mount,
+                    total: v.total,
+                    used: v.used,
+                    free: v.avail,
+                    usedPercent: v.total > 0 ? (v.used / v.total) * 100 : 0,
+                    inodesTotal: v.inodes_total,
+                    inodesUsed: v.inodes_used,
+                    inodesPercent: v.inodes_total ? (v.inodes_used / v.inodes_total) * 100 : null
+                })),
+                userDir: collector.disk.dirSizes(),
+                // cgroup v2 throttling, memory and pressure over the last completed poll interval
+                container: last.cg_mem_pct == null && last.cg_cpu_throttled_pct == null ? null : {
+                    cpuThrottledPercent: last.cg_cpu_throttled_pct,
+                    cpuThrottledPeriods: last.cg_cpu_throttled_periods,
+                    cpuThrottledMs: last.cg_cpu_throttled_ms,
+                    memory: {
+                        anon: last.cg_mem_anon,
+                        file: last.cg_mem_file,
+                        kernel: last.cg_mem_kernel,
+                        workingSet: last.cg_mem_working_set,
+                        workingSetPercent: last.cg_mem_pct
+                    },
+                    oomEvents: last.cg_oom_events,
+                    oomKills: last.cg_oom_kills,
+                    pressure: {
+                        cpuSome: last.psi_cpu_some,
+                        memorySome: last.psi_mem_some,
+                        memoryFull: last.psi_mem_full,
+                        ioSome: last.psi_io_some,
+                        ioFull: last.psi_io_full
+                    }
                 },
                 platform: os.platform(),
                 arch: os.arch(),
                 nodeVersion: process.version,
                 uptime: os.uptime(),
                 hostname: os.hostname()
-            }
+            },
+            alarms: alarmSummary()
         });
     });
 
+    // Prometheus scrape target: last polled sample + cumulative per-node counters
+    RED.httpAdmin.get('/performance-monitor/metrics', (req, res) => {
+        if (!collector) return res.status(503).json({ error: 'collector unavailable' });
+        // sampleSystem() would move the CPU baselines under the next tick
+        const system = collector.getLastSample();
+        if (!system) return res.status(503).json({ error: 'no sample yet' });
+        res.set('Content-Type', prometheus.CONTENT_TYPE);
+        res.send(prometheus.renderMetrics({ system, totals: collector.getSystemTotals(), nodes: collector.getNodeTotals() }));
+    });
+
     RED.httpAdmin.get('/performance-monitor/recent', (req, res) => {
         const limit = Math.min(1000, parseInt(req.query.limit, 10) || 300);
         res.json({ samples: store.getRecent(limit) });
@@ -73,6 +237,317 @@ function registerRoutes({ RED, store, collector }) {
         res.json({ rows: store.getRange(from, to, { bucketMs: bucket }) });
     });
 
+    // Streams samples, node_samples or events as CSV or NDJSON (default the last
+    // 24 h of samples as CSV); columns=a,b picks columns, bucket=<ms> aggregates
+    RED.httpAdmin.get('/performance-monitor/export', async (req, res) => {
+        const table = req.query.table || 'samples';
+        const format = req.query.format || 'csv';
+        if (!FORMATS[format]) return res.status(400).json({ error: 'format must be csv or ndjson' });
+        const to = parseInt(req.query.to, 10) || Date.now();
+        const from = parseInt(req.query.from, 10) || to - 24 * 60 * 60_000;
+        const bucket = req.query.bucket ? parseInt(req.query.bucket, 10) : null;
+        if (req.query.bucket && !(bucket > 0)) return res.status(400).json({ error: 'bucket must be a positive number of ms' });
+        const columns = req.query.columns ? String(req.query.columns).split(',').map(c => c.trim()).filter(Boolean) : null;
+        if (store.isDegraded()) return res.status(503).json({ error: 'database unavailable' });
+
+        let result;
+        try {
+            result = store.exportRows(table, from, to, { columns, bucketMs: bucket });
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.set({
+            'Content-Type': FORMATS[format].contentType,
+            'Content-Disposition': `attachment; filename="perf-monitor-${table}-${from}-${to}.${FORMATS[format].ext}"`,
+            'Cache-Control': 'no-cache'
+        });
+        try {
+            await streamExport(res, result, format);
+        } catch (err) {
+            // Headers are out; all that is left is to cut the response short
+            if (RED.log) RED.log.warn(`[perf-monitor] export failed: ${err.message}`);
+            res.destroy(err);
+        }
+    });
+
+    RED.httpAdmin.get('/performance-monitor/node-stats', (req, res) => {
+        const to = parseInt(req.query.to, 10) || Date.now();
+        const from = parseInt(req.query.from, 10) || to - 60 * 60_000;
+        const n = Math.min(500, parseInt(req.query.n, 10) || 20);
+        const sort = req.query.sort || 'p99_ms';
+        const terminal = req.query.terminal === '1' || req.query.terminal === 'true';
+        try {
+            res.json({ nodes: store.getNodeLatency(from, to, { sort, n, terminal }) });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // Node metrics rolled up per flow tab, labelled from the deployed config
+    RED.httpAdmin.get('/performance-monitor/flows', (req, res) => {
+        const to = parseInt(req.query.to, 10) || Date.now();
+        const from = parseInt(req.query.from, 10) || to - 60 * 60_000;
+        const n = Math.min(500, parseInt(req.query.n, 10) || 50);
+        const sort = req.query.sort || 'msg_count';
+        try {
+            const labels = collector && collector.getFlowLabels ? collector.getFlowLabels() : {};
+            const flows = store.getFlowStats(from, to, { sort, n })
+                .map(f => ({ ...f, label: labels[f.flow_id] || null }));
+            res.json({ flows });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // Sampled message traces (settings.performanceMonitor.tracing)
+    RED.httpAdmin.get('/performance-monitor/traces', (req, res) => {
+        const to = parseInt(req.query.to, 10) || Date.now();
+        const from = parseInt(req.query.from, 10) || to - 60 * 60_000;
+        const limit = Math.min(1000, parseInt(req.query.limit, 10) || 100);
+        const minDurationMs = Number(req.query.minDurationMs) || 0;
+        res.json({
+            enabled: !!tracer,
+            sampleRate: tracer ? tracer.sampleRate : 0,
+            traces: store.getTraces(from, to, { limit, minDurationMs, originId: req.query.origin || null })
+        });
+    });
+
+    RED.httpAdmin.get('/performance-monitor/traces/:id', (req, res) => {
+        const id = parseInt(req.params.id, 10);
+        if (!id) return res.status(400).json({ error: 'invalid id' });
+        const trace = store.getTrace(id);
+        if (!trace) return res.status(404).json({ error: 'trace not found' });
+        res.json(trace);
+    });
+
+    // Top failing nodes with their latest message; `node` lists that node's distinct errors
+    RED.httpAdmin.get('/performance-monitor/errors', (req, res) => {
+        const to = parseInt(req.query.to, 10) || Date.now();
+        const from = parseInt(req.query.from, 10) || to - 24 * 60 * 60_000;
+        if (req.query.node) {
+            const limit = Math.min(1000, parseInt(req.query.limit, 10) || 100);
+            return res.json({ errors: store.getNodeErrors(from, to, { nodeId: String(req.query.node), limit }) });
+        }
+        const n = Math.min(500, parseInt(req.query.n, 10) || 10);
+        const labels = collector && collector.getFlowLabels ? collector.getFlowLabels() : {};
+        const nodes = store.getFailingNodes(from, to, { n })
+            .map(r => ({ ...r, flow_label: labels[r.flow_id] || null }));
+        res.json({ nodes });
+    });
+
+    // Detected cgroup / container environment; ?refresh=1 re-reads the limits first
+    RED.httpAdmin.get('/performance-monitor/environment', (req, res) => {
+        if (!collector) return res.status(503).json({ error: 'collector unavailable' });
+        if (req.query && req.query.refresh === '1') collector.refreshContainer();
+        const cpus = os.cpus();
+        res.json({
+            container: collector.getContainerEnvironment(),
+            host: {
+                platform: os.platform(),
+                arch: os.arch(),
+                release: os.release(),
+                hostname: os.hostname(),
+                totalMemory: os.totalmem(),
+                cpus: cpus.length,
+                cpuModel: cpus[0] ? cpus[0].model : 'Unknown'
+            },
+            process: {
+                pid: process.pid,
+                nodeVersion: process.version,
+                fdLimit: collector.fdLimit
+            }
+        });
+    });
+
+    // Per-path disk history; ?path= one monitored path, ?kind=volume|dir
+    RED.httpAdmin.get('/performance-monitor/disks', (req, res) => {
+        const to = parseInt(req.query.to, 10) || Date.now();
+        const from = parseInt(req.query.from, 10) || to - 24 * 60 * 60_000;
+        const kind = req.query.kind || null;
+        if (kind && kind !== 'volume' && kind !== 'dir') {
+            return res.status(400).json({ error: 'kind must be volume or dir' });
+        }
+        const limit = Math.min(20000, parseInt(req.query.limit, 10) || 5000);
+        res.json({
+            paths: collector ? collector.disk.paths : [],
+            samples: store.getDiskSamples(from, to, { path: req.query.path || null, kind, limit })
+        });
+    });
+
+    RED.httpAdmin.get('/performance-monitor/events', (req, res) => {
+        const from = parseInt(req.query.from, 10);
+        const to = parseInt(req.query.to, 10);
+        if (!Number.isFinite(from) || !Number.isFinite(to)) {
+            return res.status(400).json({ error: 'from and to required' });
+        }
+        const kinds = req.query.kind ? String(req.query.kind).split(',').filter(Boolean) : [];
+        const events = store.getEvents(from, to, kinds).map(e => {
+            let detail = e.detail;
+            try { detail = detail == null ? null : JSON.parse(detail); } catch (_) {}
+            return { ts: e.ts, kind: e.kind, detail };
+        });
+        res.json({ events });
+    });
+
+    RED.httpAdmin.get('/performance-monitor/alarms/active', (req, res) => {
+        res.json({ alarms: detector ? detector.getActiveAlarms() : [] });
+    });
+
+    RED.httpAdmin.post('/performance-monitor/alarms/:key/ack', ...permission('performance-monitor.write'), (req, res) => {
+        if (!detector) return res.status(503).json({ error: 'detector unavailable' });
+        const { comment = null } = req.body || {};
+        const alarm = detector.acknowledge(req.params.key, { user: requestUser(req), comment });
+        if (!alarm) return res.status(404).json({ error: 'alarm not active' });
+        res.json(alarm);
+    });
+
+    // Silences mute notifications for alerts matching all of their matchers
+    RED.httpAdmin.get('/performance-monitor/silences', (req, res) => {
+        res.json({ silences: store.getSilences({ includeExpired: req.query.all === '1' }) });
+    });
+
+    RED.httpAdmin.post('/performance-monitor/silences', ...permission('performance-monitor.write'), (req, res) => {
+        const body = req.body || {};
+        const { pattern = null, metric = null, severity = null, comment = null } = body;
+        if (!pattern && !metric && !severity) {
+            return res.status(400).json({ error: 'at least one of pattern, metric or severity required' });
+        }
+        if (severity && !SEVERITIES.has(severity)) {
+            return res.status(400).json({ error: 'invalid severity' });
+        }
+        const now = Date.now();
+        const startsAt = body.startsAt != null ? Number(body.startsAt) : now;
+        const endsAt = body.endsAt != null
+            ? Number(body.endsAt)
+            : startsAt + Number(body.durationMinutes) * 60_000;
+        if (!Number.isFinite(startsAt) || !Number.isFinite(endsAt) || endsAt <= Math.max(startsAt, now)) {
+            return res.status(400).json({ error: 'endsAt or durationMinutes must give an end in the future' });
+        }
+        try {
+            const silence = store.insertSilence({
+                created_by: requestUser(req), starts_at: startsAt, ends_at: endsAt,
+                pattern, metric, severity, comment
+            });
+            if (RED.events) RED.events.emit('silences:changed');
+            res.status(201).json(silence);
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    RED.httpAdmin.delete('/performance-monitor/silences/:id', ...permission('performance-monitor.write'), (req, res) => {
+        const id = parseInt(req.params.id, 10);
+        if (!id) return res.status(400).json({ error: 'invalid id' });
+        try {
+            if (!store.expireSilence(id)) return res.status(404).json({ error: 'silence not active' });
+            if (RED.events) RED.events.emit('silences:changed');
+            res.status(204).send('');
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    RED.httpAdmin.get('/performance-monitor/builtin-patterns', (req, res) => {
+        res.json({ patterns: builtinPatternList() });
+    });
+
+    // Body maps pattern → { enabled, threshold, window_s, severity, capture }; null restores a default
+    RED.httpAdmin.put('/performance-monitor/builtin-patterns', (req, res) => {
+        const body = req.body || {};
+        const entries = Object.entries(body);
+        if (entries.length === 0) return res.status(400).json({ error: 'no patterns given' });
+        for (const [pattern, fields] of entries) {
+            if (!BUILTIN_PATTERNS[pattern]) return res.status(400).json({ error: `unknown pattern "${pattern}"` });
+            if (!fields || typeof fields !== 'object') return res.status(400).json({ error: `${pattern}: fields object required` });
+            const { threshold, window_s, severity, enabled } = fields;
+            if (threshold != null && !(Number.isFinite(numeric(threshold)) && numeric(threshold) > 0)) {
+                return res.status(400).json({ error: `${pattern}: threshold must be a positive number` });
+            }
+            if (threshold != null && PERCENT_PATTERNS.has(pattern) && numeric(threshold) > 100) {
+                return res.status(400).json({ error: `${pattern}: threshold is a percentage and must be at most 100` });
+            }
+            if (window_s != null && !(Number.isInteger(numeric(window_s)) && numeric(window_s) >= 1)) {
+                return res.status(400).json({ error: `${pattern}: window_s must be a positive integer` });
+            }
+            if (severity != null && !SEVERITIES.has(severity)) {
+                return res.status(400).json({ error: `${pattern}: invalid severity` });
+            }
+            if (enabled != null && typeof enabled !== 'boolean' && enabled !== 0 && enabled !== 1) {
+                return res.status(400).json({ error: `${pattern}: enabled must be a boolean` });
+            }
+            if (!validCapture(fields.capture)) {
+                return res.status(400).json({ error: `${pattern}: capture must be heap, cpu or null` });
+            }
+        }
+        try {
+            for (const [pattern, fields] of entries) {
+                const update = {};
+                for (const k of ['threshold', 'window_s', 'severity', 'enabled', 'capture']) {
+                    if (k in fields) update[k] = fields[k] == null || k === 'severity' || k === 'capture' ? fields[k] : Number(fields[k]);
+                }
+                store.setBuiltinPattern(pattern, update);
+            }
+            if (RED.events) RED.events.emit('rules:changed');
+            res.json({ patterns: builtinPatternList() });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Heap snapshots and CPU profiles (lib/profiler.js), stored under the userDir
+    RED.httpAdmin.get('/performance-monitor/profiles', ...permission('performance-monitor.read'), (req, res) => {
+        res.json({
+            enabled: !!profiler,
+            busy: profiler ? profiler.isBusy() : false,
+            profiles: profiler ? profiler.list() : []
+        });
+    });
+
+    RED.httpAdmin.post('/performance-monitor/profiles/heap', ...permission('performance-monitor.write'), (req, res) => {
+        if (!profiler) return res.status(503).json({ error: 'profiling disabled' });
+        if (profiler.isBusy()) return res.status(409).json({ error: 'a capture is already in progress' });
+        try {
+            res.status(201).json(profiler.captureHeapSnapshot({ reason: 'manual' }));
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Runs in the background; the profile shows up in GET /profiles when done
+    RED.httpAdmin.post('/performance-monitor/profiles/cpu', ...permission('performance-monitor.write'), (req, res) => {
+        if (!profiler) return res.status(503).json({ error: 'profiling disabled' });
+        const seconds = Number((req.body || {}).seconds);
+        if (!Number.isInteger(seconds) || seconds < 1 || seconds > profiler.maxCpuSeconds) {
+            return res.status(400).json({ error: `seconds must be an integer between 1 and ${profiler.maxCpuSeconds}` });
+        }
+        if (profiler.isBusy()) return res.status(409).json({ error: 'a capture is already in progress' });
+        profiler.captureCpuProfile(seconds, { reason: 'manual' }).catch(err => {
+            if (RED.log) RED.log.warn(`[perf-monitor] CPU profile failed: ${err.message}`);
+        });
+        res.status(202).json({ kind: 'cpu', seconds, status: 'started' });
+    });
+
+    RED.httpAdmin.get('/performance-monitor/profiles/:name', ...permission('performance-monitor.read'), (req, res) => {
+        const file = profiler && profiler.pathFor(req.params.name);
+        if (!file) return res.status(404).json({ error: 'profile not found' });
+        res.set('Content-Disposition', `attachment; filename="${req.params.name}"`);
+        res.sendFile(file);
+    });
+
+    RED.httpAdmin.delete('/performance-monitor/profiles/:name', ...permission('performance-monitor.write'), (req, res) => {
+        try {
+            if (!profiler || !profiler.remove(req.params.name)) return res.status(404).json({ error: 'profile not found' });
+            res.status(204).send('');
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    RED.httpAdmin.get('/performance-monitor/notifications', (req, res) => {
+        const limit = Math.min(1000, parseInt(req.query.limit, 10) || 100);
+        res.json({ notifications: store.getNotifications(limit) });
+    });
+
     RED.httpAdmin.get('/performance-monitor/summary', (req, res) => {
         const range = parseInt(req.query.range, 10) || 60_000 * 5;
         res.json({ summary: store.getSummary(range) });
@@ -124,10 +599,10 @@ function registerRoutes({ RED, store, collector }) {
     });
 
     RED.httpAdmin.post('/performance-monitor/alarm-rules', (req, res) => {
-        const { metric, mode, threshold, duration_s, enabled = 1 } = req.body || {};
-        if (!metric || !VALID_METRICS.has(metric)) {
-            return res.status(400).json({ error: 'invalid metric' });
-        }
+        const { metric, mode, threshold, duration_s, enabled = 1, scope_type = null, scope_value = null, operator = 'gt', capture = null } = req.body || {};
+        const targetError = validateRuleTarget({ metric, scope_type, scope_value, operator });
+        if (targetError) return res.status(400).json({ error: targetError });
+        if (!validCapture(capture)) return res.status(400).json({ error: 'capture must be heap, cpu or null' });
         if (!mode || !['fixed', 'statistical'].includes(mode)) {
             return res.status(400).json({ error: 'invalid mode' });
         }
@@ -138,7 +613,7 @@ function registerRoutes({ RED, store, collector }) {
             return res.status(400).json({ error: 'threshold must be a finite number' });
         }
         try {
-            const rule = store.insertAlarmRule({ metric, mode, threshold, duration_s, enabled });
+            const rule = store.insertAlarmRule({ metric, mode, threshold, duration_s, enabled, scope_type, scope_value, operator, capture });
             if (RED.events) RED.events.emit('rules:changed');
             res.status(201).json(rule);
         } catch (err) {
@@ -152,8 +627,18 @@ function registerRoutes({ RED, store, collector }) {
         if ('threshold' in (req.body || {}) && (req.body.threshold == null || !Number.isFinite(Number(req.body.threshold)))) {
             return res.status(400).json({ error: 'threshold must be a finite number' });
         }
+        const body = req.body || {};
+        if ('capture' in body && !validCapture(body.capture)) {
+            return res.status(400).json({ error: 'capture must be heap, cpu or null' });
+        }
+        if (['metric', 'scope_type', 'scope_value', 'operator'].some(k => k in body)) {
+            const existing = store.getAlarmRules().find(r => r.id === id);
+            if (!existing) return res.status(404).json({ error: 'rule not found' });
+            const targetError = validateRuleTarget({ ...existing, ...body });
+            if (targetError) return res.status(400).json({ error: targetError });
+        }
         try {
-            const rule = store.updateAlarmRule(id, req.body || {});
+            const rule = store.updateAlarmRule(id, body);
             if (!rule) return res.status(404).json({ error: 'rule not found' });
             if (RED.events) RED.events.emit('rules:changed');
             res.json(rule);
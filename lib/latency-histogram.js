@@ -0,0 +1,56 @@
+'use strict';
+
+// Upper bounds (ms) of the fixed latency buckets. A histogram is an array of
+// BUCKETS_MS.length + 1 counts; the last slot holds everything above 10s.
+const BUCKETS_MS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+function createHistogram() {
+    return new Array(BUCKETS_MS.length + 1).fill(0);
+}
+
+function observe(hist, ms) {
+    let i = 0;
+    while (i < BUCKETS_MS.length && ms > BUCKETS_MS[i]) i++;
+    hist[i] += 1;
+}
+
+function merge(target, source) {
+    if (!Array.isArray(source)) return target;
+    for (let i = 0; i < target.length && i < source.length; i++) {
+        target[i] += Number(source[i]) || 0;
+    }
+    return target;
+}
+
+/**
+ * Estimate the q-quantile (0..1) of a histogram in ms, interpolating linearly
+ * inside the bucket that contains the rank. Values in the overflow bucket are
+ * reported as the largest finite bound. Returns null for an empty histogram.
+ */
+function percentile(hist, q) {
+    const total = hist.reduce((a, v) => a + v, 0);
+    if (total === 0) return null;
+    const rank = q * total;
+    let cumulative = 0;
+    for (let i = 0; i < hist.length; i++) {
+        if (hist[i] === 0) continue;
+        if (cumulative + hist[i] >= rank) {
+            const lower = i === 0 ? 0 : BUCKETS_MS[i - 1];
+            if (i >= BUCKETS_MS.length) return lower;
+            const upper = BUCKETS_MS[i];
+            return lower + (upper - lower) * ((rank - cumulative) / hist[i]);
+        }
+        cumulative += hist[i];
+    }
+    return BUCKETS_MS[BUCKETS_MS.length - 1];
+}
+
+function summarize(hist) {
+    return {
+        p50_ms: percentile(hist, 0.5),
+        p90_ms: percentile(hist, 0.9),
+        p99_ms: percentile(hist, 0.99)
+    };
+}
+
+module.exports = { BUCKETS_MS, createHistogram, observe, merge, percentile, summarize };
@@ -1,21 +1,157 @@
 const EventEmitter = require('events');
 const os = require('os');
 const fs = require('fs');
-const { detectContainerEnvironment, readContainerMemoryUsage } = require('./container-detect');
+const v8 = require('v8');
+const { PerformanceObserver, monitorEventLoopDelay, performance, constants: perfConstants } = require('perf_hooks');
+const { detectContainerEnvironment, readContainerMemoryUsage, CgroupStatsProbe } = require('./container-detect');
+const histogram = require('./latency-histogram');
+const { DiskProbe } = require('./disk-probe');
+const { ProcIoProbe } = require('./proc-io');
+
+const MAX_ERROR_MESSAGE = 500;
+const MAX_PENDING_ERRORS = 1000;            // distinct errors buffered between flushes
+const MIN_CPU_WINDOW_MS = 500;              // shorter system CPU windows reuse the last result
+// Compared on each container refresh; any change is recorded as an event
+const CONTAINER_FIELDS = ['isContainerized', 'cgroupVersion', 'cgroupPath', 'memoryLimit', 'cpuLimit'];
+
+// Per-interval delta columns summed into getSystemTotals(), so exporters can
+// publish them as monotonic counters rather than per-poll gauges
+const TOTAL_COLUMNS = [
+    'gc_count', 'gc_pause_ms', 'gc_major_ms',
+    'net_rx_bytes', 'net_tx_bytes', 'net_rx_errors', 'net_tx_errors',
+    'proc_read_bytes', 'proc_write_bytes', 'disk_read_bytes', 'disk_write_bytes',
+    'cg_cpu_throttled_ms', 'cg_oom_events', 'cg_oom_kills'
+];
+
+// PerformanceObserver 'gc' entry kind → sample column prefix
+const GC_KINDS = {
+    [perfConstants.NODE_PERFORMANCE_GC_MINOR]:       'gc_minor',
+    [perfConstants.NODE_PERFORMANCE_GC_MAJOR]:       'gc_major',
+    [perfConstants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'gc_incremental',
+    [perfConstants.NODE_PERFORMANCE_GC_WEAKCB]:      'gc_weakcb'
+};
+
+// v8.getHeapSpaceStatistics() space → sample column (bytes used)
+const HEAP_SPACES = {
+    new_space:          'heap_new_space',
+    old_space:          'heap_old_space',
+    large_object_space: 'heap_large_object_space'
+};
+
+// process.getActiveResourcesInfo() type → sample column. Every other type still
+// counts toward res_handles / res_requests.
+const RESOURCE_TYPES = {
+    TCPSocketWrap:  'res_sockets',
+    TCPWrap:        'res_sockets',
+    TLSWrap:        'res_sockets',
+    PipeWrap:       'res_sockets',
+    UDPWrap:        'res_sockets',
+    TCPServerWrap:  'res_servers',
+    PipeServerWrap: 'res_servers',
+    Timeout:        'res_timers',
+    Immediate:      'res_timers',
+    FSEventWrap:    'res_fs_watchers',
+    StatWatcher:    'res_fs_watchers',
+    ProcessWrap:    'res_child_processes'
+};
+const REQUEST_RE = /Req(Wrap|Callback)?$|^(Write|Shutdown|Connect|Query)Wrap$/;
+
+// Soft "Max open files" limit from /proc/self/limits; null off Linux or when unlimited.
+function _readFdLimit() {
+    try {
+        const m = /^Max open files\s+(\d+)/m.exec(fs.readFileSync('/proc/self/limits', 'utf8'));
+        return m ? Number(m[1]) : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+function _cpuTotal(t) {
+    return t.user + t.nice + t.sys + t.idle + t.irq;
+}
+
+function _emptyGcStats() {
+    const out = { gc_count: 0, gc_pause_ms: 0 };
+    for (const prefix of Object.values(GC_KINDS)) {
+        out[`${prefix}_count`] = 0;
+        out[`${prefix}_ms`] = 0;
+    }
+    return out;
+}
 
 class MetricsCollector extends EventEmitter {
-    constructor({ RED, pollInterval = 2000 } = {}) {
+    /**
+     * @param {Object} [opts.disk] - DiskProbe options (paths, userDir, dbPath,
+     *   intervalMs, dirSizeIntervalMs); without any, the working directory's volume
+     * @param {string} [opts.cgroupRoot] - cgroup v2 directory read for throttling, memory and
+     *   PSI stats; default the process's own cgroup
+     * @param {number} [opts.containerRefreshMs] - how often cgroup limits are re-read
+     */
+    constructor({ RED, pollInterval = 2000, disk = {}, cgroupRoot, containerRefreshMs = 60_000 } = {}) {
         super();
         this.RED = RED;
         this.pollInterval = pollInterval;
         this._lastCpu = process.cpuUsage();
         this._lastCpuTs = process.hrtime.bigint();
+        this._sysCpuBase = os.cpus().map(c => c.times);
+        this._sysCpuBaseTs = Date.now();
+        this._sysCpu = null;
         this._lastLoopCheck = process.hrtime.bigint();
         this._loopLag = 0;
         this._nodes = new Map();
+        this._totals = new Map();           // node id → cumulative counters, never reset by drainNodes()
+        this._errors = new Map();           // node id + message → error record, drained each tick
+        this._lastSample = null;
+        this._systemTotals = {};            // TOTAL_COLUMNS column → sum of every tick's delta
         this._container = detectContainerEnvironment();
+        this._containerCheckedTs = Date.now();
+        this._containerRefreshMs = containerRefreshMs;
+        this._gc = _emptyGcStats();         // GC count / pause per kind since the last drainGc()
+        this.fdLimit = _readFdLimit();
+        this.disk = new DiskProbe(disk);
+        this._procIo = new ProcIoProbe({ path: this.disk.paths[0] });
+        this._cgroupRoot = cgroupRoot;
+        this._cgroup = this._makeCgroupProbe();
 
         this._startLoopLagProbe();
+        this._startLoopDelayMonitor();
+        this._startGcObserver();
+    }
+
+    _startGcObserver() {
+        try {
+            this._gcObserver = new PerformanceObserver((list) => {
+                for (const entry of list.getEntries()) {
+                    const kind = entry.detail ? entry.detail.kind : entry.kind;
+                    const prefix = GC_KINDS[kind];
+                    this._gc.gc_count += 1;
+                    this._gc.gc_pause_ms += entry.duration;
+                    if (prefix) {
+                        this._gc[`${prefix}_count`] += 1;
+                        this._gc[`${prefix}_ms`] += entry.duration;
+                    }
+                }
+            });
+            this._gcObserver.observe({ entryTypes: ['gc'] });
+        } catch (_) {
+            this._gcObserver = null;
+        }
+    }
+
+    /** GC counts and pause totals (ms) per kind since the previous call. */
+    drainGc() {
+        const out = this._gc;
+        this._gc = _emptyGcStats();
+        return out;
+    }
+
+    _heapSpaces() {
+        const out = { heap_size_limit: v8.getHeapStatistics().heap_size_limit };
+        for (const space of v8.getHeapSpaceStatistics()) {
+            const column = HEAP_SPACES[space.space_name];
+            if (column) out[column] = space.space_used_size;
+        }
+        return out;
     }
 
     _startLoopLagProbe() {
@@ -29,6 +165,94 @@ class MetricsCollector extends EventEmitter {
         if (this._loopTimer.unref) this._loopTimer.unref();
     }
 
+    // The drift probe above only sees the stall that overlaps its own tick; the
+    // histogram samples every `resolution` ms, so short blocks show up in max / p99.
+    _startLoopDelayMonitor() {
+        try {
+            this._loopDelay = monitorEventLoopDelay({ resolution: 10 });
+            this._loopDelay.enable();
+        } catch (_) {
+            this._loopDelay = null;
+        }
+        this._lastElu = performance.eventLoopUtilization();
+    }
+
+    /**
+     * Event loop delay (ms) and utilization (%) since the previous call, then
+     * resets the histogram. Delay fields are null when nothing was sampled.
+     */
+    drainLoopDelay() {
+        const out = {
+            loop_delay_min_ms: null, loop_delay_mean_ms: null, loop_delay_p50_ms: null,
+            loop_delay_p99_ms: null, loop_delay_max_ms: null, loop_util_pct: null
+        };
+        const h = this._loopDelay;
+        if (h && h.count > 0) {
+            out.loop_delay_min_ms = h.min / 1e6;
+            out.loop_delay_mean_ms = h.mean / 1e6;
+            out.loop_delay_p50_ms = h.percentile(50) / 1e6;
+            out.loop_delay_p99_ms = h.percentile(99) / 1e6;
+            out.loop_delay_max_ms = h.max / 1e6;
+        }
+        if (h) h.reset();
+        const elu = performance.eventLoopUtilization();
+        out.loop_util_pct = performance.eventLoopUtilization(elu, this._lastElu).utilization * 100;
+        this._lastElu = elu;
+        return out;
+    }
+
+    /**
+     * Live libuv handles and requests, from process.getActiveResourcesInfo():
+     * totals, counts for the RESOURCE_TYPES categories, `byType` for every type
+     * seen, and `open_fds` from /proc/self/fd (null off Linux).
+     */
+    activeResources() {
+        const out = {
+            res_handles: 0, res_requests: 0, res_sockets: 0, res_servers: 0,
+            res_timers: 0, res_fs_watchers: 0, res_child_processes: 0, open_fds: null, byType: {}
+        };
+        const types = typeof process.getActiveResourcesInfo === 'function' ? process.getActiveResourcesInfo() : [];
+        for (const type of types) {
+            out.byType[type] = (out.byType[type] || 0) + 1;
+            if (REQUEST_RE.test(type)) out.res_requests++;
+            else out.res_handles++;
+            const column = RESOURCE_TYPES[type];
+            if (column) out[column]++;
+        }
+        try {
+            // Minus the descriptor readdirSync itself holds open
+            out.open_fds = Math.max(0, fs.readdirSync('/proc/self/fd').length - 1);
+        } catch (_) {}
+        return out;
+    }
+
+    // os.cpus() times are cumulative since boot, so utilisation is the busy share
+    // of the ticks elapsed since the previous call. Calls closer together than
+    // MIN_CPU_WINDOW_MS (/stats landing right after a tick) reuse the last result
+    // instead of measuring a window too short for the 10 ms tick resolution.
+    _sampleSysCpu() {
+        const now = Date.now();
+        if (this._sysCpu && now - this._sysCpuBaseTs < MIN_CPU_WINDOW_MS) return this._sysCpu;
+        const times = os.cpus().map(c => c.times);
+        let busy = 0, total = 0;
+        const cores = times.map((t, i) => {
+            const p = this._sysCpuBase[i];
+            const dTotal = _cpuTotal(t) - (p ? _cpuTotal(p) : 0);
+            const dBusy = dTotal - (t.idle - (p ? p.idle : 0));
+            busy += dBusy;
+            total += dTotal;
+            return dTotal > 0 ? Math.round((dBusy / dTotal) * 1000) / 10 : 0;
+        });
+        this._sysCpuBase = times;
+        this._sysCpuBaseTs = now;
+        this._sysCpu = {
+            sys_cpu_pct: total > 0 ? (busy / total) * 100 : 0,
+            sys_cpu_cores: cores,
+            sys_cpu_max_core_pct: cores.length ? Math.max(...cores) : 0
+        };
+        return this._sysCpu;
+    }
+
     sampleSystem() {
         const ts = Date.now();
 
@@ -45,48 +269,85 @@ class MetricsCollector extends EventEmitter {
 
         const mem = process.memoryUsage();
 
-        const cpus = os.cpus();
-        let sysIdle = 0, sysTotal = 0;
-        for (const c of cpus) {
-            sysIdle  += c.times.idle;
-            sysTotal += c.times.user + c.times.sys + c.times.idle + c.times.nice + c.times.irq;
-        }
-        const sysCpuPct = sysTotal > 0 ? ((sysTotal - sysIdle) / sysTotal) * 100 : 0;
+        const sysCpu = this._sampleSysCpu();
+        const [load1, load5, load15] = os.loadavg();
+        const cpuLimit = this._container.cpuLimit;
 
         const sysMemTotal = this._container.memoryLimit || os.totalmem();
         let sysMemUsed;
         if (this._container.isContainerized) {
-            const cg = readContainerMemoryUsage();
+            const cg = readContainerMemoryUsage(this._container);
             sysMemUsed = (cg != null) ? cg : (os.totalmem() - os.freemem());
         } else {
             sysMemUsed = os.totalmem() - os.freemem();
         }
 
-        let diskUsed = 0, diskTotal = 0;
-        try {
-            const stat = fs.statfsSync ? fs.statfsSync(process.cwd()) : null;
-            if (stat) {
-                diskTotal = stat.blocks * stat.bsize;
-                diskUsed = (stat.blocks - stat.bfree) * stat.bsize;
-            }
-        } catch (_) {}
+        const { byType, ...resources } = this.activeResources();
+
+        const volume = this.disk.primary();
+        const diskUsed = volume ? volume.used : 0;
+        const diskTotal = volume ? volume.total : 0;
 
         return {
             ts,
             proc_cpu_pct: procCpuPct,
+            // proc_cpu_pct is % of one core; this is % of the container's CPU quota
+            proc_cpu_quota_pct: cpuLimit ? procCpuPct / cpuLimit : null,
             proc_rss: mem.rss,
             proc_heap_used: mem.heapUsed,
             proc_heap_total: mem.heapTotal,
             event_loop_lag: this._loopLag,
-            sys_cpu_pct: sysCpuPct,
+            ...sysCpu,
+            load_avg_1: load1,
+            load_avg_5: load5,
+            load_avg_15: load15,
             sys_mem_used: sysMemUsed,
             sys_mem_total: sysMemTotal,
             disk_used: diskUsed,
             disk_total: diskTotal,
-            container: this._container.isContainerized ? 1 : 0
+            container: this._container.isContainerized ? 1 : 0,
+            ...this._heapSpaces(),
+            ...resources
         };
     }
 
+    // Without a limit the cgroup stats describe a host slice, not Node-RED's budget
+    _makeCgroupProbe() {
+        const c = this._container;
+        if (!this._cgroupRoot && !(c.isContainerized && c.cgroupVersion === 2)) return null;
+        return new CgroupStatsProbe({ root: this._cgroupRoot || c.cgroupPath, memoryLimit: c.memoryLimit });
+    }
+
+    /** Detected cgroup environment, plus when it was last checked. */
+    getContainerEnvironment() {
+        return { ...this._container, checkedAt: this._containerCheckedTs, refreshIntervalMs: this._containerRefreshMs };
+    }
+
+    /**
+     * Re-read cgroup limits. A change (`docker update`, an in-place pod resize, a
+     * new systemd `MemoryMax=`) is emitted as a `container-limits-changed` event.
+     */
+    refreshContainer(now = Date.now()) {
+        const prev = this._container;
+        const next = detectContainerEnvironment({ force: true });
+        this._container = next;
+        this._containerCheckedTs = now;
+        const changed = CONTAINER_FIELDS.filter(f => prev[f] !== next[f]);
+        if (changed.length === 0) return next;
+
+        if (prev.cgroupPath !== next.cgroupPath || prev.isContainerized !== next.isContainerized) {
+            this._cgroup = this._makeCgroupProbe();
+        } else if (this._cgroup) {
+            this._cgroup.memoryLimit = next.memoryLimit;
+        }
+        const pick = (c) => Object.fromEntries(CONTAINER_FIELDS.map(f => [f, c[f]]));
+        this.emit('event', { ts: now, kind: 'container-limits-changed', detail: { changed, previous: pick(prev), current: pick(next) } });
+        if (this.RED && this.RED.log) {
+            this.RED.log.info(`[perf-monitor] container limits changed: memory ${prev.memoryLimit} → ${next.memoryLimit}, cpu ${prev.cpuLimit} → ${next.cpuLimit}`);
+        }
+        return next;
+    }
+
     attachHooks() {
         if (!this.RED || !this.RED.hooks) return;
 
@@ -95,7 +356,8 @@ class MetricsCollector extends EventEmitter {
                 const node = sendEvents && sendEvents.source && sendEvents.source.node;
                 const msg = sendEvents && sendEvents.msg;
                 if (!node || !msg) return;
-                const rec = this._ensureNodeRec(node.id, node.type);
+                const rec = this._ensureNodeRec(node.id, node.type, this._locate(node));
+                rec.sends = true;
                 rec.starts.set(msg._msgid, process.hrtime.bigint());
             } catch (_) {}
         });
@@ -105,53 +367,233 @@ class MetricsCollector extends EventEmitter {
                 const node = sendEvents && sendEvents.source && sendEvents.source.node;
                 const msg = sendEvents && sendEvents.msg;
                 if (!node || !msg) return;
-                const rec = this._ensureNodeRec(node.id, node.type);
+                const rec = this._ensureNodeRec(node.id, node.type, this._locate(node));
                 const start = rec.starts.get(msg._msgid);
                 if (start !== undefined) {
                     const deltaMs = Number(process.hrtime.bigint() - start) / 1e6;
                     rec.count += 1;
                     rec.sumMs += deltaMs;
+                    histogram.observe(rec.hist, deltaMs);
                     rec.starts.delete(msg._msgid);
+                    const tot = this._ensureTotals(node.id, node.type);
+                    tot.msgs += 1;
+                    tot.processMs += deltaMs;
+                    histogram.observe(tot.hist, deltaMs);
                 }
             } catch (_) {}
         });
+
+        // Receive → done() for every node with an input, including terminal
+        // nodes (http response, debug, database writers) that never send.
+        this.RED.hooks.add('onReceive', (receiveEvent) => {
+            try {
+                const node = receiveEvent && receiveEvent.destination && receiveEvent.destination.node;
+                const msg = receiveEvent && receiveEvent.msg;
+                if (!node || !msg) return;
+                const rec = this._ensureNodeRec(node.id, node.type, this._locate(node));
+                rec.receives.set(msg._msgid, process.hrtime.bigint());
+            } catch (_) {}
+        });
+
+        this.RED.hooks.add('onComplete', (completeEvent) => {
+            try {
+                const node = completeEvent && completeEvent.node && completeEvent.node.node;
+                const msg = completeEvent && completeEvent.msg;
+                if (!node || !msg) return;
+                const rec = this._ensureNodeRec(node.id, node.type, this._locate(node));
+                const start = rec.receives.get(msg._msgid);
+                if (start === undefined) return;
+                rec.receives.delete(msg._msgid);
+                const deltaMs = Number(process.hrtime.bigint() - start) / 1e6;
+                rec.inCount += 1;
+                rec.inSumMs += deltaMs;
+                histogram.observe(rec.inHist, deltaMs);
+                if (completeEvent.error) rec.inErrors += 1;
+            } catch (_) {}
+        });
     }
 
-    _ensureNodeRec(id, type) {
+    // Tab a node is deployed on, and the outermost subflow instance it runs in.
+    // Nodes inside a subflow instance belong to a Subflow flow whose
+    // `subflowInstance` is the instance node; its `z` is the enclosing tab.
+    _locate(node) {
+        let flowId = node.z || null;
+        let subflowId = null;
+        let flow = node._flow;
+        while (flow && flow.subflowInstance) {
+            subflowId = flow.subflowInstance.id;
+            flowId = flow.subflowInstance.z || flowId;
+            flow = flow.parent;
+        }
+        return { flowId, subflowId };
+    }
+
+    // Labels for tab and subflow-instance ids, from the deployed flow config
+    getFlowLabels() {
+        const labels = {};
+        try {
+            if (!this.RED || !this.RED.nodes || !this.RED.nodes.eachNode) return labels;
+            const subflowNames = {};
+            this.RED.nodes.eachNode(n => { if (n.type === 'subflow') subflowNames[n.id] = n.name; });
+            this.RED.nodes.eachNode(n => {
+                if (n.type === 'tab') labels[n.id] = n.label || n.id;
+                else if (n.type && n.type.startsWith('subflow:')) labels[n.id] = n.name || subflowNames[n.type.slice(8)] || n.type;
+            });
+        } catch (_) {}
+        return labels;
+    }
+
+    _ensureNodeRec(id, type, { flowId = null, subflowId = null } = {}) {
         let rec = this._nodes.get(id);
         if (!rec) {
-            rec = { type, count: 0, sumMs: 0, errors: 0, lastErrorTs: null, starts: new Map() };
+            rec = {
+                type, flowId, subflowId, count: 0, sumMs: 0, hist: histogram.createHistogram(), errors: 0, lastErrorTs: null, starts: new Map(),
+                inCount: 0, inSumMs: 0, inHist: histogram.createHistogram(), inErrors: 0, receives: new Map(),
+                sends: false                // has ever sent; false marks a terminal node
+            };
             this._nodes.set(id, rec);
         } else {
             rec.type = type || rec.type;
+            rec.flowId = flowId || rec.flowId;
+            rec.subflowId = subflowId || rec.subflowId;
         }
         return rec;
     }
 
-    recordNodeError(nodeId, nodeType) {
-        const rec = this._ensureNodeRec(nodeId, nodeType);
+    _ensureTotals(id, type) {
+        let tot = this._totals.get(id);
+        if (!tot) {
+            tot = { type, msgs: 0, errors: 0, processMs: 0, hist: histogram.createHistogram() };
+            this._totals.set(id, tot);
+        } else {
+            tot.type = type || tot.type;
+        }
+        return tot;
+    }
+
+    recordNodeError(nodeId, nodeType, location, message) {
+        const ts = Date.now();
+        const rec = this._ensureNodeRec(nodeId, nodeType, location);
         rec.errors += 1;
-        rec.lastErrorTs = Date.now();
+        rec.lastErrorTs = ts;
+        this._ensureTotals(nodeId, nodeType).errors += 1;
+
+        const text = String(message == null ? 'unknown error' : message).slice(0, MAX_ERROR_MESSAGE);
+        const key = `${nodeId}\u0000${text}`;
+        const err = this._errors.get(key);
+        if (err) {
+            err.count += 1;
+            err.last_seen = ts;
+        } else if (this._errors.size < MAX_PENDING_ERRORS) {
+            this._errors.set(key, {
+                node_id: nodeId, node_type: nodeType || null, flow_id: rec.flowId,
+                message: text, first_seen: ts, last_seen: ts, count: 1
+            });
+        }
+    }
+
+    // node.error() goes through the runtime log as an ERROR entry carrying the
+    // node's id, type and tab; done(err) and catch-node errors are logged the same way.
+    attachErrorListener() {
+        const log = this.RED && this.RED.log;
+        if (!log || typeof log.addHandler !== 'function') return;
+        const ERROR = log.ERROR || 20;
+        this._logHandler = new EventEmitter();
+        this._logHandler.on('log', (entry) => {
+            try {
+                if (!entry || entry.level !== ERROR || !entry.id || !entry.type) return;
+                const m = entry.msg;
+                const message = m && typeof m === 'object' ? (m.message || m.toString()) : m;
+                const node = this.RED.nodes && this.RED.nodes.getNode ? this.RED.nodes.getNode(entry.id) : null;
+                const location = node ? this._locate(node) : { flowId: entry.z || null };
+                this.recordNodeError(entry.id, entry.type, location, message);
+            } catch (_) {}
+        });
+        log.addHandler(this._logHandler);
+    }
+
+    drainErrors() {
+        const out = Array.from(this._errors.values());
+        this._errors.clear();
+        return out;
+    }
+
+    // Forget cumulative totals of nodes a deploy removed, so /metrics stops
+    // exporting their series. Subflow-internal nodes resolve via getNode too.
+    pruneTotals() {
+        const nodes = this.RED && this.RED.nodes;
+        if (!nodes || typeof nodes.getNode !== 'function') return;
+        for (const id of this._totals.keys()) {
+            try {
+                if (!nodes.getNode(id)) this._totals.delete(id);
+            } catch (_) {}
+        }
+    }
+
+    getNodeTotals() {
+        const out = [];
+        for (const [id, tot] of this._totals.entries()) {
+            out.push({
+                node_id: id,
+                node_type: tot.type,
+                msg_count: tot.msgs,
+                error_count: tot.errors,
+                process_ms: tot.processMs,
+                latency_hist: tot.hist.slice()
+            });
+        }
+        return out;
+    }
+
+    getLastSample() {
+        return this._lastSample;
+    }
+
+    /**
+     * Running sums of the per-interval delta columns since start. A column is
+     * absent until a sample has reported it (e.g. no cgroup, not Linux).
+     * @returns {Object<string, number>}
+     */
+    getSystemTotals() {
+        return { ...this._systemTotals };
     }
 
     drainNodes() {
         const out = [];
         for (const [id, rec] of this._nodes.entries()) {
-            if (rec.count > 0 || rec.errors > 0) {
+            if (rec.count > 0 || rec.errors > 0 || rec.inCount > 0) {
+                const complete = histogram.summarize(rec.inHist);
                 out.push({
                     node_id: id,
                     node_type: rec.type,
+                    flow_id: rec.flowId,
+                    subflow_id: rec.subflowId,
                     msg_count: rec.count,
                     avg_process_ms: rec.count > 0 ? rec.sumMs / rec.count : 0,
+                    ...histogram.summarize(rec.hist),
+                    latency_hist: rec.count > 0 ? rec.hist : null,
                     error_count: rec.errors,
-                    last_error_ts: rec.lastErrorTs
+                    last_error_ts: rec.lastErrorTs,
+                    in_count: rec.inCount,
+                    avg_complete_ms: rec.inCount > 0 ? rec.inSumMs / rec.inCount : 0,
+                    complete_p90_ms: complete.p90_ms,
+                    complete_p99_ms: complete.p99_ms,
+                    complete_hist: rec.inCount > 0 ? rec.inHist : null,
+                    complete_error_count: rec.inErrors,
+                    terminal: rec.sends ? 0 : 1
                 });
             }
             rec.count = 0;
             rec.sumMs = 0;
+            rec.hist = histogram.createHistogram();
             rec.errors = 0;
             rec.lastErrorTs = null;
+            rec.inCount = 0;
+            rec.inSumMs = 0;
+            rec.inHist = histogram.createHistogram();
+            rec.inErrors = 0;
             if (rec.starts.size > 1000) rec.starts.clear();
+            if (rec.receives.size > 1000) rec.receives.clear();
         }
         return out;
     }
@@ -159,6 +601,7 @@ class MetricsCollector extends EventEmitter {
     attachLifecycleListeners() {
         if (!this.RED || !this.RED.events) return;
         this.RED.events.on('flows:started', () => {
+            this.pruneTotals();
             this.emit('event', { ts: Date.now(), kind: 'deploy', detail: null });
         });
         this.RED.events.on('flows:stopped', () => {
@@ -169,6 +612,7 @@ class MetricsCollector extends EventEmitter {
     start(store) {
         this._store = store;
         this.attachHooks();
+        this.attachErrorListener();
         this.attachLifecycleListeners();
         this.on('event', e => { try { store.insertEvent(e); } catch (_) {} });
 
@@ -178,10 +622,19 @@ class MetricsCollector extends EventEmitter {
 
     tick() {
         const tStart = Date.now();
-        const system = this.sampleSystem();
+        if (tStart - this._containerCheckedTs >= this._containerRefreshMs) this.refreshContainer(tStart);
+        const system = { ...this.sampleSystem(), ...this.drainGc(), ...this.drainLoopDelay(), ...this._procIo.drain(),
+            ...(this._cgroup ? this._cgroup.drain() : {}) };
         const nodes = this.drainNodes();
+        const errors = this.drainErrors();
+        const disks = this.disk.drain(system.ts);
+        this._lastSample = system;
+        for (const column of TOTAL_COLUMNS) {
+            if (system[column] == null) continue;
+            this._systemTotals[column] = (this._systemTotals[column] || 0) + Number(system[column]);
+        }
         try {
-            this._store.flush({ system, nodes });
+            this._store.flush({ system, nodes, errors, disks });
         } catch (err) {
             if (this.RED && this.RED.log) this.RED.log.warn(`[perf-monitor] flush failed: ${err.message}`);
         }
@@ -194,6 +647,10 @@ class MetricsCollector extends EventEmitter {
     stop() {
         clearInterval(this._loopTimer);
         clearInterval(this._flushTimer);
+        if (this._gcObserver) this._gcObserver.disconnect();
+        if (this._loopDelay) this._loopDelay.disable();
+        if (this._logHandler && this.RED.log.removeHandler) this.RED.log.removeHandler(this._logHandler);
+        this._logHandler = null;
     }
 
     emitAlarm(payload) {
@@ -1,13 +1,78 @@
 const EventEmitter = require('events');
+const fs = require('fs');
 const engine = require('./storage/sqlite-engine');
 const { runMigrations } = require('./migrations');
+const histogram = require('./latency-histogram');
+const rollups = require('./rollups');
+
+// Bucketed range queries report these columns, aggregated as given. The same
+// map drives the raw SQL and the rollup re-bucketing so both return one shape.
+const RANGE_COLUMNS = {
+    proc_cpu_pct:   'avg',
+    proc_rss:       'max',
+    proc_heap_used: 'avg',
+    event_loop_lag: 'avg',
+    sys_cpu_pct:    'avg',
+    sys_mem_used:   'avg',
+    sys_cpu_max_core_pct: 'avg',
+    load_avg_1:     'avg',
+    proc_cpu_quota_pct: 'avg',
+    gc_pause_ms:    'avg',
+    gc_major_count: 'avg',
+    heap_old_space: 'avg',
+    heap_new_space: 'avg',
+    heap_size_limit: 'max',
+    loop_delay_p99_ms: 'avg',
+    loop_delay_max_ms: 'max',
+    loop_util_pct:  'avg',
+    res_handles:    'max',
+    res_sockets:    'max',
+    res_timers:     'max',
+    open_fds:       'max',
+    net_rx_bytes:   'avg',
+    net_tx_bytes:   'avg',
+    disk_read_bytes: 'avg',
+    disk_write_bytes: 'avg',
+    disk_busy_pct:  'avg',
+    cg_cpu_throttled_pct: 'avg',
+    cg_mem_working_set: 'max',
+    cg_mem_pct:     'max',
+    cg_oom_kills:   'max',
+    psi_cpu_some:   'avg',
+    psi_mem_some:   'avg',
+    psi_io_some:    'avg'
+};
+
+// Tables GET /export can stream. Bucketed node_samples are grouped per node:
+// counts are summed, averages weighted by message count and percentiles keep
+// the bucket's peak. events are never bucketed.
+const EXPORT_TABLES = ['samples', 'node_samples', 'events'];
+const EXPORT_PAGE_ROWS = 1000;              // rows read per query while streaming an export
+const NODE_BUCKET_AGG = {
+    node_type:            'MAX(node_type)',
+    flow_id:              'MAX(flow_id)',
+    subflow_id:           'MAX(subflow_id)',
+    msg_count:            'SUM(msg_count)',
+    avg_process_ms:       'SUM(avg_process_ms * msg_count) / NULLIF(SUM(msg_count), 0)',
+    error_count:          'SUM(error_count)',
+    last_error_ts:        'MAX(last_error_ts)',
+    p50_ms:               'MAX(p50_ms)',
+    p90_ms:               'MAX(p90_ms)',
+    p99_ms:               'MAX(p99_ms)',
+    in_count:             'SUM(in_count)',
+    avg_complete_ms:      'SUM(avg_complete_ms * in_count) / NULLIF(SUM(in_count), 0)',
+    complete_error_count: 'SUM(complete_error_count)',
+    terminal:             'MIN(terminal)'
+};
 
 class MetricsStore extends EventEmitter {
-    constructor({ dbPath, retentionDays = 7, maxDbSizeMB = 500 } = {}) {
+    constructor({ dbPath, retentionDays = 7, maxDbSizeMB = 500, rollupRetentionDays = {}, log = null } = {}) {
         super();
         this.dbPath = dbPath;
+        this.log = log;                     // RED.log-like; maintenance failures are warned here
         this.retentionDays = retentionDays;
         this.maxDbSizeMB = maxDbSizeMB;
+        this.rollupRetentionDays = { '1m': 14, '1h': 90, ...rollupRetentionDays };
         this._db = null;
         this._tx = null;
         this._stmt = {};
@@ -20,9 +85,26 @@ class MetricsStore extends EventEmitter {
         this._db = engine.openDatabase(this.dbPath);
         this._tx = engine.makeTx(this._db);
         runMigrations(this._db);
+        this._ensureAutoVacuum();
         this._prepare();
     }
 
+    _warn(message) {
+        if (this.log && this.log.warn) this.log.warn(`[perf-monitor] ${message}`);
+    }
+
+    // Databases created before auto_vacuum was enabled never shrink on delete;
+    // convert them once, on open, so the size governor can actually free space
+    _ensureAutoVacuum() {
+        const { auto_vacuum } = this._db.prepare('PRAGMA auto_vacuum').get();
+        if (auto_vacuum === 2) return;
+        try {
+            this._db.exec('PRAGMA auto_vacuum = INCREMENTAL; VACUUM;');
+        } catch (err) {
+            this._warn(`could not enable incremental auto_vacuum: ${err.message}`);
+        }
+    }
+
     close() {
         if (this._db) {
             this._db.close();
@@ -35,24 +117,75 @@ class MetricsStore extends EventEmitter {
             INSERT INTO samples
             (ts, proc_cpu_pct, proc_rss, proc_heap_used, proc_heap_total,
              event_loop_lag, sys_cpu_pct, sys_mem_used, sys_mem_total,
-             disk_used, disk_total, container)
+             disk_used, disk_total, container,
+             gc_count, gc_pause_ms, gc_minor_count, gc_minor_ms, gc_major_count, gc_major_ms,
+             gc_incremental_count, gc_incremental_ms, gc_weakcb_count, gc_weakcb_ms,
+             heap_new_space, heap_old_space, heap_large_object_space, heap_size_limit,
+             loop_delay_min_ms, loop_delay_mean_ms, loop_delay_p50_ms, loop_delay_p99_ms,
+             loop_delay_max_ms, loop_util_pct,
+             res_handles, res_requests, res_sockets, res_servers, res_timers,
+             res_fs_watchers, res_child_processes, open_fds,
+             sys_cpu_cores, sys_cpu_max_core_pct, load_avg_1, load_avg_5, load_avg_15, proc_cpu_quota_pct,
+             net_rx_bytes, net_tx_bytes, net_rx_packets, net_tx_packets, net_rx_errors, net_tx_errors,
+             proc_read_bytes, proc_write_bytes, disk_read_bytes, disk_write_bytes, disk_busy_pct,
+             cg_cpu_throttled_periods, cg_cpu_throttled_pct, cg_cpu_throttled_ms,
+             cg_mem_anon, cg_mem_file, cg_mem_kernel, cg_mem_working_set, cg_mem_pct,
+             cg_oom_events, cg_oom_kills,
+             psi_cpu_some, psi_mem_some, psi_mem_full, psi_io_some, psi_io_full)
             VALUES
             (@ts, @proc_cpu_pct, @proc_rss, @proc_heap_used, @proc_heap_total,
              @event_loop_lag, @sys_cpu_pct, @sys_mem_used, @sys_mem_total,
-             @disk_used, @disk_total, @container)
+             @disk_used, @disk_total, @container,
+             @gc_count, @gc_pause_ms, @gc_minor_count, @gc_minor_ms, @gc_major_count, @gc_major_ms,
+             @gc_incremental_count, @gc_incremental_ms, @gc_weakcb_count, @gc_weakcb_ms,
+             @heap_new_space, @heap_old_space, @heap_large_object_space, @heap_size_limit,
+             @loop_delay_min_ms, @loop_delay_mean_ms, @loop_delay_p50_ms, @loop_delay_p99_ms,
+             @loop_delay_max_ms, @loop_util_pct,
+             @res_handles, @res_requests, @res_sockets, @res_servers, @res_timers,
+             @res_fs_watchers, @res_child_processes, @open_fds,
+             @sys_cpu_cores, @sys_cpu_max_core_pct, @load_avg_1, @load_avg_5, @load_avg_15, @proc_cpu_quota_pct,
+             @net_rx_bytes, @net_tx_bytes, @net_rx_packets, @net_tx_packets, @net_rx_errors, @net_tx_errors,
+             @proc_read_bytes, @proc_write_bytes, @disk_read_bytes, @disk_write_bytes, @disk_busy_pct,
+             @cg_cpu_throttled_periods, @cg_cpu_throttled_pct, @cg_cpu_throttled_ms,
+             @cg_mem_anon, @cg_mem_file, @cg_mem_kernel, @cg_mem_working_set, @cg_mem_pct,
+             @cg_oom_events, @cg_oom_kills,
+             @psi_cpu_some, @psi_mem_some, @psi_mem_full, @psi_io_some, @psi_io_full)
         `);
         if (this._stmt.insertSample.setAllowUnknownNamedParameters) {
             this._stmt.insertSample.setAllowUnknownNamedParameters(true);
         }
         this._stmt.insertNodeSample = this._db.prepare(`
             INSERT INTO node_samples
-            (ts, node_id, node_type, msg_count, avg_process_ms, error_count, last_error_ts)
+            (ts, node_id, node_type, msg_count, avg_process_ms, error_count, last_error_ts,
+             latency_hist, p50_ms, p90_ms, p99_ms, flow_id, subflow_id,
+             in_count, avg_complete_ms, complete_hist, complete_error_count, terminal)
             VALUES
-            (@ts, @node_id, @node_type, @msg_count, @avg_process_ms, @error_count, @last_error_ts)
+            (@ts, @node_id, @node_type, @msg_count, @avg_process_ms, @error_count, @last_error_ts,
+             @latency_hist, @p50_ms, @p90_ms, @p99_ms, @flow_id, @subflow_id,
+             @in_count, @avg_complete_ms, @complete_hist, @complete_error_count, @terminal)
         `);
         if (this._stmt.insertNodeSample.setAllowUnknownNamedParameters) {
             this._stmt.insertNodeSample.setAllowUnknownNamedParameters(true);
         }
+        this._stmt.insertDiskSample = this._db.prepare(`
+            INSERT INTO disk_samples (ts, kind, path, label, mount, total, used, avail, inodes_total, inodes_used, size)
+            VALUES (@ts, @kind, @path, @label, @mount, @total, @used, @avail, @inodes_total, @inodes_used, @size)
+        `);
+        if (this._stmt.insertDiskSample.setAllowUnknownNamedParameters) {
+            this._stmt.insertDiskSample.setAllowUnknownNamedParameters(true);
+        }
+        this._stmt.upsertNodeError = this._db.prepare(`
+            INSERT INTO node_errors (node_id, node_type, flow_id, message, first_seen, last_seen, count)
+            VALUES (@node_id, @node_type, @flow_id, @message, @first_seen, @last_seen, @count)
+            ON CONFLICT(node_id, message) DO UPDATE SET
+                node_type = COALESCE(excluded.node_type, node_type),
+                flow_id   = COALESCE(excluded.flow_id, flow_id),
+                last_seen = MAX(last_seen, excluded.last_seen),
+                count     = count + excluded.count
+        `);
+        if (this._stmt.upsertNodeError.setAllowUnknownNamedParameters) {
+            this._stmt.upsertNodeError.setAllowUnknownNamedParameters(true);
+        }
         this._stmt.recentSamples = this._db.prepare(`
             SELECT * FROM samples ORDER BY ts DESC LIMIT ?
         `);
@@ -69,7 +202,7 @@ class MetricsStore extends EventEmitter {
         `);
         this._stmt.getAlarmRules = this._db.prepare('SELECT * FROM alarm_rules ORDER BY id');
         this._stmt.insertAlarmRule = this._db.prepare(
-            'INSERT INTO alarm_rules (metric, mode, threshold, duration_s, enabled, created_at, updated_at) VALUES (@metric, @mode, @threshold, @duration_s, @enabled, @created_at, @updated_at)'
+            'INSERT INTO alarm_rules (metric, mode, threshold, duration_s, enabled, scope_type, scope_value, operator, capture, created_at, updated_at) VALUES (@metric, @mode, @threshold, @duration_s, @enabled, @scope_type, @scope_value, @operator, @capture, @created_at, @updated_at)'
         );
         this._stmt.getAlarmRuleById = this._db.prepare('SELECT * FROM alarm_rules WHERE id = ?');
         this._stmt.deleteAlarmRule = this._db.prepare('DELETE FROM alarm_rules WHERE id = ?');
@@ -96,16 +229,18 @@ class MetricsStore extends EventEmitter {
         return this._stmt.getAlarmRules.all();
     }
 
-    insertAlarmRule({ metric, mode, threshold, duration_s, enabled = 1 }) {
+    insertAlarmRule({ metric, mode, threshold, duration_s, enabled = 1, scope_type = null, scope_value = null, operator = 'gt', capture = null }) {
         if (this._degraded || !this._db) throw new Error('store not open');
         const now = Date.now();
-        const info = this._stmt.insertAlarmRule.run({ metric, mode, threshold, duration_s, enabled, created_at: now, updated_at: now });
+        const info = this._stmt.insertAlarmRule.run({
+            metric, mode, threshold, duration_s, enabled, scope_type, scope_value, operator, capture, created_at: now, updated_at: now
+        });
         return this._stmt.getAlarmRuleById.get(info.lastInsertRowid);
     }
 
     updateAlarmRule(id, fields) {
         if (this._degraded || !this._db) throw new Error('store not open');
-        const allowed = ['metric', 'mode', 'threshold', 'duration_s', 'enabled'];
+        const allowed = ['metric', 'mode', 'threshold', 'duration_s', 'enabled', 'scope_type', 'scope_value', 'operator', 'capture'];
         const sets = Object.keys(fields)
             .filter(k => allowed.includes(k))
             .map(k => `${k} = @${k}`)
@@ -128,7 +263,156 @@ class MetricsStore extends EventEmitter {
         this.emit('event', { ts, kind, detail });
     }
 
-    flush({ system, nodes = [] }) {
+    insertNotification({ ts, channel, type, pattern = null, severity = null, status, attempts, error = null }) {
+        if (this._degraded || !this._db) return;
+        this._db.prepare(`
+            INSERT INTO notification_log (ts, channel, type, pattern, severity, status, attempts, error)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(ts, channel, type, pattern, severity, status, attempts, error);
+    }
+
+    insertAlarmTransition({ ts, alarm_key, pattern = null, metric = null, severity = null, from_state, to_state, value = null }) {
+        if (this._degraded || !this._db) return;
+        this._db.prepare(`
+            INSERT INTO alarm_transitions (ts, alarm_key, pattern, metric, severity, from_state, to_state, value)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(ts, alarm_key, pattern, metric, severity, from_state, to_state, value);
+    }
+
+    getAlarmTransitions(fromTs, toTs) {
+        if (this._degraded || !this._db) return [];
+        return this._db.prepare('SELECT * FROM alarm_transitions WHERE ts BETWEEN ? AND ? ORDER BY ts ASC, id ASC').all(fromTs, toTs);
+    }
+
+    insertAlarmAck({ ts, alarm_key, user = null, comment = null }) {
+        if (this._degraded || !this._db) return;
+        this._db.prepare('INSERT INTO alarm_acks (ts, alarm_key, user, comment) VALUES (?, ?, ?, ?)')
+            .run(ts, alarm_key, user, comment);
+    }
+
+    insertSilence({ created_by = null, starts_at, ends_at, pattern = null, metric = null, severity = null, comment = null }) {
+        if (this._degraded || !this._db) throw new Error('store not open');
+        const info = this._db.prepare(`
+            INSERT INTO silences (created_at, created_by, starts_at, ends_at, pattern, metric, severity, comment)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(Date.now(), created_by, starts_at, ends_at, pattern, metric, severity, comment);
+        return this._db.prepare('SELECT * FROM silences WHERE id = ?').get(info.lastInsertRowid);
+    }
+
+    /** Silences that have not yet ended (including scheduled ones), or all with `includeExpired`. */
+    getSilences({ includeExpired = false, now = Date.now() } = {}) {
+        if (this._degraded || !this._db) return [];
+        if (includeExpired) return this._db.prepare('SELECT * FROM silences ORDER BY starts_at DESC').all();
+        return this._db.prepare('SELECT * FROM silences WHERE ends_at > ? ORDER BY starts_at ASC').all(now);
+    }
+
+    /** End a silence now. Returns false when it does not exist or already ended. */
+    expireSilence(id, now = Date.now()) {
+        if (this._degraded || !this._db) throw new Error('store not open');
+        return this._db.prepare('UPDATE silences SET ends_at = ? WHERE id = ? AND ends_at > ?').run(now, id, now).changes > 0;
+    }
+
+    getBuiltinPatterns() {
+        if (this._degraded || !this._db) return [];
+        return this._db.prepare('SELECT * FROM builtin_patterns ORDER BY pattern').all();
+    }
+
+    /** Merge `fields` (enabled, threshold, window_s, severity) into a pattern's override row; null resets to the default. */
+    setBuiltinPattern(pattern, fields) {
+        if (this._degraded || !this._db) throw new Error('store not open');
+        const current = this._db.prepare('SELECT * FROM builtin_patterns WHERE pattern = ?').get(pattern)
+            || { enabled: 1, threshold: null, window_s: null, severity: null, capture: null };
+        const row = { ...current, pattern, updated_at: Date.now() };
+        for (const k of ['enabled', 'threshold', 'window_s', 'severity', 'capture']) {
+            if (k in fields) row[k] = fields[k];
+        }
+        if (row.enabled == null) row.enabled = 1;
+        this._db.prepare(`
+            INSERT OR REPLACE INTO builtin_patterns (pattern, enabled, threshold, window_s, severity, capture, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(pattern, row.enabled ? 1 : 0, row.threshold, row.window_s, row.severity, row.capture, row.updated_at);
+        return this._db.prepare('SELECT * FROM builtin_patterns WHERE pattern = ?').get(pattern);
+    }
+
+    insertTrace({ trace_id, ts, duration_ms, origin_id = null, origin_type = null, flow_id = null, hop_count, status, truncated = 0, slowest_node = null, hops = [] }) {
+        if (this._degraded || !this._db) return;
+        this._db.prepare(`
+            INSERT INTO traces (trace_id, ts, duration_ms, origin_id, origin_type, flow_id, hop_count, status, truncated, slowest_node, hops)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(trace_id, ts, duration_ms, origin_id, origin_type, flow_id, hop_count, status, truncated, slowest_node, JSON.stringify(hops));
+    }
+
+    /** Trace summaries (without hops), newest first; `minDurationMs` finds the slow ones. */
+    getTraces(fromTs, toTs, { limit = 100, minDurationMs = 0, originId = null } = {}) {
+        if (this._degraded || !this._db) return [];
+        return this._db.prepare(`
+            SELECT id, trace_id, ts, duration_ms, origin_id, origin_type, flow_id, hop_count, status, truncated, slowest_node
+            FROM traces
+            WHERE ts BETWEEN ? AND ? AND duration_ms >= ? AND (? IS NULL OR origin_id = ?)
+            ORDER BY ts DESC
+            LIMIT ?
+        `).all(fromTs, toTs, minDurationMs, originId, originId, limit);
+    }
+
+    getTrace(id) {
+        if (this._degraded || !this._db) return null;
+        const row = this._db.prepare('SELECT * FROM traces WHERE id = ?').get(id);
+        if (!row) return null;
+        try { row.hops = JSON.parse(row.hops); } catch (_) { row.hops = []; }
+        return row;
+    }
+
+    getNotifications(limit = 100) {
+        if (this._degraded || !this._db) return [];
+        return this._db.prepare('SELECT * FROM notification_log ORDER BY ts DESC, id DESC LIMIT ?').all(limit);
+    }
+
+    // Deduplicated node errors: a record per (node, message) with first/last
+    // seen and how often it occurred.
+    getNodeErrors(fromTs, toTs, { nodeId = null, limit = 100 } = {}) {
+        if (this._degraded || !this._db) return [];
+        return this._db.prepare(`
+            SELECT * FROM node_errors
+            WHERE last_seen BETWEEN ? AND ? AND (? IS NULL OR node_id = ?)
+            ORDER BY last_seen DESC
+            LIMIT ?
+        `).all(fromTs, toTs, nodeId, nodeId, limit);
+    }
+
+    /** Nodes with errors last seen in the range, most occurrences first, each with its latest message. */
+    getFailingNodes(fromTs, toTs, { n = 10 } = {}) {
+        if (this._degraded || !this._db) return [];
+        return this._db.prepare(`
+            SELECT node_id, node_type, flow_id,
+                   SUM(count) AS error_count,
+                   COUNT(*) AS distinct_errors,
+                   MIN(first_seen) AS first_seen,
+                   MAX(last_seen) AS last_seen,
+                   (SELECT message FROM node_errors l
+                     WHERE l.node_id = e.node_id ORDER BY l.last_seen DESC, l.id DESC LIMIT 1) AS last_message
+            FROM node_errors e
+            WHERE last_seen BETWEEN ? AND ?
+            GROUP BY node_id
+            ORDER BY error_count DESC, last_seen DESC
+            LIMIT ?
+        `).all(fromTs, toTs, n);
+    }
+
+    /**
+     * Disk history: `volume` rows (statfs per monitored path) and `dir` rows
+     * (userDir breakdown), oldest first. `path` and `kind` narrow the result.
+     */
+    getDiskSamples(fromTs, toTs, { path = null, kind = null, limit = 5000 } = {}) {
+        if (this._degraded || !this._db) return [];
+        return this._db.prepare(`
+            SELECT * FROM disk_samples
+            WHERE ts BETWEEN ? AND ? AND (? IS NULL OR path = ?) AND (? IS NULL OR kind = ?)
+            ORDER BY ts ASC
+            LIMIT ?
+        `).all(fromTs, toTs, path, path, kind, kind, limit);
+    }
+
+    flush({ system, nodes = [], errors = [], disks = [] }) {
         if (this._degraded) {
             this._memoryBuffer.push({ ts: system.ts, system, nodes });
             while (this._memoryBuffer.length > 300) this._memoryBuffer.shift();
@@ -139,10 +423,33 @@ class MetricsStore extends EventEmitter {
 
         if (this._loggingEnabled) {
             this._tx(() => {
-                this._stmt.insertSample.run(system);
+                this._stmt.insertSample.run({
+                    ...system,
+                    sys_cpu_cores: Array.isArray(system.sys_cpu_cores) ? JSON.stringify(system.sys_cpu_cores) : null
+                });
                 for (const n of nodes) {
-                    if (n.msg_count === 0 && n.error_count === 0) continue;
-                    this._stmt.insertNodeSample.run({ ts: system.ts, ...n });
+                    if (n.msg_count === 0 && n.error_count === 0 && !n.in_count) continue;
+                    this._stmt.insertNodeSample.run({
+                        ts: system.ts,
+                        flow_id: null,
+                        subflow_id: null,
+                        in_count: 0,
+                        avg_complete_ms: null,
+                        complete_error_count: 0,
+                        terminal: 0,
+                        ...n,
+                        latency_hist: n.latency_hist ? JSON.stringify(n.latency_hist) : null,
+                        complete_hist: n.complete_hist ? JSON.stringify(n.complete_hist) : null
+                    });
+                }
+                for (const e of errors) {
+                    this._stmt.upsertNodeError.run({ node_type: null, flow_id: null, ...e });
+                }
+                for (const d of disks) {
+                    this._stmt.insertDiskSample.run({
+                        label: null, mount: null, total: null, used: null, avail: null,
+                        inodes_total: null, inodes_used: null, size: null, ...d
+                    });
                 }
             });
         }
@@ -162,14 +469,30 @@ class MetricsStore extends EventEmitter {
             return this._stmt.rangeRaw.all(fromTs, toTs);
         }
         const b = Math.max(1, Math.floor(Number(bucketMs)));
+
+        // Serve completed history from the coarsest rollup that fits the bucket
+        // and only the not-yet-rolled-up tail from raw samples.
+        const rollup = rollups.pickRollup(b);
+        const watermark = rollup ? rollups.getWatermark(this._db, rollup) : null;
+        if (rollup && watermark != null && watermark > fromTs) {
+            const split = Math.floor(Math.min(watermark, toTs + 1) / b) * b;
+            const head = split > fromTs
+                ? rollups.queryRollup(this._db, rollup, fromTs, split, b, RANGE_COLUMNS)
+                : [];
+            const tail = split <= toTs ? this._rangeBucketedRaw(Math.max(fromTs, split), toTs, b) : [];
+            return head.concat(tail);
+        }
+        return this._rangeBucketedRaw(fromTs, toTs, b);
+    }
+
+    _rangeBucketedRaw(fromTs, toTs, b) {
+        const cols = Object.entries(RANGE_COLUMNS)
+            .map(([c, agg]) => `${agg.toUpperCase()}(${c}) AS ${c}`)
+            .join(',\n                ');
         return this._db.prepare(`
             SELECT
                 (ts / ${b}) * ${b} AS ts,
-                AVG(proc_cpu_pct)   AS proc_cpu_pct,
-                MAX(proc_rss)       AS proc_rss,
-                AVG(event_loop_lag) AS event_loop_lag,
-                AVG(sys_cpu_pct)    AS sys_cpu_pct,
-                AVG(sys_mem_used)   AS sys_mem_used
+                ${cols}
             FROM samples
             WHERE ts BETWEEN ? AND ?
             GROUP BY ts / ${b}
@@ -177,6 +500,82 @@ class MetricsStore extends EventEmitter {
         `).all(fromTs, toTs);
     }
 
+    /**
+     * Rows of an EXPORT_TABLES table between fromTs and toTs, oldest first, for
+     * streaming. `rows` reads EXPORT_PAGE_ROWS at a time with keyset queries, so
+     * the result is never held in memory and no read statement stays open while
+     * a slow client drains (which would pin the WAL and block compaction). `ts`
+     * always comes first (and `node_id` for bucketed node_samples); `columns`
+     * picks the rest, default all. With `bucketMs`, samples are
+     * averaged per bucket (peak for RANGE_COLUMNS 'max' columns) and JSON text
+     * columns are dropped. Throws on unknown tables or columns.
+     * @returns {{ columns: string[], rows: Iterator<Object> }}
+     */
+    exportRows(table, fromTs, toTs, { columns = null, bucketMs = null } = {}) {
+        if (!EXPORT_TABLES.includes(table)) throw new Error(`unknown table: ${table}`);
+        if (this._degraded || !this._db) throw new Error('store not open');
+        const b = bucketMs ? Math.max(1, Math.floor(Number(bucketMs))) : null;
+        if (b && table === 'events') throw new Error('events cannot be bucketed');
+
+        const keys = b && table === 'node_samples' ? ['ts', 'node_id'] : ['ts'];
+        const info = this._db.prepare(`PRAGMA table_info(${table})`).all();
+        let aggs;
+        if (!b) aggs = Object.fromEntries(info.map(c => [c.name, c.name]));
+        else if (table === 'node_samples') aggs = NODE_BUCKET_AGG;
+        else {
+            aggs = Object.fromEntries(info
+                .filter(c => c.type !== 'TEXT')
+                .map(c => [c.name, `${(RANGE_COLUMNS[c.name] || 'avg').toUpperCase()}(${c.name})`]));
+        }
+        const available = Object.keys(aggs).filter(c => !keys.includes(c));
+        for (const c of columns || []) {
+            if (!keys.includes(c) && !available.includes(c)) throw new Error(`unknown column: ${c}`);
+        }
+        const picked = columns ? available.filter(c => columns.includes(c)) : available;
+        const selected = picked.map(c => (aggs[c] === c ? c : `${aggs[c]} AS ${c}`));
+
+        // Each page resumes after the last key it returned: (bucket[, node_id])
+        // when bucketed, (ts, rowid) otherwise.
+        const bucket = `(ts / ${b}) * ${b}`;
+        const sql = b ? `
+            SELECT ${[`${bucket} AS ts`, ...keys.slice(1), ...selected].join(', ')}
+            FROM ${table}
+            WHERE ts BETWEEN ? AND ? AND ts >= ?
+            GROUP BY ${[`ts / ${b}`, ...keys.slice(1)].join(', ')}
+            HAVING (${[bucket, ...keys.slice(1)].join(', ')}) > (${keys.map(() => '?').join(', ')})
+            ORDER BY ${keys.join(', ')}
+            LIMIT ${EXPORT_PAGE_ROWS}
+        ` : `
+            SELECT ${['ts', ...selected, 'rowid AS _rowid'].join(', ')}
+            FROM ${table}
+            WHERE ts BETWEEN ? AND ? AND ts >= ? AND (ts, rowid) > (?, ?)
+            ORDER BY ts, rowid
+            LIMIT ${EXPORT_PAGE_ROWS}
+        `;
+        const keyOf = b
+            ? row => keys.map(k => row[k])
+            : row => { const key = [row.ts, row._rowid]; delete row._rowid; return key; };
+        const start = b ? keys.map(k => (k === 'ts' ? -Infinity : '')) : [-Infinity, -Infinity];
+        return { columns: keys.concat(picked), rows: this._exportPages(this._db.prepare(sql), fromTs, toTs, keyOf, start) };
+    }
+
+    *_exportPages(stmt, fromTs, toTs, keyOf, key) {
+        for (;;) {
+            if (this._degraded || !this._db) return;
+            const page = stmt.all(fromTs, toTs, key[0], ...key);
+            for (const row of page) {
+                key = keyOf(row);
+                yield row;
+            }
+            if (page.length < EXPORT_PAGE_ROWS) return;
+        }
+    }
+
+    runRollups(now = Date.now()) {
+        if (this._degraded || !this._db) return {};
+        return rollups.runRollups(this._db, this._tx, now);
+    }
+
     getNodeStats(nodeId, fromTs, toTs) {
         if (this._degraded || !this._db) return [];
         return this._stmt.nodeStats.all(nodeId, fromTs, toTs);
@@ -197,6 +596,120 @@ class MetricsStore extends EventEmitter {
         `).all(fromTs, toTs, n);
     }
 
+    // Per-node totals over a range with p50/p90/p99 estimated from the merged
+    // latency histograms of every interval row. Receive → done() timings come
+    // alongside as in_count / avg_complete_ms / complete_p*; `terminal` limits
+    // the result to nodes that never sent (the row's latest flag wins).
+    getNodeLatency(fromTs, toTs, { sort = 'p99_ms', n = 10, terminal = false } = {}) {
+        if (this._degraded || !this._db) return [];
+        const allowed = new Set(['msg_count', 'avg_process_ms', 'error_count', 'p50_ms', 'p90_ms', 'p99_ms',
+            'in_count', 'avg_complete_ms', 'complete_error_count', 'complete_p90_ms', 'complete_p99_ms']);
+        if (!allowed.has(sort)) throw new Error(`unknown sort: ${sort}`);
+        const rows = this._db.prepare(`
+            SELECT node_id, node_type, msg_count, avg_process_ms, error_count, latency_hist,
+                   in_count, avg_complete_ms, complete_hist, complete_error_count, terminal
+            FROM node_samples
+            WHERE ts BETWEEN ? AND ?
+            ORDER BY ts ASC
+        `).all(fromTs, toTs);
+
+        const byNode = new Map();
+        for (const r of rows) {
+            let agg = byNode.get(r.node_id);
+            if (!agg) {
+                agg = {
+                    node_id: r.node_id, node_type: r.node_type, msg_count: 0, sumMs: 0, error_count: 0, hist: histogram.createHistogram(),
+                    in_count: 0, inSumMs: 0, complete_error_count: 0, inHist: histogram.createHistogram(), terminal: 0
+                };
+                byNode.set(r.node_id, agg);
+            }
+            agg.msg_count += r.msg_count || 0;
+            agg.sumMs += (r.msg_count || 0) * (r.avg_process_ms || 0);
+            agg.error_count += r.error_count || 0;
+            if (r.latency_hist) {
+                try { histogram.merge(agg.hist, JSON.parse(r.latency_hist)); } catch (_) {}
+            }
+            agg.in_count += r.in_count || 0;
+            agg.inSumMs += (r.in_count || 0) * (r.avg_complete_ms || 0);
+            agg.complete_error_count += r.complete_error_count || 0;
+            if (r.complete_hist) {
+                try { histogram.merge(agg.inHist, JSON.parse(r.complete_hist)); } catch (_) {}
+            }
+            agg.terminal = r.terminal || 0;
+        }
+
+        const out = [];
+        for (const agg of byNode.values()) {
+            if (terminal && !agg.terminal) continue;
+            const complete = histogram.summarize(agg.inHist);
+            out.push({
+                node_id: agg.node_id,
+                node_type: agg.node_type,
+                msg_count: agg.msg_count,
+                avg_process_ms: agg.msg_count > 0 ? agg.sumMs / agg.msg_count : 0,
+                error_count: agg.error_count,
+                ...histogram.summarize(agg.hist),
+                in_count: agg.in_count,
+                avg_complete_ms: agg.in_count > 0 ? agg.inSumMs / agg.in_count : 0,
+                complete_p50_ms: complete.p50_ms,
+                complete_p90_ms: complete.p90_ms,
+                complete_p99_ms: complete.p99_ms,
+                complete_error_count: agg.complete_error_count,
+                terminal: agg.terminal
+            });
+        }
+        out.sort((a, b) => (b[sort] || 0) - (a[sort] || 0));
+        return out.slice(0, n);
+    }
+
+    // Per-tab totals over a range: messages, msg/s, message-weighted average,
+    // errors and percentiles from the merged histograms of the tab's nodes.
+    // Rows recorded before flow tracking have no flow_id and are left out.
+    getFlowStats(fromTs, toTs, { sort = 'msg_count', n = 50 } = {}) {
+        if (this._degraded || !this._db) return [];
+        const allowed = new Set(['msg_count', 'msg_rate', 'avg_process_ms', 'error_count', 'p50_ms', 'p90_ms', 'p99_ms']);
+        if (!allowed.has(sort)) throw new Error(`unknown sort: ${sort}`);
+        const rows = this._db.prepare(`
+            SELECT flow_id, subflow_id, node_id, msg_count, avg_process_ms, error_count, latency_hist
+            FROM node_samples
+            WHERE ts BETWEEN ? AND ? AND flow_id IS NOT NULL
+        `).all(fromTs, toTs);
+
+        const byFlow = new Map();
+        for (const r of rows) {
+            let agg = byFlow.get(r.flow_id);
+            if (!agg) {
+                agg = { flow_id: r.flow_id, nodes: new Set(), subflows: new Set(), msg_count: 0, sumMs: 0, error_count: 0, hist: histogram.createHistogram() };
+                byFlow.set(r.flow_id, agg);
+            }
+            agg.nodes.add(r.node_id);
+            if (r.subflow_id) agg.subflows.add(r.subflow_id);
+            agg.msg_count += r.msg_count || 0;
+            agg.sumMs += (r.msg_count || 0) * (r.avg_process_ms || 0);
+            agg.error_count += r.error_count || 0;
+            if (r.latency_hist) {
+                try { histogram.merge(agg.hist, JSON.parse(r.latency_hist)); } catch (_) {}
+            }
+        }
+
+        const seconds = Math.max(1, (toTs - fromTs) / 1000);
+        const out = [];
+        for (const agg of byFlow.values()) {
+            out.push({
+                flow_id: agg.flow_id,
+                node_count: agg.nodes.size,
+                subflow_count: agg.subflows.size,
+                msg_count: agg.msg_count,
+                msg_rate: agg.msg_count / seconds,
+                avg_process_ms: agg.msg_count > 0 ? agg.sumMs / agg.msg_count : 0,
+                error_count: agg.error_count,
+                ...histogram.summarize(agg.hist)
+            });
+        }
+        out.sort((a, b) => (b[sort] || 0) - (a[sort] || 0));
+        return out.slice(0, n);
+    }
+
     getEvents(fromTs, toTs, kinds = []) {
         if (this._degraded || !this._db) return [];
         if (kinds.length === 0) return this._stmt.events.all(fromTs, toTs);
@@ -213,15 +726,23 @@ class MetricsStore extends EventEmitter {
             return result;
         }
         const cutoff = Date.now() - this.retentionDays * 86_400_000;
-        let deletedSamples = 0, deletedNodeSamples = 0, deletedEvents = 0;
+        let deletedSamples = 0, deletedNodeSamples = 0, deletedEvents = 0, deletedRollups = {};
         const tx = this._tx;
         tx(() => {
             deletedSamples      = this._db.prepare('DELETE FROM samples      WHERE ts < ?').run(cutoff).changes;
             deletedNodeSamples  = this._db.prepare('DELETE FROM node_samples WHERE ts < ?').run(cutoff).changes;
             deletedEvents       = this._db.prepare('DELETE FROM events       WHERE ts < ?').run(cutoff).changes;
+            this._db.prepare('DELETE FROM notification_log WHERE ts < ?').run(cutoff);
+            this._db.prepare('DELETE FROM alarm_transitions WHERE ts < ?').run(cutoff);
+            this._db.prepare('DELETE FROM alarm_acks        WHERE ts < ?').run(cutoff);
+            this._db.prepare('DELETE FROM silences          WHERE ends_at < ?').run(cutoff);
+            this._db.prepare('DELETE FROM traces            WHERE ts < ?').run(cutoff);
+            this._db.prepare('DELETE FROM node_errors       WHERE last_seen < ?').run(cutoff);
+            this._db.prepare('DELETE FROM disk_samples      WHERE ts < ?').run(cutoff);
+            deletedRollups      = rollups.pruneRollups(this._db, this.rollupRetentionDays);
         });
-        try { this._db.exec('PRAGMA incremental_vacuum;'); } catch (_) {}
-        const result = { deletedSamples, deletedNodeSamples, deletedEvents, cutoff };
+        try { this._db.exec('PRAGMA incremental_vacuum;'); } catch (err) { this._warn(`incremental_vacuum failed: ${err.message}`); }
+        const result = { deletedSamples, deletedNodeSamples, deletedEvents, deletedRollups, cutoff };
         this.emit('retention', result);
         return result;
     }
@@ -232,12 +753,76 @@ class MetricsStore extends EventEmitter {
         const limit = Math.max(1, Math.floor(total * fraction));
         const cutRow = this._db.prepare('SELECT ts FROM samples ORDER BY ts ASC LIMIT 1 OFFSET ?').get(limit);
         if (!cutRow) return { deletedSamples: 0 };
+        let deletedSamples = 0;
         this._tx(() => {
-            this._db.prepare('DELETE FROM samples      WHERE ts <= ?').run(cutRow.ts);
+            deletedSamples = this._db.prepare('DELETE FROM samples      WHERE ts <= ?').run(cutRow.ts).changes;
             this._db.prepare('DELETE FROM node_samples WHERE ts <= ?').run(cutRow.ts);
             this._db.prepare('DELETE FROM events       WHERE ts <= ?').run(cutRow.ts);
+            this._db.prepare('DELETE FROM traces       WHERE ts <= ?').run(cutRow.ts);
+            this._db.prepare('DELETE FROM node_errors  WHERE last_seen <= ?').run(cutRow.ts);
+            this._db.prepare('DELETE FROM disk_samples WHERE ts <= ?').run(cutRow.ts);
         });
-        return { deletedSamples: limit };
+        return { deletedSamples, cutoffTs: cutRow.ts };
+    }
+
+    // Footprint of live data: in-use pages (free-list pages are reusable, and
+    // incremental_vacuum hands them back) plus the write-ahead log.
+    getDbSizeBytes() {
+        if (this._degraded || !this._db) return 0;
+        const { page_count } = this._db.prepare('PRAGMA page_count').get();
+        const { freelist_count } = this._db.prepare('PRAGMA freelist_count').get();
+        const { page_size } = this._db.prepare('PRAGMA page_size').get();
+        let walBytes = 0;
+        try { walBytes = fs.statSync(this.dbPath + '-wal').size; } catch (_) {}
+        return (page_count - freelist_count) * page_size + walBytes;
+    }
+
+    _compact() {
+        try { this._db.exec('PRAGMA incremental_vacuum;'); } catch (err) { this._warn(`incremental_vacuum failed: ${err.message}`); }
+        try { this._db.exec('PRAGMA wal_checkpoint(TRUNCATE);'); } catch (err) { this._warn(`WAL checkpoint failed: ${err.message}`); }
+    }
+
+    /**
+     * Keep the database under `maxDbSizeMB` by dropping the oldest raw history
+     * (then the oldest rollups) a fraction at a time. Emits `store:pruned` and
+     * records a `retention` event when anything was removed.
+     *
+     * @returns {Object|null} null when already within budget
+     */
+    enforceSizeLimit({ fraction = 0.1, maxPasses = 10 } = {}) {
+        if (this._degraded || !this._db || !(this.maxDbSizeMB > 0)) return null;
+        const budget = this.maxDbSizeMB * 1024 * 1024;
+        const sizeBefore = this.getDbSizeBytes();
+        if (sizeBefore <= budget) return null;
+
+        this._compact();
+
+        let size = this.getDbSizeBytes();
+        let deletedSamples = 0, deletedRollupRows = 0, cutoffTs = null;
+        for (let pass = 0; pass < maxPasses && size > budget; pass++) {
+            const sizeBeforePass = size;
+            const r = this.pruneOldestFraction(fraction);
+            if (r.deletedSamples > 0) {
+                deletedSamples += r.deletedSamples;
+                cutoffTs = r.cutoffTs;
+            } else {
+                const removed = rollups.pruneOldestFraction(this._db, fraction);
+                if (removed === 0) break;
+                deletedRollupRows += removed;
+            }
+            this._compact();
+            size = this.getDbSizeBytes();
+            // Deleting more would only throw history away without freeing anything
+            if (size >= sizeBeforePass) break;
+        }
+
+        if (deletedSamples === 0 && deletedRollupRows === 0) return null;
+        const result = { sizeBefore, sizeAfter: size, budget, deletedSamples, deletedRollupRows, cutoffTs };
+        this.emit('store:pruned', result);
+        try {
+            this.insertEvent({ ts: Date.now(), kind: 'retention', detail: { reason: 'maxDbSize', ...result } });
+        } catch (_) {}
+        return result;
     }
 
     getSummary(rangeMs) {
@@ -0,0 +1,13 @@
+'use strict';
+
+module.exports = {
+    version: 3,
+    up(db) {
+        db.exec(`
+            ALTER TABLE node_samples ADD COLUMN latency_hist TEXT;
+            ALTER TABLE node_samples ADD COLUMN p50_ms REAL;
+            ALTER TABLE node_samples ADD COLUMN p90_ms REAL;
+            ALTER TABLE node_samples ADD COLUMN p99_ms REAL;
+        `);
+    }
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = {
+    version: 4,
+    up(db) {
+        for (const table of ['samples_1m', 'samples_1h']) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS ${table} (
+                    ts     INTEGER NOT NULL,
+                    metric TEXT NOT NULL,
+                    n      INTEGER NOT NULL,
+                    min    REAL,
+                    avg    REAL,
+                    max    REAL,
+                    p95    REAL,
+                    PRIMARY KEY (ts, metric)
+                )
+            `);
+        }
+    }
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = {
+    version: 5,
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS notification_log (
+                id       INTEGER PRIMARY KEY AUTOINCREMENT,
+                ts       INTEGER NOT NULL,
+                channel  TEXT NOT NULL,
+                type     TEXT NOT NULL,
+                pattern  TEXT,
+                severity TEXT,
+                status   TEXT NOT NULL,
+                attempts INTEGER NOT NULL,
+                error    TEXT
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_notification_log_ts ON notification_log(ts)');
+    }
+};
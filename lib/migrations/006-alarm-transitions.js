@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = {
+    version: 6,
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS alarm_transitions (
+                id         INTEGER PRIMARY KEY AUTOINCREMENT,
+                ts         INTEGER NOT NULL,
+                alarm_key  TEXT NOT NULL,
+                pattern    TEXT,
+                metric     TEXT,
+                severity   TEXT,
+                from_state TEXT NOT NULL,
+                to_state   TEXT NOT NULL,
+                value      REAL
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_alarm_transitions_ts ON alarm_transitions(ts)');
+    }
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+module.exports = {
+    version: 7,
+    up(db) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS silences (
+                id         INTEGER PRIMARY KEY AUTOINCREMENT,
+                created_at INTEGER NOT NULL,
+                created_by TEXT,
+                starts_at  INTEGER NOT NULL,
+                ends_at    INTEGER NOT NULL,
+                pattern    TEXT,
+                metric     TEXT,
+                severity   TEXT,
+                comment    TEXT
+            )
+        `);
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS alarm_acks (
+                id        INTEGER PRIMARY KEY AUTOINCREMENT,
+                ts        INTEGER NOT NULL,
+                alarm_key TEXT NOT NULL,
+                user      TEXT,
+                comment   TEXT
+            )
+        `);
+    }
+};
@@ -0,0 +1,12 @@
+'use strict';
+
+module.exports = {
+    version: 8,
+    up(db) {
+        // Per-node rules: scope_type is 'node' | 'type' | 'flow', scope_value
+        // the node id, node type or flow tab id. System-metric rules leave both NULL.
+        db.exec(`ALTER TABLE alarm_rules ADD COLUMN scope_type TEXT`);
+        db.exec(`ALTER TABLE alarm_rules ADD COLUMN scope_value TEXT`);
+        db.exec(`ALTER TABLE alarm_rules ADD COLUMN operator TEXT NOT NULL DEFAULT 'gt'`);
+    }
+};
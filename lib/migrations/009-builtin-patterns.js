@@ -0,0 +1,19 @@
+'use strict';
+
+module.exports = {
+    version: 9,
+    up(db) {
+        // Overrides for the detector's built-in patterns. NULL columns fall back
+        // to the defaults in lib/anomaly-detector.js.
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS builtin_patterns (
+                pattern    TEXT PRIMARY KEY,
+                enabled    INTEGER NOT NULL DEFAULT 1,
+                threshold  REAL,
+                window_s   INTEGER,
+                severity   TEXT,
+                updated_at INTEGER NOT NULL
+            )
+        `);
+    }
+};
@@ -0,0 +1,12 @@
+'use strict';
+
+module.exports = {
+    version: 10,
+    up(db) {
+        db.exec(`
+            ALTER TABLE node_samples ADD COLUMN flow_id TEXT;
+            ALTER TABLE node_samples ADD COLUMN subflow_id TEXT;
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_node_samples_flow_ts ON node_samples(flow_id, ts)');
+    }
+};
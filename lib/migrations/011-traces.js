@@ -0,0 +1,25 @@
+'use strict';
+
+module.exports = {
+    version: 11,
+    up(db) {
+        // One row per sampled message path; `hops` is the JSON hop list from lib/tracer.js
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS traces (
+                id           INTEGER PRIMARY KEY AUTOINCREMENT,
+                trace_id     TEXT NOT NULL,
+                ts           INTEGER NOT NULL,
+                duration_ms  REAL,
+                origin_id    TEXT,
+                origin_type  TEXT,
+                flow_id      TEXT,
+                hop_count    INTEGER,
+                status       TEXT,
+                truncated    INTEGER DEFAULT 0,
+                slowest_node TEXT,
+                hops         TEXT
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_traces_ts ON traces(ts)');
+    }
+};
@@ -0,0 +1,14 @@
+'use strict';
+
+module.exports = {
+    version: 12,
+    up(db) {
+        db.exec(`
+            ALTER TABLE node_samples ADD COLUMN in_count INTEGER NOT NULL DEFAULT 0;
+            ALTER TABLE node_samples ADD COLUMN avg_complete_ms REAL;
+            ALTER TABLE node_samples ADD COLUMN complete_hist TEXT;
+            ALTER TABLE node_samples ADD COLUMN complete_error_count INTEGER NOT NULL DEFAULT 0;
+            ALTER TABLE node_samples ADD COLUMN terminal INTEGER NOT NULL DEFAULT 0;
+        `);
+    }
+};
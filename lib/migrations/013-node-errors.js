@@ -0,0 +1,22 @@
+'use strict';
+
+module.exports = {
+    version: 13,
+    up(db) {
+        // One row per distinct (node, message); repeats bump `count` and `last_seen`
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS node_errors (
+                id          INTEGER PRIMARY KEY AUTOINCREMENT,
+                node_id     TEXT NOT NULL,
+                node_type   TEXT,
+                flow_id     TEXT,
+                message     TEXT NOT NULL,
+                first_seen  INTEGER NOT NULL,
+                last_seen   INTEGER NOT NULL,
+                count       INTEGER NOT NULL DEFAULT 1,
+                UNIQUE (node_id, message)
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_node_errors_last_seen ON node_errors(last_seen)');
+    }
+};
@@ -0,0 +1,12 @@
+'use strict';
+
+module.exports = {
+    version: 14,
+    up(db) {
+        // 'heap' / 'cpu': take a heap snapshot or CPU profile when the alarm fires
+        db.exec(`
+            ALTER TABLE alarm_rules ADD COLUMN capture TEXT;
+            ALTER TABLE builtin_patterns ADD COLUMN capture TEXT;
+        `);
+    }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+module.exports = {
+    version: 15,
+    up(db) {
+        // Per poll interval: GC count and pause time (ms), in total and per kind.
+        // Heap spaces are bytes used at sample time.
+        db.exec(`
+            ALTER TABLE samples ADD COLUMN gc_count INTEGER;
+            ALTER TABLE samples ADD COLUMN gc_pause_ms REAL;
+            ALTER TABLE samples ADD COLUMN gc_minor_count INTEGER;
+            ALTER TABLE samples ADD COLUMN gc_minor_ms REAL;
+            ALTER TABLE samples ADD COLUMN gc_major_count INTEGER;
+            ALTER TABLE samples ADD COLUMN gc_major_ms REAL;
+            ALTER TABLE samples ADD COLUMN gc_incremental_count INTEGER;
+            ALTER TABLE samples ADD COLUMN gc_incremental_ms REAL;
+            ALTER TABLE samples ADD COLUMN gc_weakcb_count INTEGER;
+            ALTER TABLE samples ADD COLUMN gc_weakcb_ms REAL;
+            ALTER TABLE samples ADD COLUMN heap_new_space INTEGER;
+            ALTER TABLE samples ADD COLUMN heap_old_space INTEGER;
+            ALTER TABLE samples ADD COLUMN heap_large_object_space INTEGER;
+            ALTER TABLE samples ADD COLUMN heap_size_limit INTEGER;
+        `);
+    }
+};
@@ -0,0 +1,17 @@
+'use strict';
+
+module.exports = {
+    version: 16,
+    up(db) {
+        // monitorEventLoopDelay() histogram over the poll interval (ms) and
+        // eventLoopUtilization() for the same interval (%).
+        db.exec(`
+            ALTER TABLE samples ADD COLUMN loop_delay_min_ms REAL;
+            ALTER TABLE samples ADD COLUMN loop_delay_mean_ms REAL;
+            ALTER TABLE samples ADD COLUMN loop_delay_p50_ms REAL;
+            ALTER TABLE samples ADD COLUMN loop_delay_p99_ms REAL;
+            ALTER TABLE samples ADD COLUMN loop_delay_max_ms REAL;
+            ALTER TABLE samples ADD COLUMN loop_util_pct REAL;
+        `);
+    }
+};
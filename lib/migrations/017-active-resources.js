@@ -0,0 +1,19 @@
+'use strict';
+
+module.exports = {
+    version: 17,
+    up(db) {
+        // Live libuv handles / requests at sample time (process.getActiveResourcesInfo)
+        // and open file descriptors (/proc/self/fd, NULL off Linux).
+        db.exec(`
+            ALTER TABLE samples ADD COLUMN res_handles INTEGER;
+            ALTER TABLE samples ADD COLUMN res_requests INTEGER;
+            ALTER TABLE samples ADD COLUMN res_sockets INTEGER;
+            ALTER TABLE samples ADD COLUMN res_servers INTEGER;
+            ALTER TABLE samples ADD COLUMN res_timers INTEGER;
+            ALTER TABLE samples ADD COLUMN res_fs_watchers INTEGER;
+            ALTER TABLE samples ADD COLUMN res_child_processes INTEGER;
+            ALTER TABLE samples ADD COLUMN open_fds INTEGER;
+        `);
+    }
+};
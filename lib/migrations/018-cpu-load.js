@@ -0,0 +1,18 @@
+'use strict';
+
+module.exports = {
+    version: 18,
+    up(db) {
+        // sys_cpu_pct itself changes meaning from "since boot" to "since the
+        // previous sample"; old rows are left as they are.
+        // sys_cpu_cores is a JSON array of per-core utilisation (%).
+        db.exec(`
+            ALTER TABLE samples ADD COLUMN sys_cpu_cores TEXT;
+            ALTER TABLE samples ADD COLUMN sys_cpu_max_core_pct REAL;
+            ALTER TABLE samples ADD COLUMN load_avg_1 REAL;
+            ALTER TABLE samples ADD COLUMN load_avg_5 REAL;
+            ALTER TABLE samples ADD COLUMN load_avg_15 REAL;
+            ALTER TABLE samples ADD COLUMN proc_cpu_quota_pct REAL;
+        `);
+    }
+};
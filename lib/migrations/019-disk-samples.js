@@ -0,0 +1,26 @@
+'use strict';
+
+module.exports = {
+    version: 19,
+    up(db) {
+        // kind 'volume': statfs of a monitored path (bytes and inodes).
+        // kind 'dir': size of a userDir component (`label` flows, context, ...).
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS disk_samples (
+                ts            INTEGER NOT NULL,
+                kind          TEXT NOT NULL,
+                path          TEXT NOT NULL,
+                label         TEXT,
+                mount         TEXT,
+                total         INTEGER,
+                used          INTEGER,
+                avail         INTEGER,
+                inodes_total  INTEGER,
+                inodes_used   INTEGER,
+                size          INTEGER
+            )
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_disk_samples_ts ON disk_samples(ts)');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_disk_samples_path_ts ON disk_samples(path, ts)');
+    }
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+module.exports = {
+    version: 20,
+    up(db) {
+        // Per poll interval, from /proc (Linux; NULL elsewhere). Network is all
+        // non-loopback interfaces; disk_* is the block device of the primary
+        // disk path; proc_* is storage I/O caused by Node-RED itself.
+        db.exec(`
+            ALTER TABLE samples ADD COLUMN net_rx_bytes INTEGER;
+            ALTER TABLE samples ADD COLUMN net_tx_bytes INTEGER;
+            ALTER TABLE samples ADD COLUMN net_rx_packets INTEGER;
+            ALTER TABLE samples ADD COLUMN net_tx_packets INTEGER;
+            ALTER TABLE samples ADD COLUMN net_rx_errors INTEGER;
+            ALTER TABLE samples ADD COLUMN net_tx_errors INTEGER;
+            ALTER TABLE samples ADD COLUMN proc_read_bytes INTEGER;
+            ALTER TABLE samples ADD COLUMN proc_write_bytes INTEGER;
+            ALTER TABLE samples ADD COLUMN disk_read_bytes INTEGER;
+            ALTER TABLE samples ADD COLUMN disk_write_bytes INTEGER;
+            ALTER TABLE samples ADD COLUMN disk_busy_pct REAL;
+        `);
+    }
+};
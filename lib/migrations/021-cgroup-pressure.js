@@ -0,0 +1,26 @@
+'use strict';
+
+module.exports = {
+    version: 21,
+    up(db) {
+        // cgroup v2 stats for the container (NULL outside one). Throttling and
+        // OOM counts are per poll interval; psi_* are the kernel's 10 s averages.
+        db.exec(`
+            ALTER TABLE samples ADD COLUMN cg_cpu_throttled_periods INTEGER;
+            ALTER TABLE samples ADD COLUMN cg_cpu_throttled_pct REAL;
+            ALTER TABLE samples ADD COLUMN cg_cpu_throttled_ms REAL;
+            ALTER TABLE samples ADD COLUMN cg_mem_anon INTEGER;
+            ALTER TABLE samples ADD COLUMN cg_mem_file INTEGER;
+            ALTER TABLE samples ADD COLUMN cg_mem_kernel INTEGER;
+            ALTER TABLE samples ADD COLUMN cg_mem_working_set INTEGER;
+            ALTER TABLE samples ADD COLUMN cg_mem_pct REAL;
+            ALTER TABLE samples ADD COLUMN cg_oom_events INTEGER;
+            ALTER TABLE samples ADD COLUMN cg_oom_kills INTEGER;
+            ALTER TABLE samples ADD COLUMN psi_cpu_some REAL;
+            ALTER TABLE samples ADD COLUMN psi_mem_some REAL;
+            ALTER TABLE samples ADD COLUMN psi_mem_full REAL;
+            ALTER TABLE samples ADD COLUMN psi_io_some REAL;
+            ALTER TABLE samples ADD COLUMN psi_io_full REAL;
+        `);
+    }
+};
@@ -1,6 +1,25 @@
 const migrations = [
     require('./001-initial'),
-    require('./002-alarm-rules')
+    require('./002-alarm-rules'),
+    require('./003-node-latency-histograms'),
+    require('./004-rollups'),
+    require('./005-notification-log'),
+    require('./006-alarm-transitions'),
+    require('./007-silences'),
+    require('./008-alarm-rule-scope'),
+    require('./009-builtin-patterns'),
+    require('./010-node-flow-location'),
+    require('./011-traces'),
+    require('./012-node-complete-timing'),
+    require('./013-node-errors'),
+    require('./014-alarm-capture'),
+    require('./015-gc-heap-spaces'),
+    require('./016-loop-delay'),
+    require('./017-active-resources'),
+    require('./018-cpu-load'),
+    require('./019-disk-samples'),
+    require('./020-proc-io'),
+    require('./021-cgroup-pressure')
 ].sort((a, b) => a.version - b.version);
 
 const CURRENT_VERSION = migrations[migrations.length - 1].version;
@@ -0,0 +1,110 @@
+'use strict';
+const EventEmitter = require('events');
+const { createWebhookChannel } = require('./webhook');
+const { createSmtpChannel } = require('./smtp');
+
+const FACTORIES = {
+    webhook: createWebhookChannel,
+    smtp:    createSmtpChannel
+};
+
+/**
+ * Fans anomaly alerts out to the channels configured in
+ * `settings.performanceMonitor.notifiers`. Each channel may restrict itself
+ * with `severities: ['critical', ...]`; failed deliveries are retried with
+ * exponential backoff and every final outcome is written to the delivery log.
+ */
+class NotifierManager extends EventEmitter {
+    constructor({ configs = [], store = null, RED = null, retries = 3, backoffMs = 5000 } = {}) {
+        super();
+        this._store = store;
+        this._RED = RED;
+        this._retries = retries;
+        this._backoffMs = backoffMs;
+        this._sleeps = new Set();
+        this._stopped = false;
+        this.channels = [];
+
+        for (const config of configs) {
+            try {
+                const factory = FACTORIES[config && config.type];
+                if (!factory) throw new Error(`unknown notifier type "${config && config.type}"`);
+                const channel = factory(config);
+                channel.severities = Array.isArray(config.severities) && config.severities.length
+                    ? new Set(config.severities)
+                    : null;
+                channel.retries = Number.isInteger(config.retries) ? config.retries : retries;
+                this.channels.push(channel);
+            } catch (err) {
+                this._warn(`notifier config skipped: ${err.message}`);
+            }
+        }
+    }
+
+    _warn(text) {
+        if (this._RED && this._RED.log) this._RED.log.warn(`[perf-monitor] ${text}`);
+    }
+
+    /**
+     * Deliver an alert to every channel routed for its severity. Never rejects;
+     * resolves with one `{ channel, status, attempts, error }` per channel.
+     */
+    notify(alert) {
+        const targets = this.channels.filter(c => !c.severities || c.severities.has(alert.severity));
+        return Promise.all(targets.map(c => this._deliver(c, alert)));
+    }
+
+    async _deliver(channel, alert) {
+        let attempts = 0, error = null;
+        for (;;) {
+            attempts++;
+            try {
+                await channel.send(alert);
+                error = null;
+                break;
+            } catch (err) {
+                error = err;
+                if (attempts > channel.retries || this._stopped) break;
+                await this._sleep(this._backoffMs * 2 ** (attempts - 1));
+                if (this._stopped) break;
+            }
+        }
+        const entry = {
+            ts: Date.now(),
+            channel: channel.name,
+            type: channel.type,
+            pattern: alert.pattern,
+            severity: alert.severity,
+            status: error ? 'failed' : 'sent',
+            attempts,
+            error: error ? error.message : null
+        };
+        if (error) this._warn(`notifier ${channel.name} failed after ${attempts} attempt(s): ${error.message}`);
+        try {
+            if (this._store) this._store.insertNotification(entry);
+        } catch (_) {}
+        this.emit('delivery', entry);
+        return entry;
+    }
+
+    _sleep(ms) {
+        return new Promise((resolve) => {
+            const sleep = { resolve };
+            sleep.timer = setTimeout(() => { this._sleeps.delete(sleep); resolve(); }, ms);
+            if (sleep.timer.unref) sleep.timer.unref();
+            this._sleeps.add(sleep);
+        });
+    }
+
+    // Abandon pending retries; in-flight attempts finish on their own timeouts.
+    stop() {
+        this._stopped = true;
+        for (const sleep of this._sleeps) {
+            clearTimeout(sleep.timer);
+            sleep.resolve();
+        }
+        this._sleeps.clear();
+    }
+}
+
+module.exports = { NotifierManager, FACTORIES };
@@ -0,0 +1,217 @@
+'use strict';
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+// Minimal SMTP submission client (EHLO, optional STARTTLS, AUTH PLAIN/LOGIN,
+// one message). Enough to page someone without pulling in a mail library.
+
+class SmtpSession {
+    constructor(socket, timeoutMs) {
+        this._timeoutMs = timeoutMs;
+        this._buffer = '';
+        this._lines = [];
+        this._replies = [];
+        this._waiters = [];
+        this._error = null;
+        this._attach(socket);
+    }
+
+    _attach(socket) {
+        this.socket = socket;
+        this._buffer = '';
+        socket.setTimeout(this._timeoutMs, () => socket.destroy(new Error(`SMTP timeout after ${this._timeoutMs}ms`)));
+        socket.on('data', (chunk) => this._onData(chunk));
+        socket.on('error', (err) => this._fail(err));
+        socket.on('close', () => this._fail(new Error('SMTP connection closed')));
+    }
+
+    _onData(chunk) {
+        this._buffer += chunk.toString('utf8');
+        let idx;
+        while ((idx = this._buffer.indexOf('\n')) !== -1) {
+            const line = this._buffer.slice(0, idx).replace(/\r$/, '');
+            this._buffer = this._buffer.slice(idx + 1);
+            this._lines.push(line);
+            // "250-..." continues a multi-line reply, "250 ..." ends it.
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = { code: parseInt(line.slice(0, 3), 10), lines: this._lines.map(l => l.slice(4)) };
+                this._lines = [];
+                const waiter = this._waiters.shift();
+                if (waiter) waiter.resolve(reply);
+                else this._replies.push(reply);
+            }
+        }
+    }
+
+    _fail(err) {
+        if (!this._error) this._error = err;
+        while (this._waiters.length) this._waiters.shift().reject(this._error);
+    }
+
+    read() {
+        if (this._replies.length) return Promise.resolve(this._replies.shift());
+        if (this._error) return Promise.reject(this._error);
+        return new Promise((resolve, reject) => this._waiters.push({ resolve, reject }));
+    }
+
+    async expect(codes, line) {
+        if (line != null) this.socket.write(line + '\r\n');
+        const reply = await this.read();
+        if (!codes.includes(reply.code)) {
+            const sent = line == null ? 'greeting' : line.split(' ')[0];
+            throw new Error(`SMTP ${sent} rejected: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+
+    upgrade(tlsOptions) {
+        const plain = this.socket;
+        plain.removeAllListeners('data');
+        plain.removeAllListeners('close');
+        plain.setTimeout(0);
+        return new Promise((resolve, reject) => {
+            const secure = tls.connect({ ...tlsOptions, socket: plain }, () => resolve());
+            secure.once('error', reject);
+            this._attach(secure);
+        });
+    }
+
+    close() {
+        this.socket.removeAllListeners('close');
+        this.socket.destroy();
+    }
+}
+
+function _encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text, date = new Date() }) {
+    const body = String(text)
+        .replace(/\r?\n/g, '\r\n')
+        .split('\r\n')
+        .map(l => (l.startsWith('.') ? '.' + l : l))       // dot-stuffing
+        .join('\r\n');
+    return [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${_encodeHeader(subject)}`,
+        `Date: ${date.toUTCString()}`,
+        `Message-ID: <${date.getTime()}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        body
+    ].join('\r\n');
+}
+
+/**
+ * Deliver one plain-text message.
+ *
+ * @param {Object} opts
+ * @param {string} opts.host
+ * @param {number} [opts.port] - 465 when `secure`, else 587
+ * @param {boolean} [opts.secure=false] - implicit TLS from the first byte
+ * @param {boolean} [opts.starttls=true] - upgrade when the server offers STARTTLS
+ * @param {boolean} [opts.requireTLS=true] - refuse to send `auth` over an
+ *   unencrypted connection; `false` allows cleartext credentials
+ * @param {{user: string, pass: string}} [opts.auth]
+ * @param {Object} [opts.tls] - extra `tls.connect` options
+ * @param {string} opts.from
+ * @param {string[]} opts.to
+ * @param {string} opts.subject
+ * @param {string} opts.text
+ * @param {number} [opts.timeoutMs=15000]
+ */
+async function sendMail(opts) {
+    const { host, secure = false, starttls = true, requireTLS = true, auth, from, to, subject, text, timeoutMs = 15_000 } = opts;
+    const port = opts.port || (secure ? 465 : 587);
+    const tlsOptions = { servername: host, ...opts.tls };
+
+    const socket = secure
+        ? tls.connect({ host, port, ...tlsOptions })
+        : net.connect({ host, port });
+    const session = new SmtpSession(socket, timeoutMs);
+    const hostname = os.hostname() || 'localhost';
+    try {
+        await session.expect([220]);
+        let ehlo = await session.expect([250], `EHLO ${hostname}`);
+
+        const offers = (keyword) => ehlo.lines.some(l => l.toUpperCase().startsWith(keyword));
+        let encrypted = secure;
+        if (!secure && starttls && offers('STARTTLS')) {
+            await session.expect([220], 'STARTTLS');
+            await session.upgrade(tlsOptions);
+            ehlo = await session.expect([250], `EHLO ${hostname}`);
+            encrypted = true;
+        }
+
+        if (auth && auth.user) {
+            if (!encrypted && requireTLS) {
+                throw new Error('SMTP connection is not encrypted; refusing to send credentials (set requireTLS: false to allow)');
+            }
+            const mechanisms = (ehlo.lines.find(l => /^AUTH[ =]/i.test(l)) || '').toUpperCase();
+            if (mechanisms.includes('PLAIN') || !mechanisms.includes('LOGIN')) {
+                const token = Buffer.from(`\0${auth.user}\0${auth.pass || ''}`, 'utf8').toString('base64');
+                await session.expect([235], `AUTH PLAIN ${token}`);
+            } else {
+                await session.expect([334], 'AUTH LOGIN');
+                await session.expect([334], Buffer.from(auth.user, 'utf8').toString('base64'));
+                await session.expect([235], Buffer.from(auth.pass || '', 'utf8').toString('base64'));
+            }
+        }
+
+        await session.expect([250], `MAIL FROM:<${from}>`);
+        for (const rcpt of to) await session.expect([250, 251], `RCPT TO:<${rcpt}>`);
+        await session.expect([354], 'DATA');
+        await session.expect([250], buildMessage({ from, to, subject, text }) + '\r\n.');
+        await session.expect([221], 'QUIT').catch(() => {});
+    } finally {
+        session.close();
+    }
+}
+
+function _formatText(alert) {
+    const lines = [
+        alert.message,
+        '',
+        `Severity:  ${alert.severity}`,
+        `Pattern:   ${alert.pattern}`,
+        `Metric:    ${alert.metric}`,
+        `Value:     ${alert.value}`,
+        `Threshold: ${alert.threshold}`,
+        `Host:      ${os.hostname()}`,
+        `Time:      ${new Date(alert.ts).toISOString()}`
+    ];
+    if (alert.deployNearby) lines.push('', 'A flow deploy happened within 5 minutes of this alert.');
+    return lines.join('\n');
+}
+
+/**
+ * @param {Object} config - `sendMail` connection options plus `from`, `to`
+ *   (string or array) and an optional `subjectPrefix`.
+ */
+function createSmtpChannel(config) {
+    if (!config.host) throw new Error('smtp notifier requires host');
+    const to = [].concat(config.to || []).filter(Boolean);
+    if (!config.from || to.length === 0) throw new Error('smtp notifier requires from and to');
+    const prefix = config.subjectPrefix || '[Node-RED]';
+    return {
+        type: 'smtp',
+        name: config.name || `smtp:${config.host}`,
+        send(alert) {
+            return sendMail({
+                ...config,
+                to,
+                subject: `${prefix} ${(alert.kind === 'resolved' ? 'RESOLVED' : String(alert.severity || '').toUpperCase())} ${alert.pattern}: ${alert.message}`,
+                text: _formatText(alert)
+            });
+        }
+    };
+}
+
+module.exports = { createSmtpChannel, sendMail, buildMessage };
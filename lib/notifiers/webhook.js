@@ -0,0 +1,81 @@
+'use strict';
+const os = require('os');
+const { postJson } = require('../http-post');
+
+const COLORS = { critical: '#d32f2f', high: '#f57c00', medium: '#fbc02d', low: '#1976d2', resolved: '#388e3c' };
+
+function _color(alert) {
+    return COLORS[alert.kind === 'resolved' ? 'resolved' : alert.severity] || COLORS.low;
+}
+
+function _facts(alert) {
+    const facts = [
+        ['Severity', alert.severity],
+        ['Pattern', alert.pattern],
+        ['Metric', alert.metric],
+        ['Value', alert.value],
+        ['Threshold', alert.threshold],
+        ['Host', os.hostname()],
+        ['Time', new Date(alert.ts).toISOString()]
+    ];
+    if (alert.deployNearby) facts.push(['Deploy nearby', 'yes']);
+    return facts.filter(([, v]) => v != null && v !== '');
+}
+
+function _title(alert) {
+    const label = alert.kind === 'resolved' ? 'resolved' : alert.severity || 'alert';
+    return `[${label.toUpperCase()}] Node-RED ${alert.pattern || 'anomaly'}`;
+}
+
+const FORMATS = {
+    generic(alert) {
+        return { source: 'node-red-contrib-performance-monitor', host: os.hostname(), alert };
+    },
+
+    // Slack incoming webhook (also accepted by Mattermost / Rocket.Chat).
+    slack(alert) {
+        return {
+            text: `${_title(alert)}: ${alert.message}`,
+            attachments: [{
+                color: _color(alert),
+                fields: _facts(alert).map(([title, value]) => ({ title, value: String(value), short: true }))
+            }]
+        };
+    },
+
+    // Microsoft Teams incoming webhook (legacy MessageCard connector payload).
+    teams(alert) {
+        return {
+            '@type': 'MessageCard',
+            '@context': 'https://schema.org/extensions',
+            summary: _title(alert),
+            themeColor: _color(alert).slice(1),
+            title: _title(alert),
+            text: alert.message,
+            sections: [{ facts: _facts(alert).map(([name, value]) => ({ name, value: String(value) })) }]
+        };
+    }
+};
+
+/**
+ * @param {Object} config
+ * @param {string} config.url
+ * @param {'generic'|'slack'|'teams'} [config.format='generic']
+ * @param {Object} [config.headers] - e.g. an Authorization header for generic receivers
+ * @param {number} [config.timeoutMs=10000]
+ */
+function createWebhookChannel(config) {
+    if (!config.url) throw new Error('webhook notifier requires url');
+    const format = config.format || 'generic';
+    const render = FORMATS[format];
+    if (!render) throw new Error(`unknown webhook format "${format}"`);
+    return {
+        type: 'webhook',
+        name: config.name || `webhook:${format}`,
+        send(alert) {
+            return postJson(config.url, render(alert), { headers: config.headers, timeoutMs: config.timeoutMs });
+        }
+    };
+}
+
+module.exports = { createWebhookChannel, FORMATS };
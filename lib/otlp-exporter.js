@@ -0,0 +1,241 @@
+'use strict';
+const os = require('os');
+const crypto = require('crypto');
+const { postJson } = require('./http-post');
+const { GAUGES, SYSTEM_COUNTERS, NODE_COUNTERS } = require('./prometheus');
+const { BUCKETS_MS } = require('./latency-histogram');
+const { detectContainerEnvironment } = require('./container-detect');
+const { version } = require('../package.json');
+
+// OTLP/HTTP JSON exporter. Metric names and units match the Prometheus
+// endpoint so both feeds land in the same series after collector translation.
+// int64 fields (times, counts) are decimal strings, as the OTLP JSON mapping requires.
+
+const SCOPE = { name: 'node-red-contrib-performance-monitor', version };
+const CUMULATIVE = 2;                       // AGGREGATION_TEMPORALITY_CUMULATIVE
+
+// Event severity → OTLP SeverityNumber / SeverityText
+const LOG_SEVERITY = {
+    critical: [17, 'ERROR'],
+    high:     [17, 'ERROR'],
+    medium:   [13, 'WARN'],
+    low:      [13, 'WARN']
+};
+
+function _nanos(ms) {
+    return String(BigInt(Math.round(ms * 1000)) * 1000n);
+}
+
+function _attr(key, value) {
+    if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? { key, value: { intValue: String(value) } } : { key, value: { doubleValue: value } };
+    }
+    return { key, value: { stringValue: String(value) } };
+}
+
+function _attrs(obj) {
+    return Object.entries(obj).filter(([, v]) => v != null).map(([k, v]) => _attr(k, v));
+}
+
+function _hexId(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Periodically pushes system gauges, cumulative per-node counters and latency
+ * histograms to `/v1/metrics`, store events (anomaly, resolved, deploy, …) to
+ * `/v1/logs` and, when a Tracer is given, finished message traces to `/v1/traces`.
+ */
+class OtlpExporter {
+    /**
+     * @param {Object} opts
+     * @param {string} opts.endpoint - collector base URL, e.g. http://otel-collector:4318
+     * @param {Object} [opts.headers] - e.g. an auth header for a hosted collector
+     * @param {number} [opts.intervalMs=60000]
+     * @param {string} [opts.serviceName='node-red']
+     * @param {string} [opts.instanceName] - `service.instance.id`, defaults to the hostname
+     * @param {number} [opts.maxQueue=1000] - buffered logs / traces kept between pushes
+     */
+    constructor({ RED, store, collector, tracer = null, endpoint, headers = {}, intervalMs = 60_000, timeoutMs = 10_000,
+        serviceName = 'node-red', instanceName = os.hostname(), maxQueue = 1000 }) {
+        if (!endpoint) throw new Error('otlp exporter requires endpoint');
+        this.RED = RED;
+        this._store = store;
+        this._collector = collector;
+        this._tracer = tracer;
+        this._endpoint = endpoint.replace(/\/+$/, '');
+        this._headers = headers;
+        this._intervalMs = intervalMs;
+        this._timeoutMs = timeoutMs;
+        this._maxQueue = maxQueue;
+        this._startMs = Date.now();
+        this._events = [];
+        this._traces = [];
+
+        const container = detectContainerEnvironment();
+        this._resource = {
+            attributes: _attrs({
+                'service.name': serviceName,
+                'service.instance.id': instanceName,
+                'service.version': version,
+                'host.name': os.hostname(),
+                'process.pid': process.pid,
+                'process.runtime.name': 'nodejs',
+                'process.runtime.version': process.version,
+                'nodered.containerized': container.isContainerized,
+                'nodered.cgroup.version': container.cgroupVersion
+            })
+        };
+    }
+
+    start() {
+        if (this._running) return;
+        this._running = true;
+        this._onEvent = (ev) => this._enqueue(this._events, ev);
+        this._store.on('event', this._onEvent);
+        if (this._tracer) {
+            this._onTrace = (t) => this._enqueue(this._traces, t);
+            this._tracer.on('trace', this._onTrace);
+        }
+        this._timer = setInterval(() => { this.flush().catch(() => {}); }, this._intervalMs);
+        if (this._timer.unref) this._timer.unref();
+    }
+
+    stop() {
+        if (!this._running) return;
+        this._running = false;
+        clearInterval(this._timer);
+        this._store.off('event', this._onEvent);
+        if (this._tracer) this._tracer.off('trace', this._onTrace);
+    }
+
+    _enqueue(queue, item) {
+        queue.push(item);
+        if (queue.length > this._maxQueue) queue.shift();
+    }
+
+    buildMetrics(now = Date.now()) {
+        const metrics = [];
+        const time = _nanos(now);
+        const start = _nanos(this._startMs);
+        const system = this._collector.getLastSample();
+        if (system) {
+            for (const g of GAUGES) {
+                if (system[g.column] == null) continue;
+                metrics.push({
+                    name: g.name, description: g.help,
+                    gauge: { dataPoints: [{ timeUnixNano: time, asDouble: Number(system[g.column]) * (g.scale || 1) }] }
+                });
+            }
+        }
+
+        const totals = this._collector.getSystemTotals();
+        for (const c of SYSTEM_COUNTERS) {
+            if (totals[c.column] == null) continue;
+            metrics.push({
+                name: c.name, description: c.help,
+                sum: {
+                    aggregationTemporality: CUMULATIVE, isMonotonic: true,
+                    dataPoints: [{ startTimeUnixNano: start, timeUnixNano: time, asDouble: Number(totals[c.column]) * (c.scale || 1) }]
+                }
+            });
+        }
+
+        const nodes = this._collector.getNodeTotals();
+        const nodeAttrs = (n) => _attrs({ node_id: n.node_id, node_type: n.node_type });
+        for (const c of NODE_COUNTERS) {
+            metrics.push({
+                name: c.name, description: c.help,
+                sum: {
+                    aggregationTemporality: CUMULATIVE, isMonotonic: true,
+                    dataPoints: nodes.map(n => ({
+                        attributes: nodeAttrs(n), startTimeUnixNano: start, timeUnixNano: time,
+                        asDouble: (n[c.field] || 0) * (c.scale || 1)
+                    }))
+                }
+            });
+        }
+        metrics.push({
+            name: 'perf_monitor_node_process_duration_seconds',
+            description: 'Distribution of per-message delivery time for messages sent by a node.',
+            histogram: {
+                aggregationTemporality: CUMULATIVE,
+                dataPoints: nodes.filter(n => Array.isArray(n.latency_hist)).map(n => ({
+                    attributes: nodeAttrs(n), startTimeUnixNano: start, timeUnixNano: time,
+                    count: String(n.latency_hist.reduce((a, v) => a + v, 0)),
+                    sum: (n.process_ms || 0) / 1000,
+                    bucketCounts: n.latency_hist.map(String),
+                    explicitBounds: BUCKETS_MS.map(ms => ms / 1000)
+                }))
+            }
+        });
+
+        return { resourceMetrics: [{ resource: this._resource, scopeMetrics: [{ scope: SCOPE, metrics }] }] };
+    }
+
+    buildLogs(events) {
+        const logRecords = events.map(ev => {
+            const detail = ev.detail && typeof ev.detail === 'object' ? ev.detail : {};
+            const [severityNumber, severityText] = ev.kind === 'anomaly' && LOG_SEVERITY[detail.severity] || [9, 'INFO'];
+            return {
+                timeUnixNano: _nanos(ev.ts),
+                severityNumber, severityText,
+                body: { stringValue: detail.message || ev.kind },
+                attributes: _attrs({
+                    'event.name': `perf_monitor.${ev.kind}`,
+                    pattern: detail.pattern, metric: detail.metric, severity: detail.severity,
+                    value: detail.value, threshold: detail.threshold, alarm_key: detail.key
+                })
+            };
+        });
+        return { resourceLogs: [{ resource: this._resource, scopeLogs: [{ scope: SCOPE, logRecords }] }] };
+    }
+
+    // One root span for the whole path plus one child span per hop covering the
+    // destination node's processing (receive → done).
+    buildTraces(traces) {
+        const spans = [];
+        for (const t of traces) {
+            const traceId = _hexId(16);
+            const rootId = _hexId(8);
+            spans.push({
+                traceId, spanId: rootId, name: `${t.origin_type || 'message'} ${t.origin_id}`, kind: 1,
+                startTimeUnixNano: _nanos(t.ts), endTimeUnixNano: _nanos(t.ts + (t.duration_ms || 0)),
+                attributes: _attrs({ 'nodered.msgid': t.trace_id, 'nodered.flow_id': t.flow_id, 'nodered.hops': t.hop_count }),
+                status: { code: t.status === 'complete' ? 1 : 2, message: t.status === 'complete' ? '' : t.status }
+            });
+            for (const h of t.hops || []) {
+                if (h.received_ms == null) continue;
+                spans.push({
+                    traceId, spanId: _hexId(8), parentSpanId: rootId, name: `${h.to_type || 'node'} ${h.to}`, kind: 1,
+                    startTimeUnixNano: _nanos(t.ts + h.received_ms),
+                    endTimeUnixNano: _nanos(t.ts + (h.completed_ms != null ? h.completed_ms : h.received_ms)),
+                    attributes: _attrs({ node_id: h.to, node_type: h.to_type, from_node_id: h.from, wait_ms: h.wait_ms }),
+                    status: h.error ? { code: 2, message: h.error } : { code: 0 }
+                });
+            }
+        }
+        return { resourceSpans: [{ resource: this._resource, scopeSpans: [{ scope: SCOPE, spans }] }] };
+    }
+
+    /** Push everything collected since the last push. A failed push is logged and dropped. */
+    async flush(now = Date.now()) {
+        const events = this._events.splice(0);
+        const traces = this._traces.splice(0);
+        const sends = [['/v1/metrics', this.buildMetrics(now)]];
+        if (events.length) sends.push(['/v1/logs', this.buildLogs(events)]);
+        if (traces.length) sends.push(['/v1/traces', this.buildTraces(traces)]);
+
+        const results = await Promise.allSettled(sends.map(([path, body]) =>
+            postJson(this._endpoint + path, body, { headers: this._headers, timeoutMs: this._timeoutMs })));
+        results.forEach((r, i) => {
+            if (r.status === 'rejected' && this.RED && this.RED.log) {
+                this.RED.log.warn(`[perf-monitor] OTLP push to ${sends[i][0]} failed: ${r.reason.message}`);
+            }
+        });
+        return results;
+    }
+}
+
+module.exports = { OtlpExporter };
@@ -0,0 +1,150 @@
+'use strict';
+const fs = require('fs');
+
+const PROC_PATHS = {
+    netDev: '/proc/net/dev',
+    selfIo: '/proc/self/io',
+    diskstats: '/proc/diskstats'
+};
+
+// Column → counter, in the order ProcIoProbe reports them
+const NET_FIELDS = {
+    net_rx_bytes: 'rxBytes',
+    net_tx_bytes: 'txBytes',
+    net_rx_packets: 'rxPackets',
+    net_tx_packets: 'txPackets',
+    net_rx_errors: 'rxErrors',
+    net_tx_errors: 'txErrors'
+};
+const IO_COLUMNS = [
+    ...Object.keys(NET_FIELDS),
+    'proc_read_bytes', 'proc_write_bytes',
+    'disk_read_bytes', 'disk_write_bytes', 'disk_busy_pct'
+];
+
+const SECTOR_BYTES = 512;                   // /proc/diskstats always counts 512-byte sectors
+
+function _read(file) {
+    try { return fs.readFileSync(file, 'utf8'); } catch (_) { return null; }
+}
+
+/** Totals over every interface except loopback, from /proc/net/dev text. */
+function parseNetDev(text) {
+    const out = { rxBytes: 0, rxPackets: 0, rxErrors: 0, txBytes: 0, txPackets: 0, txErrors: 0 };
+    for (const line of text.split('\n').slice(2)) {
+        const idx = line.indexOf(':');
+        if (idx < 0) continue;
+        if (line.slice(0, idx).trim() === 'lo') continue;
+        const f = line.slice(idx + 1).trim().split(/\s+/).map(Number);
+        if (f.length < 16) continue;
+        out.rxBytes += f[0];
+        out.rxPackets += f[1];
+        out.rxErrors += f[2];
+        out.txBytes += f[8];
+        out.txPackets += f[9];
+        out.txErrors += f[10];
+    }
+    return out;
+}
+
+/** Storage bytes this process caused to be read / written, from /proc/self/io text. */
+function parseSelfIo(text) {
+    const get = (key) => {
+        const m = new RegExp(`^${key}:\\s*(\\d+)`, 'm').exec(text);
+        return m ? Number(m[1]) : null;
+    };
+    return { readBytes: get('read_bytes'), writeBytes: get('write_bytes') };
+}
+
+/** Counters for the block device `major:minor` from /proc/diskstats text, or null. */
+function parseDiskstats(text, major, minor) {
+    for (const line of text.split('\n')) {
+        const f = line.trim().split(/\s+/);
+        if (f.length < 14 || Number(f[0]) !== major || Number(f[1]) !== minor) continue;
+        return {
+            device: f[2],
+            readBytes: Number(f[5]) * SECTOR_BYTES,
+            writeBytes: Number(f[9]) * SECTOR_BYTES,
+            ioMs: Number(f[12])
+        };
+    }
+    return null;
+}
+
+// Linux dev_t → major / minor, as glibc's gnu_dev_major / gnu_dev_minor
+function _devNumbers(dev) {
+    const hi = Math.floor(dev / 0x100000000);
+    const lo = dev >>> 0;
+    return {
+        major: ((lo >>> 8) & 0xfff) | ((hi & 0xfffff000) >>> 0),
+        minor: (lo & 0xff) | ((lo >>> 12) & 0xfff00)
+    };
+}
+
+function _delta(cur, prev) {
+    if (cur == null || prev == null) return null;
+    // Counters reset when an interface or device is re-created
+    return cur >= prev ? cur - prev : null;
+}
+
+/**
+ * Network and disk I/O per poll interval from /proc (Linux only; every field
+ * is null elsewhere). Network counts all non-loopback interfaces in the
+ * process's network namespace. Disk counters are for the block device holding
+ * `path`; overlay and tmpfs mounts have none, so those fields stay null.
+ */
+class ProcIoProbe {
+    constructor({ path = process.cwd(), paths = PROC_PATHS } = {}) {
+        this._paths = paths;
+        this._device = null;
+        try {
+            const { major, minor } = _devNumbers(fs.statSync(path).dev);
+            if (major > 0) this._device = { major, minor };
+        } catch (_) {}
+        this._prev = this._read();
+        this._prevTs = Date.now();
+    }
+
+    /** Name of the block device in /proc/diskstats, when one was found. */
+    get device() {
+        return this._prev.disk ? this._prev.disk.device : null;
+    }
+
+    _read() {
+        const net = _read(this._paths.netDev);
+        const io = _read(this._paths.selfIo);
+        const disk = this._device && _read(this._paths.diskstats);
+        return {
+            net: net ? parseNetDev(net) : null,
+            io: io ? parseSelfIo(io) : null,
+            disk: disk ? parseDiskstats(disk, this._device.major, this._device.minor) : null
+        };
+    }
+
+    /** Deltas since the previous call, keyed by sample column. */
+    drain(now = Date.now()) {
+        const cur = this._read();
+        const prev = this._prev;
+        const elapsedMs = now - this._prevTs;
+        this._prev = cur;
+        this._prevTs = now;
+
+        const out = Object.fromEntries(IO_COLUMNS.map(c => [c, null]));
+        if (cur.net && prev.net) {
+            for (const [column, field] of Object.entries(NET_FIELDS)) out[column] = _delta(cur.net[field], prev.net[field]);
+        }
+        if (cur.io && prev.io) {
+            out.proc_read_bytes = _delta(cur.io.readBytes, prev.io.readBytes);
+            out.proc_write_bytes = _delta(cur.io.writeBytes, prev.io.writeBytes);
+        }
+        if (cur.disk && prev.disk) {
+            out.disk_read_bytes = _delta(cur.disk.readBytes, prev.disk.readBytes);
+            out.disk_write_bytes = _delta(cur.disk.writeBytes, prev.disk.writeBytes);
+            const ioMs = _delta(cur.disk.ioMs, prev.disk.ioMs);
+            if (ioMs != null && elapsedMs > 0) out.disk_busy_pct = Math.min(100, (ioMs / elapsedMs) * 100);
+        }
+        return out;
+    }
+}
+
+module.exports = { ProcIoProbe, parseNetDev, parseSelfIo, parseDiskstats, IO_COLUMNS, PROC_PATHS };
@@ -0,0 +1,179 @@
+'use strict';
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const v8 = require('v8');
+const inspector = require('inspector');
+
+const KINDS = {
+    heap: '.heapsnapshot',
+    cpu:  '.cpuprofile'
+};
+// heap-20261019T120000123Z-manual.heapsnapshot — also the only names list/read/remove accept
+const NAME_RE = /^(heap|cpu)-(\d{8}T\d{9}Z)-([a-z0-9_]{1,40})\.(heapsnapshot|cpuprofile)$/;
+
+function _stamp(ts) {
+    return new Date(ts).toISOString().replace(/[-:.]/g, '');
+}
+
+function _parseStamp(stamp) {
+    const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z$/.exec(stamp);
+    return m ? Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6], +m[7]) : null;
+}
+
+function _reasonSlug(reason) {
+    return String(reason || 'manual').toLowerCase().replace(/[^a-z0-9_]+/g, '_').slice(0, 40) || 'manual';
+}
+
+/**
+ * On-demand V8 heap snapshots and CPU profiles, written to `dir` (default
+ * `<userDir>/performance-monitor-profiles`). One capture runs at a time. After
+ * each capture the oldest files are removed until the directory holds at most
+ * `maxFiles` files and `maxBytes` bytes.
+ *
+ * `captureForAlarm()` is the detector's entry point: it skips captures for the
+ * same alarm key within `cooldownMs`, so a flapping alarm does not fill the disk.
+ * Emits `capture` with each finished file's metadata.
+ */
+class Profiler extends EventEmitter {
+    constructor({ RED, dir, maxBytes = 1024 * 1048576, maxFiles = 20, maxCpuSeconds = 300, alarmCpuSeconds = 10, cooldownMs = 30 * 60_000 }) {
+        super();
+        if (!dir) throw new Error('profiler requires dir');
+        this.RED = RED;
+        this.dir = dir;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        this.maxCpuSeconds = maxCpuSeconds;
+        this._alarmCpuSeconds = alarmCpuSeconds;
+        this._cooldownMs = cooldownMs;
+        this._lastAlarmCapture = new Map();     // alarm key → ts of its last automatic capture
+        this._busy = null;                      // kind of the capture in progress
+    }
+
+    isBusy() { return this._busy != null; }
+
+    _begin(kind, reason) {
+        if (this._busy) throw new Error(`a ${this._busy} capture is already in progress`);
+        this._busy = kind;
+        fs.mkdirSync(this.dir, { recursive: true });
+        return path.join(this.dir, `${kind}-${_stamp(Date.now())}-${_reasonSlug(reason)}${KINDS[kind]}`);
+    }
+
+    _finish(file) {
+        this._busy = null;
+        this.enforceRetention();
+        const info = this.get(path.basename(file));
+        if (info) this.emit('capture', info);
+        return info;
+    }
+
+    /** Write a heap snapshot. Blocks the event loop while V8 serializes the heap. */
+    captureHeapSnapshot({ reason = 'manual' } = {}) {
+        const file = this._begin('heap', reason);
+        try {
+            v8.writeHeapSnapshot(file);
+        } catch (err) {
+            this._busy = null;
+            try { fs.unlinkSync(file); } catch (_) {}
+            throw err;
+        }
+        return this._finish(file);
+    }
+
+    /** Sample the CPU for `seconds` and write a `.cpuprofile` (Chrome DevTools format). */
+    async captureCpuProfile(seconds, { reason = 'manual' } = {}) {
+        const s = Number(seconds);
+        if (!Number.isFinite(s) || s <= 0 || s > this.maxCpuSeconds) {
+            throw new Error(`seconds must be between 1 and ${this.maxCpuSeconds}`);
+        }
+        const file = this._begin('cpu', reason);
+        const session = new inspector.Session();
+        const post = (method, params) => new Promise((resolve, reject) => {
+            session.post(method, params, (err, result) => (err ? reject(err) : resolve(result)));
+        });
+        try {
+            session.connect();
+            await post('Profiler.enable');
+            await post('Profiler.start');
+            await new Promise(r => setTimeout(r, s * 1000));
+            const { profile } = await post('Profiler.stop');
+            fs.writeFileSync(file, JSON.stringify(profile));
+        } catch (err) {
+            this._busy = null;
+            throw err;
+        } finally {
+            try { session.disconnect(); } catch (_) {}
+        }
+        return this._finish(file);
+    }
+
+    /**
+     * Capture for a firing alarm (`kind` 'heap' or 'cpu'). Returns the capture
+     * promise, or null when skipped (cooldown, or another capture running).
+     */
+    captureForAlarm(kind, { key, pattern } = {}) {
+        if (!KINDS[kind] || this._busy) return null;
+        const now = Date.now();
+        const last = this._lastAlarmCapture.get(key);
+        if (last != null && now - last < this._cooldownMs) return null;
+        this._lastAlarmCapture.set(key, now);
+        const reason = pattern || key;
+        const run = kind === 'heap'
+            ? new Promise((resolve, reject) => setImmediate(() => {
+                // A throw here would be uncaught: a manual capture may have started
+                // this tick, or the snapshot write may fail (ENOSPC)
+                try { resolve(this.captureHeapSnapshot({ reason })); } catch (err) { reject(err); }
+            }))
+            : this.captureCpuProfile(this._alarmCpuSeconds, { reason });
+        return run.catch(err => {
+            if (this.RED && this.RED.log) this.RED.log.warn(`[perf-monitor] ${kind} capture for ${key} failed: ${err.message}`);
+            return null;
+        });
+    }
+
+    /** Stored captures, newest first. */
+    list() {
+        let names;
+        try { names = fs.readdirSync(this.dir); } catch (_) { return []; }
+        return names.map(name => this.get(name)).filter(Boolean).sort((a, b) => b.ts - a.ts || (a.name < b.name ? 1 : -1));
+    }
+
+    get(name) {
+        const m = NAME_RE.exec(name);
+        if (!m) return null;
+        try {
+            const stat = fs.statSync(path.join(this.dir, name));
+            return { name, kind: m[1], reason: m[3], size: stat.size, ts: _parseStamp(m[2]) };
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /** Absolute path of a stored capture, or null for unknown / malformed names. */
+    pathFor(name) {
+        return this.get(name) ? path.join(this.dir, name) : null;
+    }
+
+    remove(name) {
+        const file = this.pathFor(name);
+        if (!file) return false;
+        fs.unlinkSync(file);
+        return true;
+    }
+
+    enforceRetention() {
+        const files = this.list();
+        let total = files.reduce((a, f) => a + f.size, 0);
+        const removed = [];
+        // Always keep the newest capture, even if it alone exceeds maxBytes
+        while (files.length > 1 && (files.length > this.maxFiles || total > this.maxBytes)) {
+            const oldest = files.pop();
+            try { fs.unlinkSync(path.join(this.dir, oldest.name)); } catch (_) {}
+            total -= oldest.size;
+            removed.push(oldest.name);
+        }
+        return removed;
+    }
+}
+
+module.exports = { Profiler, CAPTURE_KINDS: Object.keys(KINDS) };
@@ -0,0 +1,151 @@
+'use strict';
+const { BUCKETS_MS } = require('./latency-histogram');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Sample column → exported gauge. `scale` converts the stored unit into the
+// Prometheus base unit (seconds rather than milliseconds).
+const GAUGES = [
+    { column: 'proc_cpu_pct',    name: 'perf_monitor_process_cpu_percent',           help: 'Node-RED process CPU usage in percent of one core.' },
+    { column: 'proc_rss',        name: 'perf_monitor_process_resident_memory_bytes', help: 'Node-RED process resident set size.' },
+    { column: 'proc_heap_used',  name: 'perf_monitor_process_heap_used_bytes',       help: 'V8 heap used by the Node-RED process.' },
+    { column: 'proc_heap_total', name: 'perf_monitor_process_heap_total_bytes',      help: 'V8 heap allocated by the Node-RED process.' },
+    { column: 'event_loop_lag',  name: 'perf_monitor_event_loop_lag_seconds',        help: 'Event loop lag.', scale: 1 / 1000 },
+    { column: 'sys_cpu_pct',     name: 'perf_monitor_system_cpu_percent',            help: 'System-wide CPU usage in percent since the previous sample.' },
+    { column: 'sys_cpu_max_core_pct', name: 'perf_monitor_system_cpu_max_core_percent',  help: 'Busiest core\'s CPU usage in percent since the previous sample.' },
+    { column: 'load_avg_1',      name: 'perf_monitor_load_average_1m',               help: 'System load average over 1 minute.' },
+    { column: 'load_avg_5',      name: 'perf_monitor_load_average_5m',               help: 'System load average over 5 minutes.' },
+    { column: 'load_avg_15',     name: 'perf_monitor_load_average_15m',              help: 'System load average over 15 minutes.' },
+    { column: 'proc_cpu_quota_pct', name: 'perf_monitor_process_cpu_quota_percent',  help: 'Node-RED process CPU usage in percent of the container CPU quota.' },
+    { column: 'sys_mem_used',    name: 'perf_monitor_system_memory_used_bytes',      help: 'System (or container) memory in use.' },
+    { column: 'sys_mem_total',   name: 'perf_monitor_system_memory_total_bytes',     help: 'System (or container) memory available.' },
+    { column: 'disk_used',       name: 'perf_monitor_disk_used_bytes',               help: 'Disk space used on the Node-RED volume.' },
+    { column: 'disk_total',      name: 'perf_monitor_disk_total_bytes',              help: 'Disk space on the Node-RED volume.' },
+    { column: 'container',       name: 'perf_monitor_containerized',                 help: '1 when running under a cgroup memory or CPU limit.' },
+    { column: 'heap_size_limit',         name: 'perf_monitor_heap_size_limit_bytes',              help: 'V8 heap size limit.' },
+    { column: 'heap_new_space',          name: 'perf_monitor_heap_new_space_used_bytes',          help: 'V8 new (young generation) space in use.' },
+    { column: 'heap_old_space',          name: 'perf_monitor_heap_old_space_used_bytes',          help: 'V8 old space in use.' },
+    { column: 'heap_large_object_space', name: 'perf_monitor_heap_large_object_space_used_bytes', help: 'V8 large object space in use.' },
+    { column: 'loop_delay_mean_ms',      name: 'perf_monitor_event_loop_delay_mean_seconds',      help: 'Mean event loop delay during the last poll interval.', scale: 1 / 1000 },
+    { column: 'loop_delay_p99_ms',       name: 'perf_monitor_event_loop_delay_p99_seconds',       help: '99th percentile event loop delay during the last poll interval.', scale: 1 / 1000 },
+    { column: 'loop_delay_max_ms',       name: 'perf_monitor_event_loop_delay_max_seconds',       help: 'Longest event loop delay during the last poll interval.', scale: 1 / 1000 },
+    { column: 'loop_util_pct',           name: 'perf_monitor_event_loop_utilization_percent',     help: 'Share of the last poll interval the event loop was busy.' },
+    { column: 'res_handles',             name: 'perf_monitor_active_handles',                     help: 'Active libuv handles (sockets, servers, timers, watchers, child processes).' },
+    { column: 'res_requests',            name: 'perf_monitor_active_requests',                    help: 'Pending libuv requests (fs, DNS, writes).' },
+    { column: 'res_sockets',             name: 'perf_monitor_active_sockets',                     help: 'Open TCP, TLS, pipe and UDP sockets.' },
+    { column: 'res_timers',              name: 'perf_monitor_active_timers',                      help: 'Active timers and immediates.' },
+    { column: 'open_fds',                name: 'perf_monitor_open_fds',                           help: 'Open file descriptors (Linux).' },
+    { column: 'disk_busy_pct',           name: 'perf_monitor_disk_busy_percent',                  help: 'Share of the last poll interval the userDir block device was busy.' },
+    { column: 'cg_cpu_throttled_pct',    name: 'perf_monitor_cgroup_cpu_throttled_percent',       help: 'Share of CFS periods the container was throttled in during the last poll interval.' },
+    { column: 'cg_mem_anon',             name: 'perf_monitor_cgroup_memory_anon_bytes',           help: 'Container anonymous memory (heap, stacks).' },
+    { column: 'cg_mem_file',             name: 'perf_monitor_cgroup_memory_file_bytes',           help: 'Container page cache.' },
+    { column: 'cg_mem_kernel',           name: 'perf_monitor_cgroup_memory_kernel_bytes',         help: 'Container kernel memory (slab, stacks, page tables, sockets).' },
+    { column: 'cg_mem_working_set',      name: 'perf_monitor_cgroup_memory_working_set_bytes',    help: 'Container memory in use minus inactive page cache.' },
+    { column: 'cg_mem_pct',              name: 'perf_monitor_cgroup_memory_working_set_percent',  help: 'Container working set in percent of memory.max.' },
+    { column: 'psi_cpu_some',            name: 'perf_monitor_pressure_cpu_some_percent',          help: 'Share of the last 10 s some tasks waited for CPU (PSI).' },
+    { column: 'psi_mem_some',            name: 'perf_monitor_pressure_memory_some_percent',       help: 'Share of the last 10 s some tasks stalled on memory (PSI).' },
+    { column: 'psi_mem_full',            name: 'perf_monitor_pressure_memory_full_percent',       help: 'Share of the last 10 s all tasks stalled on memory (PSI).' },
+    { column: 'psi_io_some',             name: 'perf_monitor_pressure_io_some_percent',           help: 'Share of the last 10 s some tasks stalled on I/O (PSI).' },
+    { column: 'psi_io_full',             name: 'perf_monitor_pressure_io_full_percent',           help: 'Share of the last 10 s all tasks stalled on I/O (PSI).' }
+];
+
+// Column summed by MetricsCollector.getSystemTotals() → exported counter
+const SYSTEM_COUNTERS = [
+    { column: 'gc_count',            name: 'perf_monitor_gc_collections_total',               help: 'Garbage collections since start.' },
+    { column: 'gc_pause_ms',         name: 'perf_monitor_gc_pause_seconds_total',             help: 'Garbage collection pause time since start.', scale: 1 / 1000 },
+    { column: 'gc_major_ms',         name: 'perf_monitor_gc_major_pause_seconds_total',       help: 'Mark-sweep-compact pause time since start.', scale: 1 / 1000 },
+    { column: 'net_rx_bytes',        name: 'perf_monitor_network_receive_bytes_total',        help: 'Bytes received on non-loopback interfaces since start.' },
+    { column: 'net_tx_bytes',        name: 'perf_monitor_network_transmit_bytes_total',       help: 'Bytes sent on non-loopback interfaces since start.' },
+    { column: 'net_rx_errors',       name: 'perf_monitor_network_receive_errors_total',       help: 'Receive errors on non-loopback interfaces since start.' },
+    { column: 'net_tx_errors',       name: 'perf_monitor_network_transmit_errors_total',      help: 'Transmit errors on non-loopback interfaces since start.' },
+    { column: 'proc_read_bytes',     name: 'perf_monitor_process_storage_read_bytes_total',   help: 'Bytes Node-RED read from storage since start.' },
+    { column: 'proc_write_bytes',    name: 'perf_monitor_process_storage_write_bytes_total',  help: 'Bytes Node-RED wrote to storage since start.' },
+    { column: 'disk_read_bytes',     name: 'perf_monitor_disk_read_bytes_total',              help: 'Bytes read from the userDir block device since start.' },
+    { column: 'disk_write_bytes',    name: 'perf_monitor_disk_written_bytes_total',           help: 'Bytes written to the userDir block device since start.' },
+    { column: 'cg_cpu_throttled_ms', name: 'perf_monitor_cgroup_cpu_throttled_seconds_total', help: 'Time the container was throttled since start.', scale: 1 / 1000 },
+    { column: 'cg_oom_events',       name: 'perf_monitor_cgroup_oom_events_total',            help: 'Times the container hit its memory limit and invoked the OOM killer since start.' },
+    { column: 'cg_oom_kills',        name: 'perf_monitor_cgroup_oom_kills_total',             help: 'Processes in the container killed by the OOM killer since start.' }
+];
+
+const NODE_COUNTERS = [
+    { field: 'msg_count',   name: 'perf_monitor_node_messages_total',        help: 'Messages sent by a node since start.' },
+    { field: 'error_count', name: 'perf_monitor_node_errors_total',          help: 'Errors reported by a node since start.' },
+    { field: 'process_ms',  name: 'perf_monitor_node_process_seconds_total', help: 'Time spent delivering messages sent by a node.', scale: 1 / 1000 }
+];
+
+function escapeLabel(value) {
+    return String(value == null ? '' : value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+}
+
+function formatValue(v) {
+    if (v === Infinity) return '+Inf';
+    if (v === -Infinity) return '-Inf';
+    if (!Number.isFinite(v)) return 'NaN';
+    return String(v);
+}
+
+function header(lines, name, help, type) {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+}
+
+/**
+ * Render a system sample plus cumulative system and per-node totals in the
+ * Prometheus text exposition format.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.system - A `MetricsCollector.sampleSystem()` snapshot.
+ * @param {Object} [opts.totals] - `MetricsCollector.getSystemTotals()` sums.
+ * @param {Object[]} [opts.nodes] - `MetricsCollector.getNodeTotals()` rows.
+ * @returns {string}
+ */
+function renderMetrics({ system, totals = {}, nodes = [] }) {
+    const lines = [];
+
+    if (system) {
+        for (const g of GAUGES) {
+            const raw = system[g.column];
+            if (raw == null) continue;
+            header(lines, g.name, g.help, 'gauge');
+            lines.push(`${g.name} ${formatValue(Number(raw) * (g.scale || 1))}`);
+        }
+    }
+
+    for (const c of SYSTEM_COUNTERS) {
+        const raw = totals[c.column];
+        if (raw == null) continue;
+        header(lines, c.name, c.help, 'counter');
+        lines.push(`${c.name} ${formatValue(Number(raw) * (c.scale || 1))}`);
+    }
+
+    for (const c of NODE_COUNTERS) {
+        header(lines, c.name, c.help, 'counter');
+        for (const n of nodes) {
+            const labels = `node_id="${escapeLabel(n.node_id)}",node_type="${escapeLabel(n.node_type)}"`;
+            lines.push(`${c.name}{${labels}} ${formatValue((n[c.field] || 0) * (c.scale || 1))}`);
+        }
+    }
+
+    const histName = 'perf_monitor_node_process_duration_seconds';
+    header(lines, histName, 'Distribution of per-message delivery time for messages sent by a node.', 'histogram');
+    for (const n of nodes) {
+        if (!Array.isArray(n.latency_hist)) continue;
+        const labels = `node_id="${escapeLabel(n.node_id)}",node_type="${escapeLabel(n.node_type)}"`;
+        let cumulative = 0;
+        BUCKETS_MS.forEach((le, i) => {
+            cumulative += n.latency_hist[i] || 0;
+            lines.push(`${histName}_bucket{${labels},le="${le / 1000}"} ${cumulative}`);
+        });
+        cumulative += n.latency_hist[BUCKETS_MS.length] || 0;
+        lines.push(`${histName}_bucket{${labels},le="+Inf"} ${cumulative}`);
+        lines.push(`${histName}_sum{${labels}} ${formatValue((n.process_ms || 0) / 1000)}`);
+        lines.push(`${histName}_count{${labels}} ${cumulative}`);
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { renderMetrics, escapeLabel, CONTENT_TYPE, GAUGES, SYSTEM_COUNTERS, NODE_COUNTERS };
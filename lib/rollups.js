@@ -0,0 +1,193 @@
+'use strict';
+
+// Downsampled history. Each rollup table stores one row per (bucket, metric)
+// with count/min/avg/max/p95, so new sample columns only need adding to
+// ROLLUP_COLUMNS — no schema change. Each run is one synchronous transaction
+// on the event loop, so maxBucketsPerRun keeps it short (at most an hour of raw
+// rows); a backlog is caught up over the following runs.
+const ROLLUPS = [
+    { name: '1m', table: 'samples_1m', resolutionMs: 60_000,    metaKey: 'rollup_1m_until', maxBucketsPerRun: 30 },
+    { name: '1h', table: 'samples_1h', resolutionMs: 3_600_000, metaKey: 'rollup_1h_until', maxBucketsPerRun: 1 }
+];
+
+const ROLLUP_COLUMNS = [
+    'proc_cpu_pct', 'proc_rss', 'proc_heap_used', 'proc_heap_total', 'event_loop_lag',
+    'sys_cpu_pct', 'sys_mem_used', 'sys_mem_total', 'disk_used', 'disk_total',
+    'gc_count', 'gc_pause_ms', 'gc_minor_ms', 'gc_major_count', 'gc_major_ms',
+    'heap_new_space', 'heap_old_space', 'heap_large_object_space', 'heap_size_limit',
+    'loop_delay_mean_ms', 'loop_delay_p99_ms', 'loop_delay_max_ms', 'loop_util_pct',
+    'res_handles', 'res_requests', 'res_sockets', 'res_timers', 'open_fds',
+    'sys_cpu_max_core_pct', 'load_avg_1', 'load_avg_5', 'load_avg_15', 'proc_cpu_quota_pct',
+    'net_rx_bytes', 'net_tx_bytes', 'net_rx_errors', 'net_tx_errors',
+    'proc_read_bytes', 'proc_write_bytes', 'disk_read_bytes', 'disk_write_bytes', 'disk_busy_pct',
+    'cg_cpu_throttled_periods', 'cg_cpu_throttled_pct', 'cg_cpu_throttled_ms',
+    'cg_mem_anon', 'cg_mem_file', 'cg_mem_kernel', 'cg_mem_working_set', 'cg_mem_pct',
+    'cg_oom_events', 'cg_oom_kills',
+    'psi_cpu_some', 'psi_mem_some', 'psi_mem_full', 'psi_io_some', 'psi_io_full'
+];
+
+function _getMeta(db, key) {
+    const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? parseInt(row.value, 10) : null;
+}
+
+function _setMeta(db, key, value) {
+    db.prepare(`
+        INSERT INTO meta (key, value) VALUES (?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value
+    `).run(key, String(value));
+}
+
+function _aggregate(rows, column) {
+    const values = [];
+    for (const r of rows) {
+        if (r[column] != null) values.push(r[column]);
+    }
+    if (values.length === 0) return null;
+    values.sort((a, b) => a - b);
+    const sum = values.reduce((a, v) => a + v, 0);
+    return {
+        n: values.length,
+        min: values[0],
+        avg: sum / values.length,
+        max: values[values.length - 1],
+        p95: values[Math.min(values.length - 1, Math.floor(values.length * 0.95))]
+    };
+}
+
+/**
+ * Roll completed buckets of raw `samples` into every rollup table, resuming
+ * from the per-table watermark in `meta`. Work per call is capped so a large
+ * backlog is caught up over several runs instead of one long stall.
+ *
+ * @returns {Object} rows written per rollup name, e.g. `{ '1m': 12, '1h': 0 }`
+ */
+function runRollups(db, tx, now = Date.now()) {
+    const written = {};
+    const selectBucket = db.prepare(`SELECT ${ROLLUP_COLUMNS.join(', ')} FROM samples WHERE ts >= ? AND ts < ?`);
+    const nextSample = db.prepare('SELECT MIN(ts) AS ts FROM samples WHERE ts >= ?');
+
+    for (const r of ROLLUPS) {
+        const res = r.resolutionMs;
+        const end = Math.floor(now / res) * res;
+        let start = _getMeta(db, r.metaKey);
+        if (start == null) {
+            const first = nextSample.get(0).ts;
+            if (first == null) { written[r.name] = 0; continue; }
+            start = Math.floor(first / res) * res;
+        }
+
+        const insert = db.prepare(`
+            INSERT OR REPLACE INTO ${r.table} (ts, metric, n, min, avg, max, p95)
+            VALUES (@ts, @metric, @n, @min, @avg, @max, @p95)
+        `);
+        let count = 0;
+        tx(() => {
+            let bucket = start;
+            for (let i = 0; i < r.maxBucketsPerRun && bucket < end; i++) {
+                const rows = selectBucket.all(bucket, bucket + res);
+                if (rows.length === 0) {
+                    // Skip straight over gaps (Node-RED stopped, logging disabled).
+                    const next = nextSample.get(bucket + res).ts;
+                    bucket = next == null ? end : Math.min(end, Math.floor(next / res) * res);
+                    continue;
+                }
+                for (const column of ROLLUP_COLUMNS) {
+                    const agg = _aggregate(rows, column);
+                    if (!agg) continue;
+                    insert.run({ ts: bucket, metric: column, ...agg });
+                    count++;
+                }
+                bucket += res;
+            }
+            _setMeta(db, r.metaKey, Math.min(bucket, end));
+        });
+        written[r.name] = count;
+    }
+    return written;
+}
+
+/**
+ * Pick the coarsest rollup whose resolution evenly divides the requested
+ * bucket, or null when only raw samples can satisfy it.
+ */
+function pickRollup(bucketMs) {
+    let best = null;
+    for (const r of ROLLUPS) {
+        if (r.resolutionMs <= bucketMs && bucketMs % r.resolutionMs === 0) best = r;
+    }
+    return best;
+}
+
+function getWatermark(db, rollup) {
+    return _getMeta(db, rollup.metaKey);
+}
+
+/**
+ * Re-bucket rollup rows into `bucketMs` wide rows shaped like a bucketed raw
+ * query. `columns` maps a metric to the aggregate to report ('avg' or 'max').
+ * Each metric also gets `<metric>_p95`: the highest p95 of the rollup buckets
+ * merged into the row (exact when `bucketMs` equals the rollup resolution).
+ */
+function queryRollup(db, rollup, fromTs, toTs, bucketMs, columns) {
+    const metrics = Object.keys(columns);
+    const placeholders = metrics.map(() => '?').join(',');
+    const rows = db.prepare(`
+        SELECT
+            (ts / ${bucketMs}) * ${bucketMs} AS bucket,
+            metric,
+            SUM(avg * n) / SUM(n) AS avg,
+            MAX(max)              AS max,
+            MAX(p95)              AS p95
+        FROM ${rollup.table}
+        WHERE ts >= ? AND ts < ? AND metric IN (${placeholders})
+        GROUP BY ts / ${bucketMs}, metric
+        ORDER BY bucket ASC
+    `).all(fromTs, toTs, ...metrics);
+
+    const byTs = new Map();
+    for (const row of rows) {
+        let out = byTs.get(row.bucket);
+        if (!out) {
+            out = { ts: row.bucket };
+            byTs.set(row.bucket, out);
+        }
+        out[row.metric] = columns[row.metric] === 'max' ? row.max : row.avg;
+        out[`${row.metric}_p95`] = row.p95;
+    }
+    return Array.from(byTs.values());
+}
+
+/**
+ * Delete rollup rows older than each table's retention.
+ * `retentionDays` is keyed by rollup name, e.g. `{ '1m': 14, '1h': 90 }`.
+ */
+function pruneRollups(db, retentionDays, now = Date.now()) {
+    const deleted = {};
+    for (const r of ROLLUPS) {
+        const days = retentionDays[r.name];
+        if (!Number.isFinite(days)) { deleted[r.name] = 0; continue; }
+        const cutoff = now - days * 86_400_000;
+        deleted[r.name] = db.prepare(`DELETE FROM ${r.table} WHERE ts < ?`).run(cutoff).changes;
+    }
+    return deleted;
+}
+
+/**
+ * Size-pressure fallback once raw history is exhausted: drop the oldest
+ * `fraction` of buckets from the finest rollup table that still has rows.
+ *
+ * @returns {number} rows deleted
+ */
+function pruneOldestFraction(db, fraction = 0.1) {
+    for (const r of ROLLUPS) {
+        const buckets = db.prepare(`SELECT COUNT(DISTINCT ts) c FROM ${r.table}`).get().c;
+        if (buckets === 0) continue;
+        const skip = Math.max(0, Math.ceil(buckets * fraction) - 1);
+        const cut = db.prepare(`SELECT DISTINCT ts FROM ${r.table} ORDER BY ts ASC LIMIT 1 OFFSET ?`).get(skip);
+        return db.prepare(`DELETE FROM ${r.table} WHERE ts <= ?`).run(cut.ts).changes;
+    }
+    return 0;
+}
+
+module.exports = { ROLLUPS, ROLLUP_COLUMNS, runRollups, pickRollup, getWatermark, queryRollup, pruneRollups, pruneOldestFraction };
@@ -23,9 +23,11 @@ function openDatabase(dbPath) {
     const DatabaseSync = _load();
     if (!DatabaseSync) throw new Error('node:sqlite is not available in this runtime');
     const db = new DatabaseSync(dbPath);
+    // auto_vacuum only takes effect before the database header is written,
+    // which switching to WAL already does
+    db.exec('PRAGMA auto_vacuum = INCREMENTAL;');
     db.exec('PRAGMA journal_mode = WAL;');
     db.exec('PRAGMA synchronous = NORMAL;');
-    db.exec('PRAGMA auto_vacuum = INCREMENTAL;');
     return db;
 }
 
@@ -0,0 +1,170 @@
+'use strict';
+const EventEmitter = require('events');
+
+const HOOK_LABEL = 'perfTrace';
+
+// Deterministic per-_msgid sampling (FNV-1a), so every hop of a message makes
+// the same decision without remembering the unsampled ones.
+function _sampled(msgid, rate) {
+    if (rate >= 1) return true;
+    if (rate <= 0) return false;
+    let h = 0x811c9dc5;
+    for (let i = 0; i < msgid.length; i++) {
+        h ^= msgid.charCodeAt(i);
+        h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h / 0x100000000 < rate;
+}
+
+function _nowMs() {
+    return Number(process.hrtime.bigint()) / 1e6;
+}
+
+/**
+ * Opt-in end-to-end message tracing. Follows a sampled `_msgid` from the node
+ * that first sends it through every hop, using the onSend / onReceive /
+ * onComplete message hooks, and stores the finished path in `traces`.
+ *
+ * A hop is one wire: `sent_ms` when the source sends, `received_ms` when the
+ * destination's input handler gets it, `completed_ms` when it calls done().
+ * Offsets are relative to the first send. A trace finishes once every hop has
+ * completed and nothing new happened for `settleMs`, or after `timeoutMs`.
+ * Emits `trace` with each stored row.
+ */
+class Tracer extends EventEmitter {
+    constructor({ RED, store, sampleRate = 0.01, settleMs = 1000, timeoutMs = 60_000, maxActive = 1000, maxHops = 200 }) {
+        super();
+        this.RED = RED;
+        this._store = store;
+        this.sampleRate = Math.min(1, Math.max(0, Number(sampleRate) || 0));
+        this._settleMs = settleMs;
+        this._timeoutMs = timeoutMs;
+        this._maxActive = maxActive;
+        this._maxHops = maxHops;
+        this._active = new Map();           // _msgid → in-flight trace
+        this.dropped = 0;                   // sampled messages skipped because maxActive was reached
+    }
+
+    start() {
+        if (this._running) return;
+        this._running = true;
+        const hooks = this.RED && this.RED.hooks;
+        if (hooks) {
+            hooks.add(`onSend.${HOOK_LABEL}`, (events) => { try { this._onSend(events); } catch (_) {} });
+            hooks.add(`onReceive.${HOOK_LABEL}`, (ev) => { try { this._onReceive(ev); } catch (_) {} });
+            hooks.add(`onComplete.${HOOK_LABEL}`, (ev) => { try { this._onComplete(ev); } catch (_) {} });
+        }
+        this._sweepTimer = setInterval(() => this._sweep(), Math.min(5000, this._timeoutMs));
+        if (this._sweepTimer.unref) this._sweepTimer.unref();
+    }
+
+    stop() {
+        if (!this._running) return;
+        this._running = false;
+        const hooks = this.RED && this.RED.hooks;
+        if (hooks && hooks.remove) hooks.remove(`*.${HOOK_LABEL}`);
+        clearInterval(this._sweepTimer);
+        for (const trace of this._active.values()) clearTimeout(trace.settleTimer);
+        this._active.clear();
+    }
+
+    _onSend(events) {
+        for (const ev of [].concat(events || [])) {
+            const msgid = ev && ev.msg && ev.msg._msgid;
+            const source = ev && ev.source && ev.source.node;
+            if (!msgid || !source || !_sampled(msgid, this.sampleRate)) continue;
+
+            let trace = this._active.get(msgid);
+            if (!trace) {
+                if (this._active.size >= this._maxActive) { this.dropped++; continue; }
+                trace = {
+                    id: msgid, ts: Date.now(), t0: _nowMs(),
+                    origin: { id: source.id, type: source.type, z: source.z || null },
+                    hops: [], open: 0, truncated: false, settleTimer: null
+                };
+                this._active.set(msgid, trace);
+            }
+            clearTimeout(trace.settleTimer);
+            if (trace.hops.length >= this._maxHops) { trace.truncated = true; continue; }
+            trace.hops.push({
+                from: source.id, from_type: source.type,
+                to: ev.destination && ev.destination.id, to_type: null,
+                sent_ms: _nowMs() - trace.t0, received_ms: null, completed_ms: null, error: null
+            });
+            trace.open++;
+        }
+    }
+
+    _onReceive(ev) {
+        const trace = this._active.get(ev && ev.msg && ev.msg._msgid);
+        const node = ev && ev.destination && ev.destination.node;
+        if (!trace || !node) return;
+        clearTimeout(trace.settleTimer);
+        let hop = trace.hops.find(h => h.to === node.id && h.received_ms == null);
+        if (!hop) {
+            // Arrived without a wire we saw, e.g. through link nodes
+            if (trace.hops.length >= this._maxHops) { trace.truncated = true; return; }
+            hop = { from: null, from_type: null, to: node.id, to_type: null, sent_ms: null, received_ms: null, completed_ms: null, error: null };
+            trace.hops.push(hop);
+            trace.open++;
+        }
+        hop.to_type = node.type;
+        hop.received_ms = _nowMs() - trace.t0;
+    }
+
+    _onComplete(ev) {
+        const trace = this._active.get(ev && ev.msg && ev.msg._msgid);
+        const node = ev && ev.node && ev.node.node;
+        if (!trace || !node) return;
+        const hop = trace.hops.find(h => h.to === node.id && h.received_ms != null && h.completed_ms == null);
+        if (!hop) return;
+        hop.completed_ms = _nowMs() - trace.t0;
+        if (ev.error) hop.error = String(ev.error.message || ev.error);
+        trace.open--;
+        if (trace.open <= 0) {
+            clearTimeout(trace.settleTimer);
+            trace.settleTimer = setTimeout(() => this._finish(trace, 'complete'), this._settleMs);
+            if (trace.settleTimer.unref) trace.settleTimer.unref();
+        }
+    }
+
+    _sweep(now = Date.now()) {
+        for (const trace of this._active.values()) {
+            if (now - trace.ts >= this._timeoutMs) this._finish(trace, 'timeout');
+        }
+    }
+
+    _finish(trace, status) {
+        if (this._active.get(trace.id) !== trace) return;
+        this._active.delete(trace.id);
+        clearTimeout(trace.settleTimer);
+
+        const hops = trace.hops.map(h => ({
+            ...h,
+            wait_ms: h.sent_ms != null && h.received_ms != null ? h.received_ms - h.sent_ms : null,
+            process_ms: h.received_ms != null && h.completed_ms != null ? h.completed_ms - h.received_ms : null
+        }));
+        const ends = hops.flatMap(h => [h.sent_ms, h.received_ms, h.completed_ms]).filter(v => v != null);
+        const slowest = hops.reduce((a, h) => ((h.process_ms || 0) > ((a && a.process_ms) || 0) ? h : a), null);
+        const row = {
+            trace_id: trace.id,
+            ts: trace.ts,
+            duration_ms: ends.length ? Math.max(...ends) : 0,
+            origin_id: trace.origin.id,
+            origin_type: trace.origin.type,
+            flow_id: trace.origin.z,
+            hop_count: hops.length,
+            status: hops.some(h => h.error) ? 'error' : status,
+            truncated: trace.truncated ? 1 : 0,
+            slowest_node: slowest ? slowest.to : null,
+            hops
+        };
+        try { this._store.insertTrace(row); } catch (err) {
+            if (this.RED && this.RED.log) this.RED.log.warn(`[perf-monitor] trace write failed: ${err.message}`);
+        }
+        this.emit('trace', row);
+        return row;
+    }
+}
+
+module.exports = { Tracer, _sampled };
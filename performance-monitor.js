@@ -2,6 +2,10 @@ const path = require('path');
 const MetricsStore = require('./lib/metrics-store');
 const MetricsCollector = require('./lib/metrics-collector');
 const AnomalyDetector = require('./lib/anomaly-detector');
+const { NotifierManager } = require('./lib/notifiers');
+const { Tracer } = require('./lib/tracer');
+const { OtlpExporter } = require('./lib/otlp-exporter');
+const { Profiler } = require('./lib/profiler');
 const { registerRoutes } = require('./lib/http-routes');
 
 module.exports = function (RED) {
@@ -9,34 +13,81 @@ module.exports = function (RED) {
     const pollInterval = settings.pollInterval || 2000;
     const retentionDays = settings.retentionDays || 7;
     const maxDbSizeMB = settings.maxDbSizeMB || 500;
+    const rollupRetentionDays = settings.rollupRetentionDays || {};
 
     const userDir = (RED.settings && RED.settings.userDir) || process.cwd();
     const dbPath = path.join(userDir, 'performance-monitor.db');
 
-    const store = new MetricsStore({ dbPath, retentionDays, maxDbSizeMB });
+    const store = new MetricsStore({ dbPath, retentionDays, maxDbSizeMB, rollupRetentionDays, log: RED.log });
     store.openOrDegrade();
     if (store.isDegraded()) {
         RED.log.warn('[perf-monitor] DB unavailable — running in in-memory mode');
     }
 
-    const collector = new MetricsCollector({ RED, pollInterval });
+    // Disk probe: settings.performanceMonitor.disk = { paths, intervalMs, dirSizeIntervalMs }
+    const disk = settings.disk || {};
+    const collector = new MetricsCollector({
+        RED, pollInterval, disk: { ...disk, userDir, dbPath }, containerRefreshMs: settings.containerRefreshMs
+    });
     collector.start(store);
 
-    registerRoutes({ RED, store, collector });
-
     // Flow node: store & collector accessed by node at registration time
     RED._store = store;
     RED._collector = collector;
 
+    // Heap snapshots / CPU profiles: settings.performanceMonitor.profiles = { dir, maxMB, maxFiles, ... }
+    const profiles = settings.profiles || {};
+    const profiler = profiles.enabled === false ? null : new Profiler({
+        RED,
+        ...profiles,
+        dir: profiles.dir || path.join(userDir, 'performance-monitor-profiles'),
+        maxBytes: (profiles.maxMB || 1024) * 1048576
+    });
+
     // Anomaly detector
-    const detector = new AnomalyDetector({ store, collector, RED });
+    const notifier = new NotifierManager({ configs: settings.notifiers || [], store, RED });
+    const detector = new AnomalyDetector({ store, collector, RED, notifier, profiler, resolveAfterMs: settings.resolveAfterMs });
     detector.start();
 
+    // Opt-in message tracing: settings.performanceMonitor.tracing = { enabled, sampleRate, ... }
+    const tracing = settings.tracing || {};
+    const tracer = tracing.enabled ? new Tracer({ RED, store, ...tracing }) : null;
+    if (tracer) tracer.start();
+
+    // OTLP/HTTP push: settings.performanceMonitor.otlp = { endpoint, headers, intervalMs, ... }
+    let otlp = null;
+    if (settings.otlp && settings.otlp.endpoint) {
+        try {
+            otlp = new OtlpExporter({ RED, store, collector, tracer, ...settings.otlp });
+            otlp.start();
+        } catch (err) {
+            RED.log.warn(`[perf-monitor] OTLP exporter disabled: ${err.message}`);
+        }
+    }
+
+    registerRoutes({ RED, store, collector, detector, tracer, profiler });
+
     const retentionTimer = setInterval(() => {
         try { store.runRetention(); } catch (_) {}
     }, 60 * 60 * 1000);
     if (retentionTimer.unref) retentionTimer.unref();
 
+    // Size governor: prune oldest history whenever the DB outgrows maxDbSizeMB
+    const sizeTimer = setInterval(() => {
+        try {
+            const pruned = store.enforceSizeLimit();
+            if (pruned) {
+                RED.log.warn(`[perf-monitor] DB over ${store.maxDbSizeMB} MB — pruned history, now ${(pruned.sizeAfter / 1048576).toFixed(1)} MB`);
+            }
+        } catch (err) { RED.log.warn(`[perf-monitor] size check failed: ${err.message}`); }
+    }, 5 * 60 * 1000);
+    if (sizeTimer.unref) sizeTimer.unref();
+
+    const rollupTimer = setInterval(() => {
+        try { store.runRollups(); } catch (err) { RED.log.warn(`[perf-monitor] rollup failed: ${err.message}`); }
+    }, 60 * 1000);
+    if (rollupTimer.unref) rollupTimer.unref();
+
     RED.plugins.registerPlugin('performance-monitor', {
         type: 'performance-monitor',
         onadd() { RED.log.info('[perf-monitor] plugin loaded'); }
@@ -46,12 +97,17 @@ module.exports = function (RED) {
         RED.events.on('runtime-event', (ev) => {
             if (ev && ev.id === 'shutdown') {
                 clearInterval(retentionTimer);
+                clearInterval(rollupTimer);
+                clearInterval(sizeTimer);
                 detector.stop();
+                notifier.stop();
+                if (tracer) tracer.stop();
+                if (otlp) otlp.stop();
                 collector.stop();
                 store.close();
             }
         });
     }
 
-    module.exports._internal = { store, collector, detector };
+    module.exports._internal = { store, collector, detector, notifier, tracer, otlp, profiler };
 };
@@ -1,6 +1,53 @@
 'use strict';
 const { formatBytes, formatUptime, statusClass, lagStatusClass } = require('../format');
 
+// Detail rows for one monitored disk path; the userDir breakdown is added to
+// the row of the volume that holds userDir.
+function diskDetail(d, userDir) {
+  const rows = [
+    { label: 'Path', value: d.path || 'N/A' },
+    { label: 'Mount', value: d.mount || 'N/A' },
+    { label: 'Used', value: formatBytes(d.used || 0) },
+    { label: 'Total', value: formatBytes(d.total || 0) },
+    { label: 'Free', value: formatBytes(d.free || 0) },
+  ];
+  if (d.inodesTotal) {
+    rows.push({ label: 'Inodes', value: `${d.inodesUsed} / ${d.inodesTotal} (${d.inodesPercent.toFixed(1)}%)` });
+  }
+  if (userDir && userDir.path === d.path) {
+    const parts = [['Flows', 'flows'], ['Context', 'context'], ['Perf DB', 'perf_db'], ['node_modules', 'node_modules'], ['Other', 'other']];
+    for (const [label, key] of parts) {
+      if (userDir[key] != null) rows.push({ label, value: formatBytes(userDir[key]) });
+    }
+    rows.push({ label: 'userDir Total', value: formatBytes(userDir.total || 0) + (userDir.truncated ? '+' : '') });
+  }
+  return rows;
+}
+
+/** Sidebar row for a monitored disk path other than the primary one. */
+function diskSection(path) {
+  const find = (stats) => (stats.system.disks || []).find((d) => d.path === path);
+  return {
+    id: `sys-disk-${path}`,
+    group: 'sys',
+    label: `Disk ${path}`,
+    icon: 'fa-hdd-o',
+    value: (stats) => {
+      const d = find(stats);
+      return d ? `${formatBytes(d.used)} / ${formatBytes(d.total)}` : 'N/A';
+    },
+    percent: (stats) => {
+      const d = find(stats);
+      return d ? d.usedPercent : null;
+    },
+    sparkKey: 'disk',
+    detail: (stats) => {
+      const d = find(stats);
+      return d ? diskDetail(d, stats.system.userDir) : [{ label: 'Status', value: 'Not reported' }];
+    },
+  };
+}
+
 const SECTIONS = [
   // App group
   {
@@ -31,9 +78,13 @@ const SECTIONS = [
     },
     percent: (stats) => stats.nodeRed.cpu || 0,
     sparkKey: 'cpu',
-    detail: (stats) => [
-      { label: 'CPU', value: `${(stats.nodeRed.cpu || 0).toFixed(1)}%` },
-    ],
+    detail: (stats) => {
+      const rows = [{ label: 'CPU', value: `${(stats.nodeRed.cpu || 0).toFixed(1)}%` }];
+      if (stats.nodeRed.cpuQuotaPercent != null) {
+        rows.push({ label: 'Of Container Quota', value: `${stats.nodeRed.cpuQuotaPercent.toFixed(1)}%` });
+      }
+      return rows;
+    },
   },
   {
     id: 'app-memory',
@@ -53,13 +104,30 @@ const SECTIONS = [
     sparkKey: 'memory',
     detail: (stats) => {
       const mem = stats.nodeRed.memory || {};
-      return [
+      const spaces = mem.spaces || {};
+      const gc = stats.nodeRed.gc;
+      const rows = [
         { label: 'Heap Used', value: formatBytes(mem.heapUsed || 0) },
         { label: 'Heap Total', value: formatBytes(mem.heapTotal || 0) },
         { label: 'RSS', value: formatBytes(mem.rss || 0) },
         { label: 'External', value: formatBytes(mem.external || 0) },
         { label: 'Array Buffers', value: formatBytes(mem.arrayBuffers || 0) },
       ];
+      if (mem.heapSizeLimit) {
+        rows.push(
+          { label: 'Heap Limit', value: formatBytes(mem.heapSizeLimit) },
+          { label: 'Old Space', value: formatBytes(spaces.old || 0) },
+          { label: 'New Space', value: formatBytes(spaces.new || 0) },
+          { label: 'Large Objects', value: formatBytes(spaces.largeObject || 0) },
+        );
+      }
+      if (gc) {
+        rows.push({
+          label: 'GC (last interval)',
+          value: `${gc.count} (${gc.minor || 0} minor / ${gc.major || 0} major), ${(gc.pauseMs || 0).toFixed(1)} ms`,
+        });
+      }
+      return rows;
     },
   },
   {
@@ -73,9 +141,86 @@ const SECTIONS = [
     },
     percent: () => null,
     sparkKey: 'lag',
-    detail: (stats) => [
-      { label: 'Lag', value: `${(stats.nodeRed.eventLoopLag || 0).toFixed(2)}ms` },
-    ],
+    detail: (stats) => {
+      const rows = [{ label: 'Lag', value: `${(stats.nodeRed.eventLoopLag || 0).toFixed(2)}ms` }];
+      const loop = stats.nodeRed.eventLoop;
+      if (loop) {
+        if (loop.delayMaxMs != null) {
+          rows.push(
+            { label: 'Delay p50 / p99', value: `${loop.delayP50Ms.toFixed(2)}ms / ${loop.delayP99Ms.toFixed(2)}ms` },
+            { label: 'Delay Max', value: `${loop.delayMaxMs.toFixed(2)}ms` },
+          );
+        }
+        rows.push({ label: 'Utilization', value: `${loop.utilizationPct.toFixed(1)}%` });
+      }
+      return rows;
+    },
+  },
+  {
+    id: 'app-resources',
+    group: 'app',
+    label: 'Handles & FDs',
+    icon: 'fa-plug',
+    value: (stats) => {
+      const r = stats.nodeRed.resources;
+      if (!r) return 'N/A';
+      const parts = [`${r.handles} handles`, `${r.requests} req`];
+      if (r.openFds != null) parts.push(`${r.openFds} fds`);
+      return parts.join(' • ');
+    },
+    // Share of the open-files limit, so a descriptor leak fills the bar
+    percent: (stats) => {
+      const r = stats.nodeRed.resources;
+      if (!r || r.openFds == null || !r.fdLimit) return null;
+      return (r.openFds / r.fdLimit) * 100;
+    },
+    sparkKey: 'fds',
+    detail: (stats) => {
+      const r = stats.nodeRed.resources;
+      if (!r) return [{ label: 'Status', value: 'Not reported' }];
+      const rows = [
+        { label: 'Sockets', value: String(r.sockets) },
+        { label: 'Servers', value: String(r.servers) },
+        { label: 'Timers', value: String(r.timers) },
+        { label: 'FS Watchers', value: String(r.fsWatchers) },
+        { label: 'Child Processes', value: String(r.childProcesses) },
+        { label: 'Pending Requests', value: String(r.requests) },
+      ];
+      if (r.openFds != null) {
+        rows.push({ label: 'Open FDs', value: r.fdLimit ? `${r.openFds} / ${r.fdLimit}` : String(r.openFds) });
+      }
+      const top = Object.entries(r.byType || {}).sort((a, b) => b[1] - a[1]).slice(0, 5);
+      if (top.length) rows.push({ label: 'Top Types', value: top.map(([t, n]) => `${t} ×${n}`).join(', ') });
+      return rows;
+    },
+  },
+  {
+    id: 'app-alarms',
+    group: 'app',
+    label: 'Alarms',
+    icon: 'fa-bell',
+    value: (stats) => {
+      const a = stats.alarms;
+      if (!a || (!a.firing && !a.pending)) return 'None';
+      const parts = [];
+      if (a.firing) parts.push(`${a.firing} firing`);
+      if (a.pending) parts.push(`${a.pending} pending`);
+      if (a.acknowledged) parts.push(`${a.acknowledged} ack'd`);
+      if (a.silenced) parts.push(`${a.silenced} silenced`);
+      return parts.join(' • ');
+    },
+    percent: () => null,
+    sparkKey: null,
+    detail: (stats) => {
+      const items = (stats.alarms && stats.alarms.items) || [];
+      if (!items.length) return [{ label: 'Status', value: 'No active alarms' }];
+      return items.map((a) => {
+        let value = `${a.state} (${a.severity})`;
+        if (a.ack) value += ` • ack'd by ${a.ack.user}`;
+        if (a.silenced) value += ' • silenced';
+        return { label: a.pattern, value };
+      });
+    },
   },
   // System group
   {
@@ -92,11 +237,18 @@ const SECTIONS = [
     sparkKey: 'sysCpu',
     detail: (stats) => {
       const cpu = stats.system.cpu || {};
-      return [
+      const rows = [
         { label: 'Usage', value: `${(cpu.percent || 0).toFixed(1)}%` },
         { label: 'Cores', value: String(cpu.cores || 'N/A') },
         { label: 'Model', value: cpu.model || 'N/A' },
       ];
+      if (Array.isArray(cpu.loadAvg) && cpu.loadAvg[0] != null) {
+        rows.push({ label: 'Load Avg', value: cpu.loadAvg.map((v) => v.toFixed(2)).join(' / ') });
+      }
+      if (Array.isArray(cpu.perCore) && cpu.perCore.length) {
+        rows.push({ label: 'Per Core', value: cpu.perCore.map((v) => `${Math.round(v)}%`).join(' ') });
+      }
+      return rows;
     },
   },
   {
@@ -134,11 +286,8 @@ const SECTIONS = [
     sparkKey: 'sysDisk',
     detail: (stats) => {
       const disk = stats.system.disk || {};
-      return [
-        { label: 'Used', value: formatBytes(disk.used || 0) },
-        { label: 'Total', value: formatBytes(disk.total || 0) },
-        { label: 'Free', value: formatBytes(disk.free || 0) },
-      ];
+      const primary = (stats.system.disks || [])[0];
+      return diskDetail(primary && primary.path === disk.path ? primary : disk, stats.system.userDir);
     },
   },
   {
@@ -165,4 +314,4 @@ const SECTIONS = [
   },
 ];
 
-module.exports = { SECTIONS };
+module.exports = { SECTIONS, diskSection };
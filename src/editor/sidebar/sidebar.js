@@ -1,5 +1,5 @@
 'use strict';
-const { SECTIONS } = require('./sections');
+const { SECTIONS, diskSection } = require('./sections');
 const { metricRow } = require('./metric-row');
 const { getStats } = require('../api');
 
@@ -55,6 +55,7 @@ function buildSidebar() {
     // Force one immediate poll
     getStats()
       .then((stats) => {
+        addDiskRows(stats);
         rows.forEach(({ row }) => row.update(stats));
         externalUpdaters.forEach(fn => fn(stats));
         statusEl.className = 'pm-status pm-status-online';
@@ -108,6 +109,20 @@ function buildSidebar() {
   });
   root.appendChild(sysSection);
 
+  // Monitored disk paths beyond the primary one ('Disk Space') get their own
+  // rows, added the first time /stats reports them.
+  const diskRows = new Set();
+  function addDiskRows(stats) {
+    (stats.system.disks || []).slice(1).forEach((d) => {
+      if (diskRows.has(d.path)) return;
+      diskRows.add(d.path);
+      const section = diskSection(d.path);
+      const { el, update } = metricRow(section);
+      sysSection.appendChild(el);
+      rows.push({ section, row: { update } });
+    });
+  }
+
   // ===== Polling & control =====
   function start(interval = 2000) {
     if (pollingInterval) return; // Already running
@@ -117,6 +132,7 @@ function buildSidebar() {
 
       getStats()
         .then((stats) => {
+          addDiskRows(stats);
           rows.forEach(({ row }) => row.update(stats));
           externalUpdaters.forEach(fn => fn(stats));
           statusEl.className = 'pm-status pm-status-online';
@@ -10,6 +10,14 @@ function makeStore(rules = []) {
     store.getAlarmRules = () => rules;
     store.insertEvent = () => {};
     store.getEvents = () => [];
+    store.transitions = [];
+    store.insertAlarmTransition = (t) => store.transitions.push(t);
+    store.silences = [];
+    store.getSilences = () => store.silences;
+    store.acks = [];
+    store.insertAlarmAck = (a) => store.acks.push(a);
+    store.patterns = [];
+    store.getBuiltinPatterns = () => store.patterns;
     return store;
 }
 
@@ -148,6 +156,20 @@ describe('AnomalyDetector — fixed threshold user rules', function () {
         assert.strictEqual(inserted[0].kind, 'anomaly');
         detector.stop();
     });
+
+    it('alert is handed to the notifier', function () {
+        const rule = { id: 1, metric: 'proc_cpu_pct', mode: 'fixed', threshold: 80, duration_s: 4, enabled: 1 };
+        const store = makeStore([rule]);
+        const notified = [];
+        const notifier = { notify: (alert) => { notified.push(alert); return Promise.resolve([]); } };
+        const detector = new AnomalyDetector({ store, collector: makeCollector(), RED: makeRED(), notifier });
+        detector.start();
+
+        emitSamples(store, detector, 3, { proc_cpu_pct: 95 });
+        assert.strictEqual(notified.length, 1);
+        assert.strictEqual(notified[0].pattern, 'rule:1');
+        detector.stop();
+    });
 });
 
 describe('AnomalyDetector — statistical user rules', function () {
@@ -192,6 +214,157 @@ describe('AnomalyDetector — statistical user rules', function () {
     });
 });
 
+describe('AnomalyDetector — durations follow sample timestamps', function () {
+    // Samples needed before the alert fires, breaching from the first one
+    function samplesToFire(rule, intervalMs, sys) {
+        const store = makeStore(rule ? [rule] : []);
+        const collector = makeCollector();
+        collector.pollInterval = intervalMs;
+        const detector = new AnomalyDetector({ store, collector, RED: makeRED() });
+        detector.start();
+        const alarms = [];
+        collector.on('alarm', p => alarms.push(p));
+
+        let ts = Date.now();
+        for (let i = 1; i <= 200; i++) {
+            store.emit('sample', { ts, system: makeSys({ ts, ...sys }), nodes: [] });
+            if (alarms.length) break;
+            ts += intervalMs;
+        }
+        detector.stop();
+        return alarms.length ? ts : null;
+    }
+
+    for (const intervalMs of [1000, 5000, 15_000]) {
+        it(`a 60s rule fires after 60s of breach at a ${intervalMs / 1000}s poll`, function () {
+            const rule = { id: 1, metric: 'sys_cpu_pct', mode: 'fixed', threshold: 80, duration_s: 60, enabled: 1 };
+            const start = Date.now();
+            const firedAt = samplesToFire(rule, intervalMs, { sys_cpu_pct: 95 });
+            // The first breaching sample covers the interval before it
+            assert.strictEqual(Math.round((firedAt - start) / 1000), 60 - intervalMs / 1000);
+        });
+
+        it(`loop_block needs 10s of lag at a ${intervalMs / 1000}s poll`, function () {
+            const start = Date.now();
+            const firedAt = samplesToFire(null, intervalMs, { event_loop_lag: 900 });
+            assert.strictEqual(Math.max(0, Math.round((firedAt - start) / 1000)), Math.max(0, 10 - intervalMs / 1000));
+        });
+    }
+
+    it('a gap in breaching restarts the duration', function () {
+        const rule = { id: 1, metric: 'sys_cpu_pct', mode: 'fixed', threshold: 80, duration_s: 20, enabled: 1 };
+        const store = makeStore([rule]);
+        const collector = makeCollector();
+        collector.pollInterval = 5000;
+        const detector = new AnomalyDetector({ store, collector, RED: makeRED() });
+        detector.start();
+        const alarms = [];
+        collector.on('alarm', p => alarms.push(p));
+
+        let ts = Date.now();
+        for (const v of [95, 95, 95, 10, 95, 95, 95]) {
+            store.emit('sample', { ts, system: makeSys({ ts, sys_cpu_pct: v }), nodes: [] });
+            ts += 5000;
+        }
+        assert.strictEqual(alarms.length, 0);
+        store.emit('sample', { ts, system: makeSys({ ts, sys_cpu_pct: 95 }), nodes: [] });
+        assert.strictEqual(alarms.length, 1);
+        detector.stop();
+    });
+});
+
+describe('AnomalyDetector — per-node user rules', function () {
+    function emitNodes(store, count, nodes, start = Date.now()) {
+        let ts = start;
+        for (let i = 0; i < count; i++) {
+            store.emit('sample', { ts, system: makeSys({ ts }), nodes });
+            ts += 2000;
+        }
+        return ts;
+    }
+
+    const mqtt = { node_id: 'mqtt1', node_type: 'mqtt in', flow_id: 'ingest', msg_count: 20, avg_process_ms: 1, error_count: 0 };
+    const debug = { node_id: 'dbg1', node_type: 'debug', flow_id: 'ingest', msg_count: 5, avg_process_ms: 4, error_count: 0 };
+
+    it('fires when a node receives no messages for the rule duration', function () {
+        const rule = { id: 5, metric: 'msg_count', mode: 'fixed', operator: 'lt', threshold: 1, duration_s: 300, enabled: 1, scope_type: 'node', scope_value: 'mqtt1' };
+        const store = makeStore([rule]);
+        const collector = makeCollector();
+        const detector = new AnomalyDetector({ store, collector, RED: makeRED() });
+        detector.start();
+        const alarms = [];
+        collector.on('alarm', p => alarms.push(p));
+
+        // An idle node is absent from drainNodes(), which reads as zero
+        const ts = emitNodes(store, 10, [mqtt, debug]);
+        emitNodes(store, 149, [debug], ts);
+        assert.strictEqual(alarms.length, 0, 'not yet silent for 300s');
+        emitNodes(store, 1, [debug], ts + 149 * 2000);
+
+        assert.strictEqual(alarms.length, 1);
+        assert.deepStrictEqual(alarms[0].scope, { type: 'node', value: 'mqtt1' });
+        assert.strictEqual(alarms[0].operator, 'lt');
+        assert.match(alarms[0].message, /msg_count \[node mqtt1\]/);
+        detector.stop();
+    });
+
+    it('aggregates a flow scope with a message-weighted average', function () {
+        const rule = { id: 6, metric: 'avg_process_ms', mode: 'fixed', operator: 'gte', threshold: 1.6, duration_s: 4, enabled: 1, scope_type: 'flow', scope_value: 'ingest' };
+        const store = makeStore([rule]);
+        const collector = makeCollector();
+        const detector = new AnomalyDetector({ store, collector, RED: makeRED() });
+        detector.start();
+        const alarms = [];
+        collector.on('alarm', p => alarms.push(p));
+
+        const other = { ...debug, node_id: 'dbg2', flow_id: 'other', avg_process_ms: 500 };
+        emitNodes(store, 3, [mqtt, debug, other]);
+
+        // (20·1 + 5·4) / 25 = 1.6; the node on the other tab is ignored
+        assert.strictEqual(alarms.length, 1);
+        assert.strictEqual(alarms[0].value, 1.6);
+        detector.stop();
+    });
+
+    it('resolves an avg_process_ms alarm once its nodes go idle', function () {
+        const rule = { id: 8, metric: 'avg_process_ms', mode: 'fixed', operator: 'gt', threshold: 2, duration_s: 4, enabled: 1, scope_type: 'node', scope_value: 'dbg1' };
+        const store = makeStore([rule]);
+        const collector = makeCollector();
+        const detector = new AnomalyDetector({ store, collector, RED: makeRED() });
+        detector.start();
+        const alarms = [];
+        collector.on('alarm', p => alarms.push(p));
+
+        const ts = emitNodes(store, 3, [mqtt, debug]);
+        assert.strictEqual(detector.getActiveAlarms()[0].state, 'firing');
+        emitNodes(store, 31, [mqtt], ts);                   // dbg1 idle for 62s
+
+        assert.deepStrictEqual(detector.getActiveAlarms(), []);
+        assert.deepStrictEqual(alarms.map(a => a.kind), ['anomaly', 'resolved']);
+        detector.stop();
+    });
+
+    it('statistical lt rules fire below mean − N·σ', function () {
+        const rule = { id: 7, metric: 'msg_rate', mode: 'statistical', operator: 'lt', threshold: 3, duration_s: 4, enabled: 1, scope_type: 'type', scope_value: 'mqtt in' };
+        const store = makeStore([rule]);
+        const collector = makeCollector();
+        const detector = new AnomalyDetector({ store, collector, RED: makeRED() });
+        detector.start();
+        const alarms = [];
+        collector.on('alarm', p => alarms.push(p));
+
+        const ts = emitNodes(store, 30, [mqtt]);
+        assert.strictEqual(alarms.length, 0);
+        emitNodes(store, 3, [{ ...mqtt, msg_count: 1 }], ts);
+
+        // The built-in traffic drop fires too; only look at the rule's alert
+        const fired = alarms.filter(a => a.pattern === 'rule:7');
+        assert.strictEqual(fired.length, 1);
+        assert.strictEqual(fired[0].value, 0.5);
+        detector.stop();
+    });
+});
+
 describe('AnomalyDetector — built-in CPU spike', function () {
     it('CPU spike at 90%+ for 60s fires high severity alert', function () {
         const store = makeStore([]);
@@ -229,6 +402,53 @@ describe('AnomalyDetector — built-in CPU spike', function () {
     });
 });
 
+describe('AnomalyDetector — built-in pattern settings', function () {
+    it('uses stored threshold, window and severity overrides', function () {
+        const store = makeStore([]);
+        store.patterns = [{ pattern: 'cpu_spike', enabled: 1, threshold: 98, window_s: 10, severity: 'low' }];
+        const collector = makeCollector();
+        const detector = new AnomalyDetector({ store, collector, RED: makeRED() });
+        detector.start();
+        const alarms = [];
+        collector.on('alarm', p => alarms.push(p));
+
+        emitSamples(store, detector, 40, { proc_cpu_pct: 95 });
+        assert.strictEqual(alarms.length, 0, '95% is below the tuned 98% threshold');
+
+        emitSamples(store, detector, 5, { proc_cpu_pct: 99 });
+        assert.strictEqual(alarms.length, 1, 'fires after the tuned 10s window');
+        assert.strictEqual(alarms[0].severity, 'low');
+        assert.strictEqual(alarms[0].threshold, 98);
+        detector.stop();
+    });
+
+    it('picks up changes on rules:changed and can disable one traffic pattern alone', function () {
+        const store = makeStore([]);
+        const collector = makeCollector();
+        const RED = makeRED();
+        const detector = new AnomalyDetector({ store, collector, RED });
+        detector.start();
+        assert.strictEqual(detector.getBuiltinPatterns().loop_block.threshold, 500);
+
+        store.patterns = [{ pattern: 'traffic_spike', enabled: 0, threshold: null, window_s: null, severity: null }];
+        RED.events.emit('rules:changed');
+        const patterns = detector.getBuiltinPatterns();
+        assert.strictEqual(patterns.traffic_spike.enabled, false);
+        assert.strictEqual(patterns.traffic_spike.threshold, 5, 'null falls back to the default');
+
+        const alarms = [];
+        collector.on('alarm', p => alarms.push(p));
+        let ts = Date.now();
+        for (let i = 0; i < 10; i++) {
+            store.emit('sample', { ts, system: makeSys({ ts }), nodes: [{ node_id: 'n1', node_type: 'http in', msg_count: 100 }] });
+            ts += 2000;
+        }
+        store.emit('sample', { ts, system: makeSys({ ts }), nodes: [] });
+        assert.deepStrictEqual(alarms.map(a => a.pattern), ['traffic_drop']);
+        detector.stop();
+    });
+});
+
 describe('AnomalyDetector — built-in heap growth', function () {
     it('heap growing > 20 MB/min fires heap_growth alert', function () {
         const store = makeStore([]);
@@ -274,6 +494,74 @@ describe('AnomalyDetector — built-in event loop block', function () {
     });
 });
 
+describe('AnomalyDetector — built-in container patterns', function () {
+    function setup() {
+        const store = makeStore([]);
+        const collector = makeCollector();
+        const detector = new AnomalyDetector({ store, collector, RED: makeRED() });
+        detector.start();
+        const alarms = [];
+        collector.on('alarm', p => alarms.push(p));
+        return { store, detector, alarms };
+    }
+
+    it('CPU throttled in > 25% of periods for 60s fires cpu_throttle', function () {
+        const early = setup();
+        emitSamples(early.store, early.detector, 29, { cg_cpu_throttled_pct: 40 });
+        assert.strictEqual(early.alarms.length, 0, '58s is not yet sustained');
+        early.detector.stop();
+
+        const { store, detector, alarms } = setup();
+        emitSamples(store, detector, 30, { cg_cpu_throttled_pct: 40 });
+        assert.strictEqual(alarms.length, 1);
+        assert.strictEqual(alarms[0].pattern, 'cpu_throttle');
+        assert.strictEqual(alarms[0].metric, 'cg_cpu_throttled_pct');
+        assert.strictEqual(alarms[0].severity, 'high');
+        detector.stop();
+    });
+
+    it('working set above 90% of memory.max for 30s fires oom_risk', function () {
+        const { store, detector, alarms } = setup();
+        emitSamples(store, detector, 15, { cg_mem_pct: 95, cg_oom_kills: 0 });
+        assert.strictEqual(alarms.length, 1);
+        assert.strictEqual(alarms[0].pattern, 'oom_risk');
+        assert.strictEqual(alarms[0].severity, 'critical');
+        assert.ok(/95\.0% of memory\.max/.test(alarms[0].message));
+        detector.stop();
+    });
+
+    it('an OOM kill fires oom_risk without waiting for the window', function () {
+        const { store, detector, alarms } = setup();
+        emitSamples(store, detector, 1, { cg_mem_pct: 60, cg_oom_kills: 1 });
+        assert.strictEqual(alarms.length, 1);
+        assert.ok(/OOM killer ended 1 process/.test(alarms[0].message));
+        detector.stop();
+    });
+
+    it('resolves an OOM kill alarm on a cgroup without memory.max', function () {
+        const { store, detector, alarms } = setup();
+        let ts = 1_000_000;
+        store.emit('sample', { ts, system: makeSys({ ts, cg_oom_kills: 1 }), nodes: [] });
+        assert.strictEqual(detector.getActiveAlarms()[0].state, 'firing');
+        for (let i = 0; i < 31; i++) {
+            ts += 2000;
+            store.emit('sample', { ts, system: makeSys({ ts, cg_oom_kills: 0 }), nodes: [] });
+        }
+        assert.deepStrictEqual(detector.getActiveAlarms(), []);
+        assert.deepStrictEqual(alarms.map(a => a.kind), ['anomaly', 'resolved']);
+        assert.strictEqual(alarms[1].pattern, 'oom_risk');
+        detector.stop();
+    });
+
+    it('stays silent without cgroup stats', function () {
+        const { store, detector, alarms } = setup();
+        emitSamples(store, detector, 40, {});
+        assert.strictEqual(alarms.length, 0);
+        assert.strictEqual(detector.getActiveAlarms().length, 0);
+        detector.stop();
+    });
+});
+
 describe('AnomalyDetector — built-in traffic anomalies', function () {
     function emitWithNodes(store, count, msgCount, intervalMs = 2000) {
         let ts = Date.now();
@@ -301,6 +589,33 @@ describe('AnomalyDetector — built-in traffic anomalies', function () {
         assert.ok(alarms.find(a => a.pattern === 'traffic_drop').severity === 'critical');
         detector.stop();
     });
+
+    it('reports each traffic pattern\'s own window as the alert duration', function () {
+        const store = makeStore([]);
+        store.patterns = [
+            { pattern: 'traffic_drop', enabled: 1, threshold: null, window_s: 120, severity: null },
+            { pattern: 'traffic_spike', enabled: 1, threshold: 2, window_s: 60, severity: null }
+        ];
+        const collector = makeCollector();
+        const RED = makeRED();
+        const detector = new AnomalyDetector({ store, collector, RED });
+        detector.start();
+
+        const alarms = [];
+        collector.on('alarm', p => alarms.push(p));
+        let ts = Date.now();
+        for (let i = 0; i < 10; i++) {
+            store.emit('sample', { ts, system: makeSys({ ts }), nodes: [{ node_id: 'n1', node_type: 'http in', msg_count: 20 + (i % 2) }] });
+            ts += 2000;
+        }
+        store.emit('sample', { ts, system: makeSys({ ts }), nodes: [{ node_id: 'n1', node_type: 'http in', msg_count: 500 }] });
+        ts += 2000;
+        store.emit('sample', { ts, system: makeSys({ ts }), nodes: [] });
+
+        assert.strictEqual(alarms.find(a => a.pattern === 'traffic_spike').durationMs, 60_000);
+        assert.strictEqual(alarms.find(a => a.pattern === 'traffic_drop').durationMs, 120_000);
+        detector.stop();
+    });
 });
 
 describe('AnomalyDetector — deployNearby flag', function () {
@@ -326,3 +641,180 @@ describe('AnomalyDetector — deployNearby flag', function () {
         detector.stop();
     });
 });
+
+describe('AnomalyDetector — alarm lifecycle', function () {
+    const rule = { id: 1, metric: 'proc_cpu_pct', mode: 'fixed', threshold: 80, duration_s: 10, enabled: 1 };
+
+    function feed(store, ts, values) {
+        for (const v of values) {
+            store.emit('sample', { ts, system: makeSys({ ts, proc_cpu_pct: v }), nodes: [] });
+            ts += 2000;
+        }
+        return ts;
+    }
+
+    it('goes pending, then firing, and is listed as active', function () {
+        const store = makeStore([rule]);
+        const detector = new AnomalyDetector({ store, collector: makeCollector(), RED: makeRED() });
+        detector.start();
+
+        let ts = feed(store, 1_000_000, [90, 90]);
+        assert.deepStrictEqual(detector.getActiveAlarms().map(a => a.state), ['pending']);
+        feed(store, ts, [90, 90, 90]);
+        const [alarm] = detector.getActiveAlarms();
+        assert.strictEqual(alarm.state, 'firing');
+        assert.strictEqual(alarm.key, 'rule:1');
+        assert.strictEqual(alarm.since, 1_000_000);
+        assert.deepStrictEqual(store.transitions.map(t => t.to_state), ['pending', 'firing']);
+        detector.stop();
+    });
+
+    it('a pending alarm that clears never fires', function () {
+        const store = makeStore([rule]);
+        const collector = makeCollector();
+        const detector = new AnomalyDetector({ store, collector, RED: makeRED() });
+        detector.start();
+        const alarms = [];
+        collector.on('alarm', p => alarms.push(p));
+
+        feed(store, 1_000_000, [90, 90, 50]);
+        assert.strictEqual(alarms.length, 0);
+        assert.deepStrictEqual(detector.getActiveAlarms(), []);
+        assert.deepStrictEqual(store.transitions.map(t => t.to_state), ['pending', 'inactive']);
+        detector.stop();
+    });
+
+    it('resolves only after the condition stays clear for resolveAfterMs', function () {
+        const store = makeStore([rule]);
+        const collector = makeCollector();
+        const inserted = [];
+        store.insertEvent = (ev) => inserted.push(ev);
+        const detector = new AnomalyDetector({ store, collector, RED: makeRED(), resolveAfterMs: 10_000 });
+        detector.start();
+        const alarms = [];
+        collector.on('alarm', p => alarms.push(p));
+
+        let ts = feed(store, 1_000_000, [90, 90, 90, 90, 90]);
+        ts = feed(store, ts, [50, 50, 90]);               // clears briefly, breaches again
+        assert.strictEqual(detector.getActiveAlarms()[0].state, 'firing');
+        ts = feed(store, ts, [50, 50, 50, 50, 50]);       // 8s clear — not yet
+        assert.strictEqual(detector.getActiveAlarms().length, 1);
+        feed(store, ts, [50]);                            // 10s clear
+        assert.deepStrictEqual(detector.getActiveAlarms(), []);
+
+        assert.deepStrictEqual(alarms.map(a => a.kind), ['anomaly', 'resolved']);
+        assert.strictEqual(alarms[1].pattern, 'rule:1');
+        assert.deepStrictEqual(inserted.map(e => e.kind), ['anomaly', 'resolved']);
+        assert.strictEqual(store.transitions[store.transitions.length - 1].to_state, 'resolved');
+        detector.stop();
+    });
+
+    it('fires again after a resolved alarm re-breaches', function () {
+        const store = makeStore([rule]);
+        const collector = makeCollector();
+        const detector = new AnomalyDetector({ store, collector, RED: makeRED(), resolveAfterMs: 0 });
+        detector.start();
+        const alarms = [];
+        collector.on('alarm', p => alarms.push(p));
+
+        let ts = feed(store, 1_000_000, [90, 90, 90, 90, 90, 50]);
+        feed(store, ts, [90, 90, 90, 90, 90]);
+        assert.deepStrictEqual(alarms.map(a => a.kind), ['anomaly', 'resolved', 'anomaly']);
+        detector.stop();
+    });
+});
+
+describe('AnomalyDetector — acknowledgement and silences', function () {
+    const rule = { id: 1, metric: 'proc_cpu_pct', mode: 'fixed', threshold: 80, duration_s: 4, enabled: 1 };
+
+    function silence(fields) {
+        const now = Date.now();
+        return { id: 7, starts_at: now - 1000, ends_at: now + 60_000, pattern: null, metric: null, severity: null, ...fields };
+    }
+
+    it('acknowledges an active alarm and records who did it', function () {
+        const store = makeStore([rule]);
+        const detector = new AnomalyDetector({ store, collector: makeCollector(), RED: makeRED() });
+        detector.start();
+        emitSamples(store, detector, 3, { proc_cpu_pct: 95 });
+
+        assert.strictEqual(detector.acknowledge('rule:9', { user: 'bob' }), null);
+        const alarm = detector.acknowledge('rule:1', { user: 'bob', comment: 'looking' });
+        assert.strictEqual(alarm.ack.user, 'bob');
+        assert.strictEqual(detector.getActiveAlarms()[0].ack.comment, 'looking');
+        assert.strictEqual(store.acks[0].alarm_key, 'rule:1');
+        detector.stop();
+    });
+
+    it('a matching silence suppresses notifications and flow output but keeps the event', function () {
+        const store = makeStore([rule]);
+        store.silences = [silence({ pattern: 'rule:1' })];
+        const inserted = [];
+        store.insertEvent = (ev) => inserted.push(ev);
+        const notified = [];
+        const notifier = { notify: (a) => { notified.push(a); return Promise.resolve([]); } };
+        const RED = makeRED();
+        const collector = makeCollector();
+        const flowOutput = [];
+        collector.on('alarm', a => flowOutput.push(a));
+        const detector = new AnomalyDetector({ store, collector, RED, notifier });
+        detector.start();
+        emitSamples(store, detector, 3, { proc_cpu_pct: 95 });
+
+        assert.strictEqual(notified.length, 0);
+        assert.strictEqual(flowOutput.length, 0, 'perf-monitor nodes get nothing while silenced');
+        assert.strictEqual(RED.events._emitted.filter(e => e.name === 'runtime-event').length, 0);
+        assert.strictEqual(inserted[0].detail.silenced, 7);
+        assert.strictEqual(detector.getActiveAlarms()[0].silenced, 7);
+        detector.stop();
+    });
+
+    it('silences must match every matcher they set', function () {
+        const store = makeStore([rule]);
+        store.silences = [silence({ metric: 'proc_cpu_pct', severity: 'critical' }), silence({ id: 8, severity: 'medium', ends_at: Date.now() - 1 })];
+        const notified = [];
+        const notifier = { notify: (a) => { notified.push(a); return Promise.resolve([]); } };
+        const detector = new AnomalyDetector({ store, collector: makeCollector(), RED: makeRED(), notifier });
+        detector.start();
+        emitSamples(store, detector, 3, { proc_cpu_pct: 95 });
+
+        assert.strictEqual(notified.length, 1, 'severity mismatch and expired silence do not apply');
+        detector.stop();
+    });
+});
+
+describe('AnomalyDetector — capture on alarm', function () {
+    function makeProfiler() {
+        const calls = [];
+        return { calls, captureForAlarm: (kind, ctx) => { calls.push({ kind, ...ctx }); return Promise.resolve(null); } };
+    }
+
+    it('starts the capture a rule asks for when its alarm fires', function () {
+        const rule = { id: 4, metric: 'proc_cpu_pct', mode: 'fixed', threshold: 80, duration_s: 4, enabled: 1, capture: 'cpu' };
+        const store = makeStore([rule]);
+        const collector = makeCollector();
+        const profiler = makeProfiler();
+        const detector = new AnomalyDetector({ store, collector, RED: makeRED(), profiler });
+        detector.start();
+        const alarms = [];
+        collector.on('alarm', p => alarms.push(p));
+
+        emitSamples(store, detector, 4, { proc_cpu_pct: 95 });
+        assert.deepStrictEqual(profiler.calls, [{ kind: 'cpu', key: 'rule:4', pattern: 'rule:4' }]);
+        assert.strictEqual(alarms[0].capture, 'cpu');
+        detector.stop();
+    });
+
+    it('uses the capture setting of a built-in pattern', function () {
+        const store = makeStore([]);
+        store.patterns = [{ pattern: 'loop_block', capture: 'heap' }];
+        const profiler = makeProfiler();
+        const detector = new AnomalyDetector({ store, collector: makeCollector(), RED: makeRED(), profiler });
+        detector.start();
+
+        emitSamples(store, detector, 5, { event_loop_lag: 600 });
+        emitSamples(store, detector, 5, { proc_cpu_pct: 95 });
+        assert.deepStrictEqual(profiler.calls.map(c => [c.kind, c.key]), [['heap', 'builtin:loop_block']], 'cpu_spike has no capture');
+        detector.stop();
+    });
+});
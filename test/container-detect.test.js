@@ -17,6 +17,13 @@ describe('container-detect', function () {
         sandbox.restore();
     });
 
+    it('exports the root-mount limit paths and the per-cgroup file names', function () {
+        assert.strictEqual(detect.CGROUP_V2_PATHS.memoryMax, '/sys/fs/cgroup/memory.max');
+        assert.strictEqual(detect.CGROUP_V1_PATHS.cpuQuota, '/sys/fs/cgroup/cpu/cpu.cfs_quota_us');
+        assert.strictEqual(detect.CGROUP_V2_FILES.memoryMax, 'memory.max');
+        assert.strictEqual(detect.CGROUP_V1_FILES.cpuQuota, 'cpu.cfs_quota_us');
+    });
+
     it('returns non-containerized on non-linux', function () {
         sandbox.stub(os, 'platform').returns('darwin');
         const info = detect.detectContainerEnvironment({ force: true });
@@ -47,4 +54,134 @@ describe('container-detect', function () {
         const info = detect.detectContainerEnvironment({ force: true });
         assert.strictEqual(info.isContainerized, false);
     });
+
+    describe('nested cgroups', function () {
+        const path = require('path');
+        let mount, procCgroup;
+
+        function writeCgroup(rel, files) {
+            const dir = path.join(mount, rel);
+            fs.mkdirSync(dir, { recursive: true });
+            for (const [name, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), text);
+        }
+
+        beforeEach(function () {
+            sandbox.stub(os, 'platform').returns('linux');
+            mount = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-cgmount-'));
+            procCgroup = path.join(mount, 'proc-self-cgroup');
+            fs.writeFileSync(procCgroup, '0::/system.slice/node-red.service\n');
+            writeCgroup('', { 'cgroup.controllers': 'cpu memory io\n' });
+            writeCgroup('system.slice', { 'memory.max': 'max\n', 'cpu.max': '150000 100000\n' });
+            writeCgroup('system.slice/node-red.service', { 'memory.max': '536870912\n', 'cpu.max': 'max 100000\n', 'memory.current': '1000\n' });
+        });
+
+        afterEach(function () {
+            fs.rmSync(mount, { recursive: true, force: true });
+        });
+
+        it('parses /proc/self/cgroup for both hierarchies', function () {
+            assert.deepStrictEqual(detect.parseProcCgroup('0::/system.slice/x.service\n'), { v2: '/system.slice/x.service', v1: {} });
+            assert.deepStrictEqual(detect.parseProcCgroup('12:memory:/docker/abc\n4:cpu,cpuacct:/docker/abc\n'),
+                { v2: null, v1: { memory: '/docker/abc', cpu: '/docker/abc', cpuacct: '/docker/abc' } });
+        });
+
+        it('finds a systemd MemoryMax on the process\'s own cgroup and a CPU quota on its slice', function () {
+            const info = detect.detectContainerEnvironment({ force: true, mount, procCgroup });
+            assert.strictEqual(info.isContainerized, true);
+            assert.strictEqual(info.cgroupVersion, 2);
+            assert.strictEqual(info.cgroupPath, path.join(mount, 'system.slice/node-red.service'));
+            assert.strictEqual(info.memoryLimit, 536870912);
+            assert.strictEqual(info.cpuLimit, 1.5);
+            assert.strictEqual(detect.readContainerMemoryUsage(info), 1000);
+        });
+
+        it('picks up a changed limit when forced, and keeps the cached one otherwise', function () {
+            detect.detectContainerEnvironment({ force: true, mount, procCgroup });
+            writeCgroup('system.slice/node-red.service', { 'memory.max': '268435456\n' });
+            assert.strictEqual(detect.detectContainerEnvironment({ mount, procCgroup }).memoryLimit, 536870912);
+            assert.strictEqual(detect.detectContainerEnvironment({ force: true, mount, procCgroup }).memoryLimit, 268435456);
+        });
+
+        it('falls back to the mount root when the host path is not mounted (container without cgroupns)', function () {
+            fs.writeFileSync(procCgroup, '0::/kubepods/pod123/abc\n');
+            writeCgroup('', { 'memory.max': '1073741824\n' });
+            const info = detect.detectContainerEnvironment({ force: true, mount, procCgroup });
+            assert.strictEqual(info.cgroupPath, mount);
+            assert.strictEqual(info.memoryLimit, 1073741824);
+        });
+    });
+});
+
+describe('CgroupStatsProbe', function () {
+    const path = require('path');
+    const { CgroupStatsProbe, CGROUP_COLUMNS, parsePressure } = require('../lib/container-detect.js');
+    let root;
+
+    const PRESSURE = (some, full) => `some avg10=${some} avg60=1.00 avg300=0.50 total=123456\n` +
+        (full == null ? '' : `full avg10=${full} avg60=0.00 avg300=0.00 total=789\n`);
+    function writeTree({ periods, throttled, usec, oom, oomKill }) {
+        const files = {
+            'cpu.stat': `usage_usec 900000\nuser_usec 600000\nsystem_usec 300000\nnr_periods ${periods}\nnr_throttled ${throttled}\nthrottled_usec ${usec}\n`,
+            'memory.stat': 'anon 600000000\nfile 300000000\nkernel 50000000\nkernel_stack 1000000\nslab 40000000\ninactive_file 200000000\n',
+            'memory.events': `low 0\nhigh 0\nmax 12\noom ${oom}\noom_kill ${oomKill}\n`,
+            'memory.current': '950000000\n',
+            'memory.max': '1000000000\n',
+            'cpu.pressure': PRESSURE('12.50'),
+            'memory.pressure': PRESSURE('3.25', '1.10'),
+            'io.pressure': PRESSURE('0.40', '0.00')
+        };
+        for (const [name, text] of Object.entries(files)) fs.writeFileSync(path.join(root, name), text);
+    }
+
+    beforeEach(function () {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-cgroup-'));
+        writeTree({ periods: 1000, throttled: 100, usec: 2_000_000, oom: 0, oomKill: 0 });
+    });
+
+    afterEach(function () {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('parses PSI lines', function () {
+        assert.deepStrictEqual(parsePressure(PRESSURE('3.25', '1.10')), {
+            some: { avg10: 3.25, avg60: 1, avg300: 0.5, total: 123456 },
+            full: { avg10: 1.1, avg60: 0, avg300: 0, total: 789 }
+        });
+    });
+
+    it('reports throttling and OOM deltas, the memory breakdown and pressure', function () {
+        const probe = new CgroupStatsProbe({ root });
+        writeTree({ periods: 1050, throttled: 120, usec: 2_500_000, oom: 1, oomKill: 1 });
+        const d = probe.drain();
+        assert.deepStrictEqual(Object.keys(d), CGROUP_COLUMNS);
+        assert.strictEqual(d.cg_cpu_throttled_periods, 20);
+        assert.strictEqual(d.cg_cpu_throttled_pct, 40);
+        assert.strictEqual(d.cg_cpu_throttled_ms, 500);
+        assert.strictEqual(d.cg_mem_anon, 600000000);
+        assert.strictEqual(d.cg_mem_kernel, 50000000);
+        assert.strictEqual(d.cg_mem_working_set, 750000000);
+        assert.strictEqual(d.cg_mem_pct, 75);
+        assert.strictEqual(d.cg_oom_events, 1);
+        assert.strictEqual(d.cg_oom_kills, 1);
+        assert.strictEqual(d.psi_cpu_some, 12.5);
+        assert.strictEqual(d.psi_mem_full, 1.1);
+        assert.strictEqual(d.psi_io_some, 0.4);
+
+        // No new periods: nothing was throttled
+        assert.strictEqual(probe.drain().cg_cpu_throttled_pct, 0);
+    });
+
+    it('sums kernel memory on kernels without a `kernel` line, and skips pct without memory.max', function () {
+        fs.writeFileSync(path.join(root, 'memory.stat'), 'anon 1\nfile 2\nkernel_stack 10\nslab 20\npagetables 5\ninactive_file 0\n');
+        fs.writeFileSync(path.join(root, 'memory.max'), 'max\n');
+        const d = new CgroupStatsProbe({ root }).drain();
+        assert.strictEqual(d.cg_mem_kernel, 35);
+        assert.strictEqual(d.cg_mem_working_set, 950000000);
+        assert.strictEqual(d.cg_mem_pct, null);
+    });
+
+    it('reports nulls without a cgroup v2 tree', function () {
+        const d = new CgroupStatsProbe({ root: path.join(root, 'missing') }).drain();
+        assert.ok(CGROUP_COLUMNS.every(c => d[c] === null));
+    });
 });
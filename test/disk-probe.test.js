@@ -0,0 +1,107 @@
+'use strict';
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const { DiskProbe, statPath, mountFor, MOUNT_REFRESH_MS } = require('../lib/disk-probe');
+
+function write(dir, rel, bytes) {
+    const file = path.join(dir, rel);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, Buffer.alloc(bytes));
+}
+
+describe('DiskProbe', function () {
+    let userDir;
+
+    beforeEach(function () {
+        userDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-disk-'));
+        write(userDir, 'flows.json', 1000);
+        write(userDir, 'flows_cred.json', 200);
+        write(userDir, '.flows.json.backup', 900);
+        write(userDir, 'context/global/global.json', 3000);
+        write(userDir, 'node_modules/node-red-contrib-x/index.js', 5000);
+        write(userDir, 'performance-monitor.db', 4096);
+        write(userDir, 'performance-monitor.db-wal', 1024);
+        write(userDir, 'settings.js', 100);
+    });
+
+    afterEach(function () {
+        fs.rmSync(userDir, { recursive: true, force: true });
+    });
+
+    it('breaks userDir down into flows, context, node_modules, the database and the rest', async function () {
+        const probe = new DiskProbe({ userDir, dbPath: path.join(userDir, 'performance-monitor.db') });
+        const rows = await probe.refreshDirSizes(1000);
+        const sizes = Object.fromEntries(rows.map(r => [r.label, r.size]));
+        assert.deepStrictEqual(sizes, { flows: 2100, context: 3000, node_modules: 5000, perf_db: 5120, other: 100, total: 15320 });
+        assert.ok(rows.every(r => r.kind === 'dir' && r.ts === 1000));
+        assert.strictEqual(probe.dirSizes().truncated, false);
+        assert.strictEqual(probe.dirSizes().path, path.resolve(userDir));
+    });
+
+    it('stops counting after maxDirEntries', async function () {
+        const probe = new DiskProbe({ userDir, maxDirEntries: 1 });
+        await probe.refreshDirSizes();
+        assert.strictEqual(probe.dirSizes().truncated, true);
+        assert.ok(probe.dirSizes().total < 15320);
+    });
+
+    it('defaults to userDir and the database directory, without duplicates', function () {
+        const dbDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-db-'));
+        try {
+            assert.deepStrictEqual(new DiskProbe({ userDir, dbPath: path.join(userDir, 'x.db') }).paths, [path.resolve(userDir)]);
+            assert.deepStrictEqual(new DiskProbe({ userDir, dbPath: path.join(dbDir, 'x.db') }).paths, [path.resolve(userDir), dbDir]);
+            assert.deepStrictEqual(new DiskProbe({ userDir, paths: ['/'] }).paths, ['/']);
+        } finally {
+            fs.rmSync(dbDir, { recursive: true, force: true });
+        }
+    });
+
+    it('emits volume rows every intervalMs and dir rows once a walk finishes', async function () {
+        const probe = new DiskProbe({ userDir, intervalMs: 60_000, dirSizeIntervalMs: 300_000 });
+        const first = probe.drain(1_000_000);
+        assert.deepStrictEqual(first.map(r => r.kind), ['volume']);
+        assert.ok(first[0].total > 0 && first[0].used >= 0 && first[0].avail >= 0);
+
+        await new Promise(r => setTimeout(r, 50));
+        const second = probe.drain(1_002_000);
+        assert.ok(second.length > 0 && second.every(r => r.kind === 'dir'), 'walk rows, volume not yet due');
+        assert.deepStrictEqual(probe.drain(1_004_000), []);
+        assert.strictEqual(probe.drain(1_061_000).length, 1);
+    });
+
+    it('statPath reports inodes and the mount point on Linux', function () {
+        const v = statPath(userDir);
+        assert.ok(v.total >= v.used);
+        if (process.platform !== 'linux') return this.skip();
+        assert.ok(typeof mountFor(userDir) === 'string');
+        assert.strictEqual(mountFor('/'), '/');
+        assert.ok(v.inodes_total == null || v.inodes_used <= v.inodes_total);
+        assert.strictEqual(statPath(path.join(userDir, 'missing')), null);
+    });
+
+    it('statPath looks the mount up once per refresh interval and after a failed stat', function () {
+        if (process.platform !== 'linux') return this.skip();
+        const readFile = sinon.spy(fs, 'readFileSync');
+        const mountReads = () => readFile.getCalls().filter(c => c.args[0] === '/proc/self/mounts').length;
+        try {
+            const first = statPath(userDir, 1_000_000);
+            statPath(userDir, 1_002_000);
+            assert.strictEqual(mountReads(), 1);
+            assert.strictEqual(statPath(userDir, 1_004_000).mount, first.mount);
+
+            statPath(userDir, 1_000_000 + MOUNT_REFRESH_MS);
+            assert.strictEqual(mountReads(), 2, 'refreshed after MOUNT_REFRESH_MS');
+
+            fs.rmSync(userDir, { recursive: true, force: true });
+            assert.strictEqual(statPath(userDir, 1_000_000 + MOUNT_REFRESH_MS + 1), null);
+            fs.mkdirSync(userDir);
+            statPath(userDir, 1_000_000 + MOUNT_REFRESH_MS + 2);
+            assert.strictEqual(mountReads(), 3, 'looked up again after the stat failed');
+        } finally {
+            readFile.restore();
+        }
+    });
+});
@@ -1,6 +1,6 @@
 const assert = require('assert');
 const fs = require('fs');
-const { SECTIONS } = require('../src/editor/sidebar/sections');
+const { SECTIONS, diskSection } = require('../src/editor/sidebar/sections');
 const sample = {
   nodeRed: { cpu: 12.5, memory: { rss: 100, heapUsed: 50, heapTotal: 80, external: 4, arrayBuffers: 1 }, eventLoopLag: 2.0, pid: 1, uptime: 3600 },
   system: { cpu: { percent: 40, cores: 8, model: 'x' }, memory: { total: 100, used: 60, free: 40, usedPercent: 60 }, disk: { total: 100, used: 30, free: 70, usedPercent: 30 } },
@@ -33,6 +33,109 @@ describe('editor/sections', function () {
       }, `detail() threw for section ${section.id}`);
     });
   });
+  it('alarms section summarises firing, acknowledged and silenced alarms', function () {
+    const alarms = SECTIONS.find((s) => s.id === 'app-alarms');
+    assert.strictEqual(alarms.value(sample), 'None');
+    const withAlarms = {
+      ...sample,
+      alarms: {
+        firing: 1, pending: 0, acknowledged: 1, silenced: 1,
+        items: [{ key: 'builtin:loop_block', pattern: 'loop_block', severity: 'critical', state: 'firing', ack: { user: 'alice' }, silenced: 3 }],
+      },
+    };
+    assert.strictEqual(alarms.value(withAlarms), "1 firing • 1 ack'd • 1 silenced");
+    assert.deepStrictEqual(alarms.detail(withAlarms), [{ label: 'loop_block', value: "firing (critical) • ack'd by alice • silenced" }]);
+  });
+  it('memory detail adds heap spaces and GC activity when reported', function () {
+    const mem = SECTIONS.find((s) => s.id === 'app-memory');
+    assert.strictEqual(mem.detail(sample).length, 5);
+    const withGc = {
+      ...sample,
+      nodeRed: {
+        ...sample.nodeRed,
+        memory: { ...sample.nodeRed.memory, heapSizeLimit: 4096, spaces: { new: 1024, old: 2048, largeObject: 0 } },
+        gc: { count: 7, pauseMs: 3.25, minor: 6, major: 1, intervalMs: 2000 },
+      },
+    };
+    const rows = mem.detail(withGc);
+    assert.deepStrictEqual(rows.slice(5).map((r) => r.label), ['Heap Limit', 'Old Space', 'New Space', 'Large Objects', 'GC (last interval)']);
+    assert.strictEqual(rows[9].value, '7 (6 minor / 1 major), 3.3 ms');
+  });
+  it('event loop detail adds delay percentiles and utilization when reported', function () {
+    const lag = SECTIONS.find((s) => s.id === 'app-lag');
+    assert.deepStrictEqual(lag.detail(sample), [{ label: 'Lag', value: '2.00ms' }]);
+    const withLoop = {
+      ...sample,
+      nodeRed: {
+        ...sample.nodeRed,
+        eventLoop: { delayMinMs: 10, delayMeanMs: 11, delayP50Ms: 10.5, delayP99Ms: 42, delayMaxMs: 310, utilizationPct: 37.25 },
+      },
+    };
+    assert.deepStrictEqual(lag.detail(withLoop).slice(1), [
+      { label: 'Delay p50 / p99', value: '10.50ms / 42.00ms' },
+      { label: 'Delay Max', value: '310.00ms' },
+      { label: 'Utilization', value: '37.3%' },
+    ]);
+  });
+  it('resources section counts handles and fills against the fd limit', function () {
+    const resources = SECTIONS.find((s) => s.id === 'app-resources');
+    assert.strictEqual(resources.value(sample), 'N/A');
+    assert.strictEqual(resources.percent(sample), null);
+    const withRes = {
+      ...sample,
+      nodeRed: {
+        ...sample.nodeRed,
+        resources: {
+          handles: 42, requests: 1, sockets: 30, servers: 1, timers: 10, fsWatchers: 0, childProcesses: 1,
+          openFds: 256, fdLimit: 1024, byType: { TCPSocketWrap: 30, Timeout: 10, TCPServerWrap: 1, ProcessWrap: 1, FSReqCallback: 1 },
+        },
+      },
+    };
+    assert.strictEqual(resources.value(withRes), '42 handles • 1 req • 256 fds');
+    assert.strictEqual(resources.percent(withRes), 25);
+    const rows = resources.detail(withRes);
+    assert.deepStrictEqual(rows.find((r) => r.label === 'Open FDs'), { label: 'Open FDs', value: '256 / 1024' });
+    assert.match(rows.find((r) => r.label === 'Top Types').value, /^TCPSocketWrap ×30, Timeout ×10/);
+  });
+  it('cpu details add quota share, load average and per-core usage when reported', function () {
+    const appCpu = SECTIONS.find((s) => s.id === 'app-cpu');
+    const sysCpu = SECTIONS.find((s) => s.id === 'sys-cpu');
+    assert.strictEqual(appCpu.detail(sample).length, 1);
+    assert.strictEqual(sysCpu.detail(sample).length, 3);
+    const withCpu = {
+      nodeRed: { ...sample.nodeRed, cpuQuotaPercent: 25 },
+      system: { ...sample.system, cpu: { ...sample.system.cpu, perCore: [99.6, 3, 0.4], loadAvg: [3.5, 2.25, 1] } },
+    };
+    assert.deepStrictEqual(appCpu.detail(withCpu)[1], { label: 'Of Container Quota', value: '25.0%' });
+    assert.deepStrictEqual(sysCpu.detail(withCpu).slice(3), [
+      { label: 'Load Avg', value: '3.50 / 2.25 / 1.00' },
+      { label: 'Per Core', value: '100% 3% 0%' },
+    ]);
+  });
+  it('disk rows show per-path usage, inodes and the userDir breakdown', function () {
+    const withDisks = {
+      ...sample,
+      system: {
+        ...sample.system,
+        disk: { ...sample.system.disk, path: '/data', mount: '/data' },
+        disks: [
+          { path: '/data', mount: '/data', total: 2048, used: 1024, free: 1024, usedPercent: 50, inodesTotal: 100, inodesUsed: 25, inodesPercent: 25 },
+          { path: '/var/log', mount: '/', total: 4096, used: 1024, free: 3072, usedPercent: 25, inodesTotal: null },
+        ],
+        userDir: { path: '/data', flows: 1024, context: 2048, perf_db: 0, node_modules: 0, other: 0, total: 3072, truncated: false },
+      },
+    };
+    const primary = SECTIONS.find((s) => s.id === 'sys-disk').detail(withDisks);
+    assert.deepStrictEqual(primary.find((r) => r.label === 'Mount'), { label: 'Mount', value: '/data' });
+    assert.deepStrictEqual(primary.find((r) => r.label === 'Inodes'), { label: 'Inodes', value: '25 / 100 (25.0%)' });
+    assert.deepStrictEqual(primary.find((r) => r.label === 'Context'), { label: 'Context', value: '2 KB' });
+
+    const logs = diskSection('/var/log');
+    assert.strictEqual(logs.percent(withDisks), 25);
+    const rows = logs.detail(withDisks);
+    assert.ok(!rows.some((r) => r.label === 'Inodes' || r.label === 'Flows'), 'no inodes or userDir rows for this path');
+    assert.strictEqual(diskSection('/gone').value(withDisks), 'N/A');
+  });
   it('sections.js does not reference Node-only globals like process at runtime', function () {
     const src = fs.readFileSync(require.resolve('../src/editor/sidebar/sections.js'), 'utf8');
     assert.ok(!src.includes('process.'), 'sections.js must not reference process. (Node-only global)');
@@ -0,0 +1,46 @@
+'use strict';
+const assert = require('assert');
+const { PassThrough } = require('stream');
+const { streamExport, csvLine, ndjsonLine } = require('../lib/export');
+
+function collect(stream) {
+    const chunks = [];
+    stream.on('data', c => chunks.push(c));
+    return () => Buffer.concat(chunks).toString('utf8');
+}
+
+describe('export', function () {
+    it('quotes CSV values that need it and leaves nulls empty', function () {
+        assert.strictEqual(csvLine([1, null, 'a,b', 'say "hi"', 'x\ny']), '1,,"a,b","say ""hi""","x\ny"\r\n');
+    });
+
+    it('emits JSON text columns as nested values in NDJSON', function () {
+        const line = ndjsonLine({ ts: 5, kind: 'deploy', detail: '{"by":"admin"}', extra: 1 }, ['ts', 'kind', 'detail']);
+        assert.deepStrictEqual(JSON.parse(line), { ts: 5, kind: 'deploy', detail: { by: 'admin' } });
+        assert.ok(line.endsWith('\n'));
+    });
+
+    it('streams a CSV header and one line per row, then ends', async function () {
+        const res = new PassThrough();
+        const text = collect(res);
+        const rows = [{ ts: 1, proc_cpu_pct: 10 }, { ts: 2, proc_cpu_pct: null }][Symbol.iterator]();
+        const count = await streamExport(res, { columns: ['ts', 'proc_cpu_pct'], rows }, 'csv');
+        assert.strictEqual(count, 2);
+        assert.strictEqual(text(), 'ts,proc_cpu_pct\r\n1,10\r\n2,\r\n');
+        assert.ok(res.writableEnded);
+    });
+
+    it('waits for drain instead of buffering, and stops when the client goes away', async function () {
+        const res = new PassThrough({ highWaterMark: 64 });
+        let pulled = 0;
+        function* rows() {
+            for (let i = 0; i < 100_000; i++) { pulled++; yield { ts: i, v: 'x'.repeat(50) }; }
+        }
+        const done = streamExport(res, { columns: ['ts', 'v'], rows: rows() }, 'ndjson');
+        await new Promise(resolve => setImmediate(resolve));
+        assert.ok(pulled < 10, `pulled ${pulled} rows with nobody reading`);
+        res.destroy();
+        const count = await done;
+        assert.ok(count < 10);
+    });
+});
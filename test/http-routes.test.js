@@ -54,4 +54,126 @@ describe('http-routes', function () {
         assert.strictEqual(body.retentionDays, 30);
         assert.strictEqual(store.retentionDays, 30);
     });
+
+    it('GET /environment reports the container environment and can force a refresh', function () {
+        const routes = {};
+        const RED = { httpAdmin: {
+            get: (p, fn) => { routes['GET ' + p] = fn; },
+            post: (p, fn) => { routes['POST ' + p] = fn; },
+            put: (p, fn) => { routes['PUT ' + p] = fn; },
+            delete: (p, fn) => { routes['DELETE ' + p] = fn; }
+        }};
+        let refreshed = 0;
+        const collector = {
+            fdLimit: 1024,
+            refreshContainer: () => { refreshed++; },
+            getContainerEnvironment: () => ({ isContainerized: true, cgroupVersion: 2, cgroupPath: '/sys/fs/cgroup', memoryLimit: 512, cpuLimit: 1 })
+        };
+        registerRoutes({ RED, store: { getRecent: () => [] }, collector });
+
+        let body;
+        routes['GET /performance-monitor/environment']({ query: {} }, { json: (b) => { body = b; } });
+        assert.strictEqual(body.container.memoryLimit, 512);
+        assert.strictEqual(body.process.fdLimit, 1024);
+        assert.ok(body.host.totalMemory > 0);
+        assert.strictEqual(refreshed, 0);
+        routes['GET /performance-monitor/environment']({ query: { refresh: '1' } }, { json: () => {} });
+        assert.strictEqual(refreshed, 1);
+    });
 });
+
+describe('http-routes permissions', function () {
+    // Router that keeps each route's middleware chain, and a needsPermission
+    // that, like Node-RED's, rejects anonymous requests and sets req.user
+    function setup(deps) {
+        const routes = {};
+        const checked = [];
+        const add = verb => (p, ...fns) => { routes[verb + ' ' + p] = fns; };
+        const RED = {
+            httpAdmin: { get: add('GET'), post: add('POST'), put: add('PUT'), delete: add('DELETE') },
+            auth: {
+                needsPermission: name => (req, res, next) => {
+                    checked.push(name);
+                    const auth = (req.headers || {}).authorization;
+                    if (!auth) return res.status(401).json({ error: 'unauthorized' });
+                    req.user = { username: auth.replace(/^Bearer /, '') };
+                    next();
+                }
+            },
+            events: { emit() {} }
+        };
+        registerRoutes({ RED, store: { getRecent: () => [] }, ...deps });
+        const call = (route, req) => {
+            const res = {
+                _status: 200, _body: null,
+                status(code) { this._status = code; return this; },
+                json(b) { this._body = b; return this; },
+                send(b) { this._body = b; return this; },
+                set() { return this; },
+                sendFile(f) { this._body = f; return this; }
+            };
+            const chain = routes[route];
+            let i = 0;
+            const next = () => { const fn = chain[i++]; if (fn) fn(req, res, next); };
+            next();
+            return res;
+        };
+        return { routes, checked, call };
+    }
+
+    it('guards the profile routes with read and write permissions', function () {
+        let captures = 0;
+        const profiler = {
+            maxCpuSeconds: 60, isBusy: () => false, list: () => [],
+            captureHeapSnapshot: () => { captures++; return { name: 'heap.heapsnapshot' }; },
+            pathFor: () => null
+        };
+        const { routes, checked, call } = setup({ profiler });
+        const expected = {
+            'GET /performance-monitor/profiles': 'performance-monitor.read',
+            'POST /performance-monitor/profiles/heap': 'performance-monitor.write',
+            'POST /performance-monitor/profiles/cpu': 'performance-monitor.write',
+            'GET /performance-monitor/profiles/:name': 'performance-monitor.read',
+            'DELETE /performance-monitor/profiles/:name': 'performance-monitor.write'
+        };
+        for (const [route, perm] of Object.entries(expected)) {
+            assert.strictEqual(routes[route].length, 2, route);
+            checked.length = 0;
+            assert.strictEqual(call(route, { headers: {}, params: {}, body: {} })._status, 401, route);
+            assert.deepStrictEqual(checked, [perm], route);
+        }
+        assert.strictEqual(captures, 0, 'nothing captured without permission');
+        assert.strictEqual(call('POST /performance-monitor/profiles/heap', { headers: { authorization: 'Bearer admin' }, body: {} })._status, 201);
+        assert.strictEqual(captures, 1);
+    });
+
+    it('records the admin user on acks and silences, and rejects anonymous ones', function () {
+        const acks = [], inserted = [], expired = [];
+        const detector = {
+            acknowledge: (key, ack) => { acks.push({ key, ...ack }); return { key, ack }; }
+        };
+        const store = {
+            getRecent: () => [],
+            insertSilence: (fields) => { inserted.push(fields); return { id: 1, ...fields }; },
+            expireSilence: (id) => { expired.push(id); return true; }
+        };
+        const { checked, call } = setup({ detector, store });
+        const alice = { authorization: 'Bearer alice' };
+
+        assert.strictEqual(call('POST /performance-monitor/alarms/:key/ack', { headers: {}, params: { key: 'rule:1' }, body: {} })._status, 401);
+        assert.strictEqual(acks.length, 0);
+
+        call('POST /performance-monitor/alarms/:key/ack', { headers: alice, params: { key: 'rule:1' }, body: { comment: 'on it' } });
+        assert.deepStrictEqual(acks, [{ key: 'rule:1', user: 'alice', comment: 'on it' }]);
+
+        const created = call('POST /performance-monitor/silences', { headers: alice, body: { pattern: 'cpu_spike', durationMinutes: 30 } });
+        assert.strictEqual(created._status, 201);
+        assert.strictEqual(inserted[0].created_by, 'alice');
+
+        assert.strictEqual(call('DELETE /performance-monitor/silences/:id', { headers: {}, params: { id: '1' } })._status, 401);
+        assert.strictEqual(call('DELETE /performance-monitor/silences/:id', { headers: alice, params: { id: '1' } })._status, 204);
+        assert.deepStrictEqual(expired, [1]);
+        assert.ok(checked.every(p => p === 'performance-monitor.write'));
+    });
+});
+
@@ -0,0 +1,39 @@
+'use strict';
+const assert = require('assert');
+const histogram = require('../lib/latency-histogram');
+
+describe('latency-histogram', function () {
+    it('observe places values in the first bucket whose bound is >= value', function () {
+        const h = histogram.createHistogram();
+        histogram.observe(h, 0.3);
+        histogram.observe(h, 1);
+        histogram.observe(h, 7);
+        histogram.observe(h, 60_000);
+        assert.strictEqual(h[0], 2);
+        assert.strictEqual(h[3], 1);
+        assert.strictEqual(h[h.length - 1], 1);
+    });
+
+    it('percentile returns null for an empty histogram', function () {
+        assert.strictEqual(histogram.percentile(histogram.createHistogram(), 0.5), null);
+    });
+
+    it('p99 surfaces a rare slow message hidden by the average', function () {
+        const h = histogram.createHistogram();
+        for (let i = 0; i < 990; i++) histogram.observe(h, 0.5);
+        for (let i = 0; i < 10; i++) histogram.observe(h, 2000);
+        const s = histogram.summarize(h);
+        assert.ok(s.p50_ms <= 1, `p50 ${s.p50_ms}`);
+        assert.ok(s.p99_ms <= 1, 'p99 sits at the rank boundary');
+        assert.ok(histogram.percentile(h, 0.995) > 1000, 'tail is visible above p99');
+    });
+
+    it('merge adds bucket counts', function () {
+        const a = histogram.createHistogram();
+        const b = histogram.createHistogram();
+        histogram.observe(a, 3);
+        histogram.observe(b, 3);
+        histogram.merge(a, b);
+        assert.strictEqual(a[2], 2);
+    });
+});
@@ -1,4 +1,5 @@
 const assert = require('assert');
+const sinon = require('sinon');
 const MetricsCollector = require('../lib/metrics-collector');
 
 function makeRED() {
@@ -20,6 +21,144 @@ describe('MetricsCollector.sampleSystem', function () {
         assert.ok(typeof s.ts === 'number' && s.ts > 0);
         c.stop();
     });
+
+    it('reports V8 heap spaces and the heap size limit', function () {
+        const c = new MetricsCollector({ RED: makeRED() });
+        const s = c.sampleSystem();
+        assert.ok(s.heap_size_limit > 0);
+        assert.ok(s.heap_old_space > 0 && s.heap_new_space >= 0 && s.heap_large_object_space >= 0);
+        assert.ok(s.heap_old_space < s.heap_size_limit);
+        c.stop();
+    });
+});
+
+describe('MetricsCollector system CPU', function () {
+    const os = require('os');
+    const realCpus = os.cpus;
+    const core = (busy, idle) => ({ model: 'x', speed: 1, times: { user: busy, nice: 0, sys: 0, idle, irq: 0 } });
+
+    afterEach(function () { os.cpus = realCpus; });
+
+    it('measures utilisation between samples, not since boot', function () {
+        // A week of mostly idle uptime on both cores
+        os.cpus = () => [core(1000, 9000), core(1000, 9000)];
+        const c = new MetricsCollector({ RED: makeRED() });
+        // Since then core 0 was pegged and core 1 idle
+        os.cpus = () => [core(1100, 9000), core(1000, 9100)];
+        c._sysCpuBaseTs -= 1000;
+        const s = c.sampleSystem();
+        assert.strictEqual(s.sys_cpu_pct, 50);
+        assert.deepStrictEqual(s.sys_cpu_cores, [100, 0]);
+        assert.strictEqual(s.sys_cpu_max_core_pct, 100);
+        assert.ok(['load_avg_1', 'load_avg_5', 'load_avg_15'].every(k => typeof s[k] === 'number'));
+
+        // A second call inside the minimum window reuses the measurement
+        os.cpus = () => [core(1100, 9001), core(1000, 9101)];
+        assert.strictEqual(c.sampleSystem().sys_cpu_pct, 50);
+        c.stop();
+    });
+
+    it('reports process CPU against the container quota when limited', function () {
+        const c = new MetricsCollector({ RED: makeRED() });
+        c._container = { ...c._container, cpuLimit: null };
+        assert.strictEqual(c.sampleSystem().proc_cpu_quota_pct, null);
+        c._container = { ...c._container, cpuLimit: 0.5 };
+        const s = c.sampleSystem();
+        assert.strictEqual(s.proc_cpu_quota_pct, s.proc_cpu_pct / 0.5);
+        c.stop();
+    });
+});
+
+describe('MetricsCollector.activeResources', function () {
+    it('counts sockets, servers and timers by type and lands them in the sample', function (done) {
+        const net = require('net');
+        const c = new MetricsCollector({ RED: makeRED() });
+        const before = c.activeResources();
+        const server = net.createServer(s => s.on('error', () => {}));
+        const timer = setTimeout(() => {}, 60_000);
+        server.listen(0, '127.0.0.1', () => {
+            const sock = net.connect(server.address().port, '127.0.0.1', () => {
+                const r = c.activeResources();
+                assert.ok(r.res_servers >= before.res_servers + 1);
+                assert.ok(r.res_sockets >= before.res_sockets + 1);
+                assert.ok(r.res_timers >= before.res_timers + 1);
+                assert.ok(r.byType.TCPServerWrap >= 1);
+                assert.ok(r.res_handles >= r.res_sockets + r.res_servers + r.res_timers);
+                if (process.platform === 'linux') assert.ok(r.open_fds > 0);
+
+                const s = c.sampleSystem();
+                assert.ok(s.res_sockets >= 1 && !('byType' in s));
+                clearTimeout(timer);
+                sock.destroy();
+                server.close(() => { c.stop(); done(); });
+            });
+        });
+    });
+});
+
+describe('MetricsCollector.drainLoopDelay', function () {
+    it('catches a short synchronous block the drift probe misses', async function () {
+        const c = new MetricsCollector({ RED: makeRED() });
+        c.drainLoopDelay();
+        await new Promise(r => setTimeout(r, 30));
+        const until = Date.now() + 150;
+        while (Date.now() < until) { /* block the loop */ }
+        await new Promise(r => setTimeout(r, 30));
+
+        const d = c.drainLoopDelay();
+        assert.ok(d.loop_delay_max_ms >= 100, `max ${d.loop_delay_max_ms}`);
+        assert.ok(d.loop_delay_p50_ms <= d.loop_delay_p99_ms && d.loop_delay_p99_ms <= d.loop_delay_max_ms);
+        assert.ok(d.loop_delay_min_ms <= d.loop_delay_mean_ms);
+        assert.ok(d.loop_util_pct > 50 && d.loop_util_pct <= 100, `util ${d.loop_util_pct}`);
+
+        await new Promise(r => setTimeout(r, 30));
+        assert.ok(c.drainLoopDelay().loop_delay_max_ms < 100, 'histogram resets on drain');
+        c.stop();
+    });
+});
+
+describe('MetricsCollector.drainGc', function () {
+    it('counts GC pauses by kind and resets on drain', async function () {
+        const c = new MetricsCollector({ RED: makeRED() });
+        // Churn short-lived garbage until the young generation is collected
+        let keep = 0;
+        for (let i = 0; i < 200_000; i++) keep += new Array(64).fill(i).length;
+        assert.ok(keep > 0);
+        await new Promise(r => setTimeout(r, 50));
+
+        const gc = c.drainGc();
+        assert.ok(gc.gc_count > 0, 'no GC observed');
+        assert.ok(gc.gc_pause_ms > 0);
+        const kinds = ['gc_minor', 'gc_major', 'gc_incremental', 'gc_weakcb'];
+        assert.ok(kinds.reduce((a, k) => a + gc[`${k}_count`], 0) <= gc.gc_count);
+        assert.ok(gc.gc_minor_count > 0);
+
+        const next = c.drainGc();
+        assert.strictEqual(next.gc_count, 0);
+        assert.strictEqual(next.gc_pause_ms, 0);
+        c.stop();
+    });
+});
+
+describe('MetricsCollector.getSystemTotals', function () {
+    it('sums per-interval deltas across ticks', function () {
+        const c = new MetricsCollector({ RED: makeRED() });
+        c._store = { flush() {} };
+        const gc = sinon.stub(c, 'drainGc');
+        gc.onFirstCall().returns({ gc_count: 3, gc_pause_ms: 1.5, gc_major_ms: 0 });
+        gc.onSecondCall().returns({ gc_count: 2, gc_pause_ms: 0.5, gc_major_ms: 4 });
+        sinon.stub(c._procIo, 'drain').returns({ net_rx_bytes: 100, net_tx_bytes: null });
+
+        c.tick();
+        c.tick();
+        const totals = c.getSystemTotals();
+        assert.strictEqual(totals.gc_count, 5);
+        assert.strictEqual(totals.gc_pause_ms, 2);
+        assert.strictEqual(totals.gc_major_ms, 4);
+        assert.strictEqual(totals.net_rx_bytes, 200);
+        assert.ok(!('net_tx_bytes' in totals), 'unreported columns stay absent');
+        c.stop();
+    });
 });
 
 describe('MetricsCollector per-node hooks', function () {
@@ -45,6 +184,8 @@ describe('MetricsCollector per-node hooks', function () {
     it('registers preRoute and postDeliver hooks', function () {
         assert.ok(typeof hooks.preRoute === 'function');
         assert.ok(typeof hooks.postDeliver === 'function');
+        assert.ok(typeof hooks.onReceive === 'function');
+        assert.ok(typeof hooks.onComplete === 'function');
     });
 
     it('aggregates msg count and avg process time per node', function () {
@@ -60,6 +201,8 @@ describe('MetricsCollector per-node hooks', function () {
         assert.strictEqual(snap[0].node_id, 'n1');
         assert.strictEqual(snap[0].msg_count, 1);
         assert.ok(snap[0].avg_process_ms >= 0);
+        assert.strictEqual(snap[0].latency_hist.reduce((a, v) => a + v, 0), 1);
+        assert.ok(snap[0].p99_ms >= 0);
     });
 
     it('drainNodes resets counters', function () {
@@ -71,11 +214,138 @@ describe('MetricsCollector per-node hooks', function () {
         assert.strictEqual(snap2.length, 0);
     });
 
+    it('drainNodes reports the flow tab each node lives on', function () {
+        const sendEvents = { source: { node: { id: 'n4', type: 'mqtt in', z: 'tab1' } }, msg: { _msgid: 'z' } };
+        hooks.preRoute(sendEvents);
+        hooks.postDeliver(sendEvents);
+        const snap = collector.drainNodes();
+        assert.strictEqual(snap[0].flow_id, 'tab1');
+    });
+
+    it('attributes nodes inside a subflow instance to the enclosing tab', function () {
+        const instance = { id: 'sf-inst', z: 'tab2' };
+        const node = { id: 'inner', type: 'function', z: 'sf-inst', _flow: { subflowInstance: instance, parent: {} } };
+        hooks.preRoute({ source: { node }, msg: { _msgid: 's' } });
+        hooks.postDeliver({ source: { node }, msg: { _msgid: 's' } });
+        const [row] = collector.drainNodes();
+        assert.strictEqual(row.flow_id, 'tab2');
+        assert.strictEqual(row.subflow_id, 'sf-inst');
+    });
+
+    it('times receive → done for terminal nodes that never send', function () {
+        const node = { id: 'db1', type: 'postgresql', z: 'tab1' };
+        const recv = (id) => hooks.onReceive({ msg: { _msgid: id }, destination: { id: node.id, node } });
+        const done = (id, error) => hooks.onComplete({ msg: { _msgid: id }, node: { id: node.id, node }, error });
+        let clockNs = 1_000_000_000n;
+        const hrtime = sinon.stub(process.hrtime, 'bigint').callsFake(() => clockNs);
+        try {
+            recv('a');
+            clockNs += 4_000_000n;
+            done('a');
+            recv('b');
+            clockNs += 2_000_000n;
+            done('b', new Error('connection refused'));
+            done('never-received');
+        } finally {
+            hrtime.restore();
+        }
+
+        const [row] = collector.drainNodes();
+        assert.strictEqual(row.node_id, 'db1');
+        assert.strictEqual(row.msg_count, 0);
+        assert.strictEqual(row.in_count, 2);
+        assert.strictEqual(row.complete_error_count, 1);
+        assert.strictEqual(row.avg_complete_ms, 3);
+        assert.strictEqual(row.complete_hist.reduce((a, v) => a + v, 0), 2);
+        assert.strictEqual(row.terminal, 1);
+        assert.strictEqual(row.flow_id, 'tab1');
+        assert.strictEqual(collector.drainNodes().length, 0);
+    });
+
+    it('does not mark nodes that send as terminal', function () {
+        const node = { id: 'fn1', type: 'function' };
+        hooks.onReceive({ msg: { _msgid: 'x' }, destination: { id: node.id, node } });
+        hooks.preRoute({ source: { node }, msg: { _msgid: 'x' } });
+        hooks.postDeliver({ source: { node }, msg: { _msgid: 'x' } });
+        hooks.onComplete({ msg: { _msgid: 'x' }, node: { id: node.id, node } });
+        const [row] = collector.drainNodes();
+        assert.strictEqual(row.msg_count, 1);
+        assert.strictEqual(row.in_count, 1);
+        assert.strictEqual(row.terminal, 0);
+    });
+
+    it('getNodeTotals keeps cumulative counts across drains', function () {
+        const sendEvents = { source: { node: { id: 'n3', type: 'mqtt in' } }, msg: { _msgid: 'a' } };
+        hooks.preRoute(sendEvents);
+        hooks.postDeliver(sendEvents);
+        collector.drainNodes();
+        hooks.preRoute({ ...sendEvents, msg: { _msgid: 'b' } });
+        hooks.postDeliver({ ...sendEvents, msg: { _msgid: 'b' } });
+        collector.recordNodeError('n3', 'mqtt in');
+        collector.drainNodes();
+
+        const totals = collector.getNodeTotals();
+        assert.strictEqual(totals.length, 1);
+        assert.strictEqual(totals[0].node_id, 'n3');
+        assert.strictEqual(totals[0].msg_count, 2);
+        assert.strictEqual(totals[0].error_count, 1);
+    });
+
     it('one hook throw does not crash tick', function () {
         assert.doesNotThrow(() => hooks.postDeliver({ source: null, msg: null }));
     });
 });
 
+describe('MetricsCollector node error capture', function () {
+    it('counts node.error log entries and deduplicates them by message', function () {
+        let handler = null;
+        const RED = {
+            ...makeRED(),
+            log: { ERROR: 20, addHandler: (h) => { handler = h; }, removeHandler: (h) => { if (h === handler) handler = null; } }
+        };
+        const c = new MetricsCollector({ RED });
+        c.attachErrorListener();
+        const entry = { level: 20, id: 'db1', type: 'mysql', z: 'tab1', msg: new Error('ER_LOCK_DEADLOCK') };
+        handler.emit('log', entry);
+        handler.emit('log', { ...entry, msg: 'ER_LOCK_DEADLOCK' });
+        handler.emit('log', { ...entry, msg: 'ETIMEDOUT' });
+        handler.emit('log', { level: 30, id: 'db1', type: 'mysql', msg: 'just a warning' });
+        handler.emit('log', { level: 20, msg: 'runtime error without a node' });
+
+        const [row] = c.drainNodes();
+        assert.strictEqual(row.error_count, 3);
+        assert.strictEqual(row.flow_id, 'tab1');
+        const errors = c.drainErrors();
+        assert.deepStrictEqual(errors.map(e => [e.message, e.count]), [['ER_LOCK_DEADLOCK', 2], ['ETIMEDOUT', 1]]);
+        assert.strictEqual(errors[0].flow_id, 'tab1');
+        assert.ok(errors[0].last_seen >= errors[0].first_seen);
+        assert.strictEqual(c.drainErrors().length, 0);
+
+        c.stop();
+        assert.strictEqual(handler, null, 'handler removed on stop');
+    });
+});
+
+describe('MetricsCollector.getFlowLabels', function () {
+    it('labels tabs and subflow instances from the deployed config', function () {
+        const RED = makeRED();
+        const config = [
+            { id: 'tab1', type: 'tab', label: 'Ingest' },
+            { id: 'def1', type: 'subflow', name: 'Retry' },
+            { id: 'inst1', type: 'subflow:def1', z: 'tab1' },
+            { id: 'inst2', type: 'subflow:def1', z: 'tab1', name: 'Retry orders' }
+        ];
+        RED.nodes = { eachNode: (cb) => config.forEach(cb) };
+        const c = new MetricsCollector({ RED });
+        assert.deepStrictEqual(c.getFlowLabels(), { tab1: 'Ingest', inst1: 'Retry', inst2: 'Retry orders' });
+        c.stop();
+
+        const bare = new MetricsCollector({ RED: makeRED() });
+        assert.deepStrictEqual(bare.getFlowLabels(), {});
+        bare.stop();
+    });
+});
+
 describe('MetricsCollector lifecycle events', function () {
     it('emits deploy event on flows:started', function (done) {
         const handlers = {};
@@ -93,6 +363,32 @@ describe('MetricsCollector lifecycle events', function () {
         collector.attachLifecycleListeners();
         handlers['flows:started']({ config: {} });
     });
+
+    it('drops totals of nodes removed by a deploy on flows:started', function () {
+        const handlers = {}, hooks = {};
+        const deployed = new Set(['keep', 'gone']);
+        const RED = {
+            log: { info() {}, warn() {}, error() {} },
+            hooks: { add: (name, fn) => { hooks[name] = fn; } },
+            events: { on: (name, fn) => { handlers[name] = fn; } },
+            nodes: { getNode: id => (deployed.has(id) ? { id } : null) }
+        };
+        const collector = new MetricsCollector({ RED });
+        collector.attachHooks();
+        collector.attachLifecycleListeners();
+        for (const id of deployed) {
+            const sendEvents = { source: { node: { id, type: 'function' } }, msg: { _msgid: id } };
+            hooks.preRoute(sendEvents);
+            hooks.postDeliver(sendEvents);
+        }
+        collector.drainNodes();
+        assert.strictEqual(collector.getNodeTotals().length, 2);
+
+        deployed.delete('gone');
+        handlers['flows:started']({ config: {} });
+        assert.deepStrictEqual(collector.getNodeTotals().map(t => t.node_id), ['keep']);
+        collector.stop();
+    });
 });
 
 describe('MetricsCollector.emitAlarm', function () {
@@ -107,3 +403,29 @@ describe('MetricsCollector.emitAlarm', function () {
         collector.emitAlarm(payload);
     });
 });
+
+describe('MetricsCollector container refresh', function () {
+    it('records a container-limits-changed event when a limit changes', function () {
+        const c = new MetricsCollector({ RED: makeRED(), containerRefreshMs: 60_000 });
+        const events = [];
+        c.on('event', e => events.push(e));
+        const current = c.getContainerEnvironment();
+
+        c.refreshContainer(1000);
+        assert.strictEqual(events.length, 0, 'unchanged limits record nothing');
+
+        c._container = { ...c._container, memoryLimit: 123 };
+        c.refreshContainer(2000);
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(events[0].kind, 'container-limits-changed');
+        assert.strictEqual(events[0].ts, 2000);
+        assert.deepStrictEqual(events[0].detail.changed, ['memoryLimit']);
+        assert.strictEqual(events[0].detail.previous.memoryLimit, 123);
+        assert.strictEqual(events[0].detail.current.memoryLimit, current.memoryLimit);
+
+        const env = c.getContainerEnvironment();
+        assert.strictEqual(env.checkedAt, 2000);
+        assert.strictEqual(env.refreshIntervalMs, 60_000);
+        c.stop();
+    });
+});
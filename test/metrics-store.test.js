@@ -48,6 +48,112 @@ describe('MetricsStore', function () {
         assert.strictEqual(recent[0].proc_cpu_pct, 12.5);
     });
 
+    it('stores heap space and GC columns and averages them in bucketed ranges', function () {
+        const ts = Math.floor(Date.now() / 3_600_000) * 3_600_000 - 60_000;     // both rows in one hour bucket
+        const gc = (pause, major) => ({
+            gc_count: 4, gc_pause_ms: pause, gc_minor_count: 4 - major, gc_minor_ms: pause / 2,
+            gc_major_count: major, gc_major_ms: pause / 2, gc_incremental_count: 0, gc_incremental_ms: 0,
+            gc_weakcb_count: 0, gc_weakcb_ms: 0,
+            heap_new_space: 1000, heap_old_space: 5000, heap_large_object_space: 0, heap_size_limit: 90000
+        });
+        store.flush({ system: { ...baseSystem(ts - 1000), ...gc(2, 0) }, nodes: [] });
+        store.flush({ system: { ...baseSystem(ts), ...gc(6, 1) }, nodes: [] });
+
+        const [latest] = store.getRecent(1);
+        assert.strictEqual(latest.gc_pause_ms, 6);
+        assert.strictEqual(latest.gc_major_count, 1);
+        assert.strictEqual(latest.heap_size_limit, 90000);
+        const [bucket] = store.getRange(ts - 1000, ts, { bucketMs: 60_000 * 60 });
+        assert.strictEqual(bucket.gc_pause_ms, 4);
+        assert.strictEqual(bucket.heap_old_space, 5000);
+    });
+
+    it('stores event loop delay and utilization', function () {
+        const ts = Date.now();
+        store.flush({
+            system: { ...baseSystem(ts), loop_delay_min_ms: 10, loop_delay_mean_ms: 12, loop_delay_p50_ms: 10.1, loop_delay_p99_ms: 300, loop_delay_max_ms: 310, loop_util_pct: 64 },
+            nodes: []
+        });
+        store.flush({ system: baseSystem(ts + 1000), nodes: [] });
+        const [latest, prev] = store.getRecent(2);
+        assert.strictEqual(latest.loop_delay_max_ms, null, 'missing fields are stored as NULL');
+        assert.strictEqual(prev.loop_delay_p99_ms, 300);
+        assert.strictEqual(prev.loop_util_pct, 64);
+    });
+
+    it('stores per-core CPU as JSON alongside load averages', function () {
+        const ts = Date.now();
+        store.flush({
+            system: { ...baseSystem(ts), sys_cpu_cores: [97.5, 2], sys_cpu_max_core_pct: 97.5, load_avg_1: 1.5, load_avg_5: 1, load_avg_15: 0.5, proc_cpu_quota_pct: 80 },
+            nodes: []
+        });
+        const [row] = store.getRecent(1);
+        assert.deepStrictEqual(JSON.parse(row.sys_cpu_cores), [97.5, 2]);
+        assert.strictEqual(row.load_avg_1, 1.5);
+        assert.strictEqual(row.proc_cpu_quota_pct, 80);
+    });
+
+    it('stores disk volume and directory rows and filters them by path and kind', function () {
+        const ts = Date.now();
+        store.flush({
+            system: baseSystem(ts),
+            disks: [
+                { ts, kind: 'volume', path: '/data', mount: '/data', total: 1000, used: 950, avail: 50, inodes_total: 100, inodes_used: 10 },
+                { ts, kind: 'volume', path: '/', mount: '/', total: 1000, used: 400, avail: 600 },
+                { ts, kind: 'dir', path: '/data', label: 'context', size: 300 }
+            ]
+        });
+        assert.strictEqual(store.getDiskSamples(ts - 1, ts + 1).length, 3);
+        const [vol] = store.getDiskSamples(ts - 1, ts + 1, { path: '/data', kind: 'volume' });
+        assert.strictEqual(vol.used, 950);
+        assert.strictEqual(vol.inodes_used, 10);
+        assert.strictEqual(vol.size, null);
+        const [dir] = store.getDiskSamples(ts - 1, ts + 1, { kind: 'dir' });
+        assert.strictEqual(dir.label, 'context');
+        assert.strictEqual(dir.size, 300);
+    });
+
+    it('stores network and disk I/O deltas', function () {
+        const ts = Date.now();
+        store.flush({
+            system: { ...baseSystem(ts), net_rx_bytes: 10000, net_tx_bytes: 2500, net_rx_errors: 3, disk_write_bytes: 65536, disk_busy_pct: 12.5 },
+            nodes: []
+        });
+        const [row] = store.getRecent(1);
+        assert.strictEqual(row.net_rx_bytes, 10000);
+        assert.strictEqual(row.net_rx_errors, 3);
+        assert.strictEqual(row.disk_busy_pct, 12.5);
+        assert.strictEqual(row.disk_read_bytes, null);
+    });
+
+    it('stores cgroup throttling, memory and pressure stats', function () {
+        const ts = Date.now();
+        store.flush({
+            system: { ...baseSystem(ts), cg_cpu_throttled_pct: 40, cg_mem_working_set: 750e6, cg_mem_pct: 75, cg_oom_kills: 1, psi_mem_full: 1.1 },
+            nodes: []
+        });
+        const [row] = store.getRecent(1);
+        assert.strictEqual(row.cg_cpu_throttled_pct, 40);
+        assert.strictEqual(row.cg_mem_working_set, 750e6);
+        assert.strictEqual(row.cg_oom_kills, 1);
+        assert.strictEqual(row.psi_mem_full, 1.1);
+        assert.strictEqual(row.psi_io_some, null);
+    });
+
+    it('stores active resource counts and keeps the peak in bucketed ranges', function () {
+        const ts = Math.floor(Date.now() / 3_600_000) * 3_600_000 - 60_000;
+        const res = (sockets, fds) => ({
+            res_handles: sockets + 5, res_requests: 0, res_sockets: sockets, res_servers: 1, res_timers: 4,
+            res_fs_watchers: 0, res_child_processes: 0, open_fds: fds
+        });
+        store.flush({ system: { ...baseSystem(ts - 1000), ...res(10, 40) }, nodes: [] });
+        store.flush({ system: { ...baseSystem(ts), ...res(25, 55) }, nodes: [] });
+        assert.strictEqual(store.getRecent(1)[0].res_timers, 4);
+        const [bucket] = store.getRange(ts - 1000, ts, { bucketMs: 3_600_000 });
+        assert.strictEqual(bucket.res_sockets, 25);
+        assert.strictEqual(bucket.open_fds, 55);
+    });
+
     it('flushes per-node samples and skips zero-activity rows', function () {
         const ts = Date.now();
         store.flush({
@@ -150,6 +256,52 @@ describe('MetricsStore', function () {
             assert.ok(!rules.some(r => r.id === rule.id));
         });
     });
+
+    describe('silences', function () {
+        it('lists unexpired silences and ends them on request', function () {
+            const now = Date.now();
+            const live = store.insertSilence({ created_by: 'alice', starts_at: now, ends_at: now + 60_000, pattern: 'loop_block', comment: 'maintenance' });
+            store.insertSilence({ starts_at: now - 120_000, ends_at: now - 60_000, severity: 'medium' });
+            assert.strictEqual(live.created_by, 'alice');
+            assert.deepStrictEqual(store.getSilences().map(s => s.id), [live.id]);
+            assert.strictEqual(store.getSilences({ includeExpired: true }).length, 2);
+
+            assert.strictEqual(store.expireSilence(live.id), true);
+            assert.strictEqual(store.expireSilence(live.id), false, 'already ended');
+            assert.deepStrictEqual(store.getSilences(), []);
+        });
+    });
+
+    describe('traces', function () {
+        it('stores traces and filters slow ones', function () {
+            const now = Date.now();
+            const hops = [{ from: 'in1', to: 'fn1', sent_ms: 0, received_ms: 1, completed_ms: 700 }];
+            store.insertTrace({ trace_id: 'm1', ts: now - 1000, duration_ms: 800, origin_id: 'in1', origin_type: 'http in', hop_count: 1, status: 'complete', slowest_node: 'fn1', hops });
+            store.insertTrace({ trace_id: 'm2', ts: now - 500, duration_ms: 5, origin_id: 'in1', origin_type: 'http in', hop_count: 1, status: 'complete', hops });
+
+            assert.strictEqual(store.getTraces(now - 60_000, now).length, 2);
+            const slow = store.getTraces(now - 60_000, now, { minDurationMs: 500 });
+            assert.deepStrictEqual(slow.map(t => t.trace_id), ['m1']);
+            assert.strictEqual(slow[0].hops, undefined, 'summaries leave hops out');
+            assert.deepStrictEqual(store.getTrace(slow[0].id).hops, hops);
+            assert.strictEqual(store.getTrace(9999), null);
+        });
+    });
+
+    describe('builtin pattern overrides', function () {
+        it('merges partial updates and resets fields with null', function () {
+            store.setBuiltinPattern('cpu_spike', { threshold: 98 });
+            let row = store.setBuiltinPattern('cpu_spike', { window_s: 300, severity: 'low' });
+            assert.strictEqual(row.threshold, 98);
+            assert.strictEqual(row.window_s, 300);
+            assert.strictEqual(row.enabled, 1);
+
+            row = store.setBuiltinPattern('cpu_spike', { threshold: null, enabled: false });
+            assert.strictEqual(row.threshold, null);
+            assert.strictEqual(row.enabled, 0);
+            assert.deepStrictEqual(store.getBuiltinPatterns().map(r => r.pattern), ['cpu_spike']);
+        });
+    });
 });
 
 describe('MetricsStore read API', function () {
@@ -195,6 +347,72 @@ describe('MetricsStore read API', function () {
         assert.ok('proc_cpu_pct' in rows[0], 'bucket rows expose avg columns');
     });
 
+    it('exportRows iterates the selected columns, ts first', function () {
+        const now = Date.now();
+        const { columns, rows } = store.exportRows('samples', now - 60_000 * 20, now, { columns: ['sys_cpu_pct', 'proc_cpu_pct'] });
+        assert.deepStrictEqual(columns, ['ts', 'proc_cpu_pct', 'sys_cpu_pct']);
+        assert.strictEqual(typeof rows.next, 'function', 'an iterator, not an array');
+        const all = Array.from(rows);
+        assert.strictEqual(all.length, 10);
+        assert.deepStrictEqual(Object.keys(all[0]), columns);
+    });
+
+    it('exportRows buckets samples and node_samples', function () {
+        const now = Date.now();
+        const wide = 1e13;                  // every row in one bucket
+        const samples = store.exportRows('samples', now - 60_000 * 20, now, { bucketMs: wide });
+        assert.ok(!samples.columns.includes('sys_cpu_cores'), 'JSON text columns are dropped');
+        const [s] = Array.from(samples.rows);
+        assert.strictEqual(s.proc_cpu_pct, 45);
+        assert.strictEqual(s.proc_rss, 1009, 'RANGE_COLUMNS max columns keep the peak');
+
+        const nodes = store.exportRows('node_samples', now - 60_000 * 20, now, { bucketMs: wide, columns: ['msg_count', 'avg_process_ms', 'error_count'] });
+        assert.deepStrictEqual(nodes.columns, ['ts', 'node_id', 'msg_count', 'avg_process_ms', 'error_count']);
+        const byNode = Object.fromEntries(Array.from(nodes.rows).map(r => [r.node_id, r]));
+        assert.strictEqual(byNode.n1.msg_count, 55);
+        assert.strictEqual(byNode.n1.avg_process_ms, 1.5);
+        assert.strictEqual(byNode.n2.error_count, 4);
+    });
+
+    it('exportRows pages through large ranges without holding a read open', function () {
+        // 2500 intervals far before the fixture rows; node rows share their ts
+        for (let i = 0; i < 2500; i++) {
+            store.flush({
+                system: baseSystem(1000 + i),
+                nodes: [
+                    { node_id: 'a', node_type: 'function', msg_count: 1, avg_process_ms: 1, error_count: 0, last_error_ts: null },
+                    { node_id: 'b', node_type: 'function', msg_count: 2, avg_process_ms: 1, error_count: 0, last_error_ts: null }
+                ]
+            });
+        }
+        const raw = Array.from(store.exportRows('samples', 0, 100_000).rows);
+        assert.strictEqual(raw.length, 2500);
+        assert.ok(raw.every((r, i) => i === 0 || r.ts >= raw[i - 1].ts));
+        assert.ok(!('_rowid' in raw[0]));
+
+        const nodeRaw = Array.from(store.exportRows('node_samples', 0, 100_000).rows);
+        assert.strictEqual(nodeRaw.length, 5000, 'ties on ts are paged by rowid');
+
+        const nodes = Array.from(store.exportRows('node_samples', 0, 100_000, { bucketMs: 2, columns: ['msg_count'] }).rows);
+        assert.strictEqual(nodes.length, 2500, '1250 buckets × 2 nodes');
+        assert.strictEqual(new Set(nodes.map(r => `${r.ts}/${r.node_id}`)).size, 2500);
+        assert.strictEqual(nodes.find(r => r.node_id === 'b').msg_count, 4);
+
+        const rows = store.exportRows('samples', 0, 100_000).rows;
+        for (let i = 0; i < 1500; i++) rows.next();
+        const { busy } = store._db.prepare('PRAGMA wal_checkpoint(TRUNCATE)').get();
+        assert.strictEqual(busy, 0, 'a half-read export does not block the checkpoint');
+        assert.strictEqual(fs.statSync(dbPath + '-wal').size, 0);
+        rows.return();
+    });
+
+    it('exportRows rejects unknown tables and columns, and bucketed events', function () {
+        assert.throws(() => store.exportRows('alarm_rules', 0, 1), /unknown table/);
+        assert.throws(() => store.exportRows('samples', 0, 1, { columns: ['proc_cpu_pct; DROP TABLE samples'] }), /unknown column/);
+        assert.throws(() => store.exportRows('samples', 0, 1, { columns: ['sys_cpu_cores'], bucketMs: 1000 }), /unknown column/);
+        assert.throws(() => store.exportRows('events', 0, 1, { bucketMs: 1000 }), /cannot be bucketed/);
+    });
+
     it('getNodeStats returns only that node', function () {
         const now = Date.now();
         const rows = store.getNodeStats('n1', now - 60_000 * 20, now);
@@ -208,6 +426,91 @@ describe('MetricsStore read API', function () {
         assert.strictEqual(top[0].node_id, 'n1');
     });
 
+    it('getNodeLatency merges per-interval histograms into p50/p90/p99', function () {
+        const ts = Date.now() - 5000;
+        const hist = new Array(14).fill(0);
+        hist[0] = 98; hist[10] = 2;                  // 98 fast (<=1ms), 2 slow (1-2.5s)
+        store.flush({
+            system: baseSystem(ts),
+            nodes: [{ node_id: 'slow', node_type: 'function', msg_count: 100, avg_process_ms: 50, error_count: 0, last_error_ts: null, latency_hist: hist }]
+        });
+        const now = Date.now();
+        const rows = store.getNodeLatency(now - 60_000 * 20, now, { sort: 'p99_ms' });
+        assert.strictEqual(rows[0].node_id, 'slow');
+        assert.ok(rows[0].p50_ms <= 1);
+        assert.ok(rows[0].p99_ms > 1000, `p99 ${rows[0].p99_ms}`);
+        const n1 = rows.find(r => r.node_id === 'n1');
+        assert.strictEqual(n1.msg_count, 55);
+        assert.strictEqual(n1.p99_ms, null, 'rows without histograms report null percentiles');
+    });
+
+    it('getNodeLatency reports receive → done timings and filters terminal nodes', function () {
+        const hist = new Array(14).fill(0);
+        hist[9] = 4;                                 // 500ms-1s
+        for (const ts of [Date.now() - 6000, Date.now() - 4000]) {
+            store.flush({
+                system: baseSystem(ts),
+                nodes: [{
+                    node_id: 'db', node_type: 'mysql', msg_count: 0, avg_process_ms: 0, error_count: 0, last_error_ts: null,
+                    in_count: 4, avg_complete_ms: 700, complete_hist: hist, complete_error_count: 1, terminal: 1
+                }]
+            });
+        }
+        const now = Date.now();
+        const rows = store.getNodeLatency(now - 60_000 * 20, now, { sort: 'complete_p99_ms', terminal: true });
+        assert.deepStrictEqual(rows.map(r => r.node_id), ['db']);
+        assert.strictEqual(rows[0].in_count, 8);
+        assert.strictEqual(rows[0].avg_complete_ms, 700);
+        assert.strictEqual(rows[0].complete_error_count, 2);
+        assert.ok(rows[0].complete_p99_ms > 500 && rows[0].complete_p99_ms <= 1000);
+        const all = store.getNodeLatency(now - 60_000 * 20, now, { sort: 'msg_count' });
+        assert.strictEqual(all.find(r => r.node_id === 'n1').terminal, 0);
+        assert.strictEqual(all.find(r => r.node_id === 'n1').complete_p99_ms, null);
+    });
+
+    it('merges repeated node errors and ranks failing nodes', function () {
+        const ts = Date.now() - 3000;
+        const err = (node_id, message, at, count = 1) => ({ node_id, node_type: 'mysql', flow_id: 'tab1', message, first_seen: at, last_seen: at, count });
+        store.flush({ system: baseSystem(ts), errors: [err('db', 'ER_LOCK_DEADLOCK', ts, 3), err('mq', 'not connected', ts)] });
+        store.flush({ system: baseSystem(ts + 1000), errors: [err('db', 'ER_LOCK_DEADLOCK', ts + 1000, 2), err('db', 'ETIMEDOUT', ts + 1000)] });
+
+        const now = Date.now();
+        const records = store.getNodeErrors(now - 60_000, now, { nodeId: 'db' });
+        const deadlock = records.find(r => r.message === 'ER_LOCK_DEADLOCK');
+        assert.strictEqual(records.length, 2);
+        assert.strictEqual(deadlock.count, 5);
+        assert.strictEqual(deadlock.first_seen, ts);
+        assert.strictEqual(deadlock.last_seen, ts + 1000);
+
+        const failing = store.getFailingNodes(now - 60_000, now);
+        assert.deepStrictEqual(failing.map(f => f.node_id), ['db', 'mq']);
+        assert.strictEqual(failing[0].error_count, 6);
+        assert.strictEqual(failing[0].distinct_errors, 2);
+        assert.ok(['ER_LOCK_DEADLOCK', 'ETIMEDOUT'].includes(failing[0].last_message));
+    });
+
+    it('getFlowStats rolls node rows up per tab', function () {
+        const ts = Date.now() - 5000;
+        store.flush({
+            system: baseSystem(ts),
+            nodes: [
+                { node_id: 'a', node_type: 'mqtt in', flow_id: 'ingest', msg_count: 30, avg_process_ms: 1, error_count: 0 },
+                { node_id: 'b', node_type: 'function', flow_id: 'ingest', subflow_id: 'sf1', msg_count: 10, avg_process_ms: 5, error_count: 2 },
+                { node_id: 'c', node_type: 'debug', flow_id: 'ops', msg_count: 1, avg_process_ms: 0.5, error_count: 0 }
+            ]
+        });
+        const now = Date.now();
+        const flows = store.getFlowStats(now - 60_000, now);
+        assert.deepStrictEqual(flows.map(f => f.flow_id), ['ingest', 'ops'], 'rows without flow_id are skipped');
+        assert.strictEqual(flows[0].node_count, 2);
+        assert.strictEqual(flows[0].subflow_count, 1);
+        assert.strictEqual(flows[0].msg_count, 40);
+        assert.strictEqual(flows[0].avg_process_ms, 2);
+        assert.strictEqual(flows[0].error_count, 2);
+        assert.strictEqual(flows[0].msg_rate, 40 / 60);
+        assert.throws(() => store.getFlowStats(now - 60_000, now, { sort: 'node_id' }));
+    });
+
     it('getSummary returns min/max/avg/p95 for proc_cpu_pct', function () {
         const now = Date.now();
         const s = store.getSummary(60_000 * 20);
@@ -322,9 +625,11 @@ describe('MetricsStore degraded reads never throw', function () {
         assert.deepStrictEqual(store.getRange(now - 1000, now, { bucketMs: 1000 }), []);
         assert.deepStrictEqual(store.getNodeStats('n1', now - 1000, now), []);
         assert.deepStrictEqual(store.getTopNodes(now - 1000, now, { metric: 'msg_count' }), []);
+        assert.deepStrictEqual(store.getNodeLatency(now - 1000, now), []);
         assert.deepStrictEqual(store.getEvents(now - 1000, now), []);
         assert.deepStrictEqual(store.getSummary(1000), {});
         assert.deepStrictEqual(store.getAlarmRules(), []);
+        assert.deepStrictEqual(store.getSilences(), []);
     });
 
     it('runRetention is a no-op in degraded mode', function () {
@@ -11,7 +11,7 @@ describe('migrations', function () {
     it('creates schema and meta on fresh DB', function () {
         runMigrations(db);
         const tables = db.prepare("SELECT name FROM sqlite_master WHERE type='table' ORDER BY name").all().map(r => r.name).filter(t => t !== 'sqlite_sequence');
-        assert.deepStrictEqual(tables, ['alarm_rules', 'events', 'meta', 'node_samples', 'samples']);
+        assert.deepStrictEqual(tables, ['alarm_acks', 'alarm_rules', 'alarm_transitions', 'builtin_patterns', 'disk_samples', 'events', 'meta', 'node_errors', 'node_samples', 'notification_log', 'samples', 'samples_1h', 'samples_1m', 'silences', 'traces']);
         const ver = db.prepare("SELECT value FROM meta WHERE key='schema_version'").get();
         assert.strictEqual(ver.value, String(CURRENT_VERSION));
     });
@@ -42,6 +42,14 @@ describe('migrations', function () {
         assert.ok(cols.includes('error_count'));
     });
 
+    it('migration 003 adds latency histogram columns to node_samples', function () {
+        runMigrations(db);
+        const cols = db.prepare("PRAGMA table_info(node_samples)").all().map(c => c.name);
+        ['latency_hist', 'p50_ms', 'p90_ms', 'p99_ms'].forEach(col => {
+            assert.ok(cols.includes(col), `column ${col} must exist`);
+        });
+    });
+
     it('migration 002 creates alarm_rules table', function () {
         const db = new DatabaseSync(':memory:');
         runMigrations(db);
@@ -57,4 +65,19 @@ describe('migrations', function () {
             assert.ok(cols.includes(col), `column ${col} must exist`);
         });
     });
+
+    it('migration 010 adds flow_id and subflow_id to node_samples', function () {
+        runMigrations(db);
+        const cols = db.prepare("PRAGMA table_info(node_samples)").all().map(c => c.name);
+        assert.ok(cols.includes('flow_id'));
+        assert.ok(cols.includes('subflow_id'));
+    });
+
+    it('migration 008 adds scope and operator to alarm_rules', function () {
+        runMigrations(db);
+        const cols = db.prepare("PRAGMA table_info(alarm_rules)").all();
+        assert.ok(cols.some(c => c.name === 'scope_type'));
+        assert.ok(cols.some(c => c.name === 'scope_value'));
+        assert.strictEqual(cols.find(c => c.name === 'operator').dflt_value, "'gt'");
+    });
 });
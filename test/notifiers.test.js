@@ -0,0 +1,193 @@
+'use strict';
+const assert = require('assert');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { NotifierManager } = require('../lib/notifiers');
+const { buildMessage, sendMail } = require('../lib/notifiers/smtp');
+const MetricsStore = require('../lib/metrics-store');
+
+function makeAlert(overrides = {}) {
+    return {
+        ts: Date.now(), kind: 'anomaly', pattern: 'loop_block', metric: 'event_loop_lag',
+        value: 812, threshold: 500, mode: 'fixed', durationMs: 10_000, severity: 'critical',
+        message: 'Event loop blocked 812ms for 10s (threshold: 500ms). Possible DoS.',
+        deployNearby: false,
+        ...overrides
+    };
+}
+
+// Replies with the queued status codes in order, then 200.
+function startHttpServer(statuses = []) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', c => { body += c; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body: JSON.parse(body) });
+            res.statusCode = statuses.length ? statuses.shift() : 200;
+            res.end('ok');
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` });
+    }));
+}
+
+// Just enough SMTP to accept one message over a plain connection.
+function startSmtpServer() {
+    const session = { commands: [], data: null };
+    const server = net.createServer((socket) => {
+        let buffer = '', inData = false;
+        socket.write('220 test ESMTP\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString('utf8');
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) return;
+                session.data = buffer.slice(0, end);
+                buffer = buffer.slice(end + 5);
+                inData = false;
+                socket.write('250 queued\r\n');
+            }
+            let idx;
+            while (!inData && (idx = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, idx);
+                buffer = buffer.slice(idx + 2);
+                session.commands.push(line);
+                const verb = line.split(' ')[0].toUpperCase();
+                if (verb === 'EHLO') socket.write('250-test\r\n250-AUTH PLAIN LOGIN\r\n250 8BITMIME\r\n');
+                else if (verb === 'AUTH') socket.write('235 ok\r\n');
+                else if (verb === 'DATA') { inData = true; socket.write('354 go\r\n'); }
+                else if (verb === 'QUIT') { socket.end('221 bye\r\n'); }
+                else socket.write('250 ok\r\n');
+            }
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        resolve({ server, session, port: server.address().port });
+    }));
+}
+
+describe('notifiers', function () {
+    this.timeout(5000);
+    let srv;
+
+    afterEach(function (done) {
+        if (srv) srv.server.close(() => done());
+        else done();
+        srv = null;
+    });
+
+    it('posts a Slack-compatible payload', async function () {
+        srv = await startHttpServer();
+        const mgr = new NotifierManager({ configs: [{ type: 'webhook', format: 'slack', url: srv.url }] });
+        const [entry] = await mgr.notify(makeAlert());
+        assert.strictEqual(entry.status, 'sent');
+        const body = srv.received[0].body;
+        assert.match(body.text, /^\[CRITICAL\] Node-RED loop_block: Event loop blocked/);
+        assert.ok(body.attachments[0].fields.some(f => f.title === 'Value' && f.value === '812'));
+    });
+
+    it('posts a Teams MessageCard and a generic JSON envelope', async function () {
+        srv = await startHttpServer();
+        const mgr = new NotifierManager({ configs: [
+            { type: 'webhook', format: 'teams', url: srv.url },
+            { type: 'webhook', url: srv.url, headers: { Authorization: 'Bearer t' } }
+        ] });
+        await mgr.notify(makeAlert());
+        const teams = srv.received.find(r => r.body['@type']);
+        const generic = srv.received.find(r => r.body.alert);
+        assert.strictEqual(teams.body['@type'], 'MessageCard');
+        assert.strictEqual(teams.body.themeColor, 'd32f2f');
+        assert.strictEqual(generic.body.alert.pattern, 'loop_block');
+        assert.strictEqual(generic.headers.authorization, 'Bearer t');
+    });
+
+    it('routes by severity', async function () {
+        srv = await startHttpServer();
+        const mgr = new NotifierManager({ configs: [{ type: 'webhook', url: srv.url, severities: ['critical'] }] });
+        const results = await mgr.notify(makeAlert({ severity: 'medium' }));
+        assert.deepStrictEqual(results, []);
+        assert.strictEqual(srv.received.length, 0);
+        await mgr.notify(makeAlert());
+        assert.strictEqual(srv.received.length, 1);
+    });
+
+    it('retries failed deliveries with backoff', async function () {
+        srv = await startHttpServer([500, 503]);
+        const mgr = new NotifierManager({ configs: [{ type: 'webhook', url: srv.url }], backoffMs: 5 });
+        const [entry] = await mgr.notify(makeAlert());
+        assert.strictEqual(entry.status, 'sent');
+        assert.strictEqual(entry.attempts, 3);
+        assert.strictEqual(srv.received.length, 3);
+    });
+
+    it('records exhausted retries in the delivery log', async function () {
+        srv = await startHttpServer([500, 500, 500]);
+        const dbPath = path.join(os.tmpdir(), `pm-notify-${Date.now()}-${Math.random().toString(36).slice(2)}.db`);
+        const store = new MetricsStore({ dbPath });
+        store.open();
+        try {
+            const mgr = new NotifierManager({ configs: [{ type: 'webhook', name: 'ops', url: srv.url, retries: 2 }], store, backoffMs: 5 });
+            await mgr.notify(makeAlert());
+            const [row] = store.getNotifications();
+            assert.strictEqual(row.channel, 'ops');
+            assert.strictEqual(row.status, 'failed');
+            assert.strictEqual(row.attempts, 3);
+            assert.match(row.error, /HTTP 500/);
+        } finally {
+            store.close();
+            for (const suffix of ['', '-wal', '-shm']) {
+                if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+            }
+        }
+    });
+
+    it('skips invalid channel configs with a warning', function () {
+        const warnings = [];
+        const RED = { log: { warn: (m) => warnings.push(m) } };
+        const mgr = new NotifierManager({ RED, configs: [{ type: 'pager' }, { type: 'webhook' }, { type: 'webhook', url: 'http://x', format: 'irc' }] });
+        assert.strictEqual(mgr.channels.length, 0);
+        assert.strictEqual(warnings.length, 3);
+    });
+
+    it('sends mail over SMTP with AUTH PLAIN', async function () {
+        srv = await startSmtpServer();
+        const mgr = new NotifierManager({ configs: [{
+            type: 'smtp', host: '127.0.0.1', port: srv.port, requireTLS: false,
+            auth: { user: 'pm', pass: 'secret' },
+            from: 'monitor@example.com', to: ['oncall@example.com', 'ops@example.com']
+        }] });
+        const [entry] = await mgr.notify(makeAlert());
+        assert.strictEqual(entry.status, 'sent', entry.error);
+        const cmds = srv.session.commands;
+        assert.ok(cmds[0].startsWith('EHLO '));
+        assert.strictEqual(cmds[1], 'AUTH PLAIN ' + Buffer.from('\0pm\0secret').toString('base64'));
+        assert.ok(cmds.includes('MAIL FROM:<monitor@example.com>'));
+        assert.ok(cmds.includes('RCPT TO:<ops@example.com>'));
+        assert.match(srv.session.data, /^Subject: \[Node-RED\] CRITICAL loop_block: Event loop blocked/m);
+        assert.match(srv.session.data, /Severity:  critical/);
+    });
+
+    it('refuses to AUTH over a plain connection unless requireTLS is false', async function () {
+        srv = await startSmtpServer();
+        const mail = { host: '127.0.0.1', port: srv.port, auth: { user: 'pm', pass: 'secret' },
+            from: 'monitor@example.com', to: ['oncall@example.com'], subject: 's', text: 't' };
+        await assert.rejects(sendMail(mail), /not encrypted; refusing to send credentials/);
+        assert.ok(!srv.session.commands.some(c => c.startsWith('AUTH')), 'no credentials on the wire');
+        assert.ok(!srv.session.data);
+
+        await sendMail({ ...mail, starttls: false, requireTLS: false });
+        assert.ok(srv.session.commands.some(c => c.startsWith('AUTH PLAIN')));
+        assert.match(srv.session.data, /^Subject: s$/m);
+    });
+
+    it('dot-stuffs message bodies and encodes non-ASCII subjects', function () {
+        const msg = buildMessage({ from: 'a@b', to: ['c@d'], subject: 'Heap Δ', text: 'line\n.hidden' });
+        assert.match(msg, /\r\n\.\.hidden$/);
+        assert.match(msg, /^Subject: =\?UTF-8\?B\?/m);
+    });
+});
@@ -0,0 +1,127 @@
+'use strict';
+const assert = require('assert');
+const http = require('http');
+const EventEmitter = require('events');
+const { OtlpExporter } = require('../lib/otlp-exporter');
+
+// Stand-in OTLP/HTTP receiver: records each request by path, replies 200
+// (or the queued status for a path).
+function startReceiver(statuses = {}) {
+    const received = {};
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', c => { body += c; });
+        req.on('end', () => {
+            (received[req.url] = received[req.url] || []).push({ headers: req.headers, body: JSON.parse(body) });
+            res.statusCode = statuses[req.url] || 200;
+            res.end('{}');
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        resolve({ server, received, endpoint: `http://127.0.0.1:${server.address().port}/` });
+    }));
+}
+
+function makeCollector() {
+    const hist = new Array(14).fill(0);
+    hist[2] = 3;
+    return {
+        getLastSample: () => ({ ts: Date.now(), proc_cpu_pct: 12.5, event_loop_lag: 4, container: 0, gc_count: 2 }),
+        getSystemTotals: () => ({ gc_count: 40, gc_pause_ms: 250 }),
+        getNodeTotals: () => [{ node_id: 'n1', node_type: 'function', msg_count: 3, error_count: 1, process_ms: 9, latency_hist: hist }]
+    };
+}
+
+function attrs(list) {
+    return Object.fromEntries(list.map(a => [a.key, Object.values(a.value)[0]]));
+}
+
+describe('OtlpExporter', function () {
+    let receiver, store, tracer, exporter;
+    const RED = { log: { warn() {} } };
+
+    beforeEach(async function () {
+        receiver = await startReceiver();
+        store = new EventEmitter();
+        tracer = new EventEmitter();
+    });
+
+    afterEach(function () {
+        if (exporter) exporter.stop();
+        exporter = null;
+        receiver.server.close();
+    });
+
+    it('pushes gauges, node counters and histograms with resource attributes', async function () {
+        exporter = new OtlpExporter({ RED, store, collector: makeCollector(), endpoint: receiver.endpoint, instanceName: 'edge-7', headers: { 'x-api-key': 'k' } });
+        await exporter.flush();
+
+        const [req] = receiver.received['/v1/metrics'];
+        assert.strictEqual(req.headers['x-api-key'], 'k');
+        const rm = req.body.resourceMetrics[0];
+        const resource = attrs(rm.resource.attributes);
+        assert.strictEqual(resource['service.instance.id'], 'edge-7');
+        assert.strictEqual(typeof resource['nodered.containerized'], 'boolean');
+        assert.ok(resource['host.name']);
+
+        const metrics = Object.fromEntries(rm.scopeMetrics[0].metrics.map(m => [m.name, m]));
+        assert.strictEqual(metrics.perf_monitor_process_cpu_percent.gauge.dataPoints[0].asDouble, 12.5);
+        assert.strictEqual(metrics.perf_monitor_event_loop_lag_seconds.gauge.dataPoints[0].asDouble, 0.004);
+        assert.strictEqual(metrics.perf_monitor_gc_collections_total.sum.isMonotonic, true);
+        assert.strictEqual(metrics.perf_monitor_gc_collections_total.sum.dataPoints[0].asDouble, 40);
+        assert.strictEqual(metrics.perf_monitor_gc_pause_seconds_total.sum.dataPoints[0].asDouble, 0.25);
+        assert.ok(!('perf_monitor_gc_collections' in metrics), 'deltas are not exported as gauges');
+        const msgs = metrics.perf_monitor_node_messages_total.sum;
+        assert.strictEqual(msgs.isMonotonic, true);
+        assert.strictEqual(msgs.dataPoints[0].asDouble, 3);
+        assert.strictEqual(attrs(msgs.dataPoints[0].attributes).node_id, 'n1');
+        const hp = metrics.perf_monitor_node_process_duration_seconds.histogram.dataPoints[0];
+        assert.strictEqual(hp.count, '3');
+        assert.strictEqual(hp.bucketCounts.length, hp.explicitBounds.length + 1);
+        assert.match(hp.timeUnixNano, /^\d+$/);
+        assert.strictEqual(receiver.received['/v1/logs'], undefined, 'no events, no log push');
+    });
+
+    it('sends anomaly events as logs and traces as spans', async function () {
+        exporter = new OtlpExporter({ RED, store, collector: makeCollector(), tracer, endpoint: receiver.endpoint });
+        exporter.start();
+        const ts = Date.now();
+        store.emit('event', { ts, kind: 'anomaly', detail: { pattern: 'loop_block', severity: 'critical', message: 'Event loop blocked', value: 812 } });
+        store.emit('event', { ts, kind: 'deploy', detail: null });
+        tracer.emit('trace', {
+            trace_id: 'm1', ts, duration_ms: 800, origin_id: 'in1', origin_type: 'http in', flow_id: 'api', hop_count: 1, status: 'complete',
+            hops: [{ from: 'in1', to: 'fn1', to_type: 'function', sent_ms: 0, received_ms: 2, completed_ms: 790, wait_ms: 2, error: null }]
+        });
+        await exporter.flush();
+
+        const records = receiver.received['/v1/logs'][0].body.resourceLogs[0].scopeLogs[0].logRecords;
+        assert.strictEqual(records.length, 2);
+        assert.strictEqual(records[0].severityText, 'ERROR');
+        assert.strictEqual(records[0].body.stringValue, 'Event loop blocked');
+        assert.strictEqual(attrs(records[0].attributes).pattern, 'loop_block');
+        assert.strictEqual(records[1].severityText, 'INFO');
+
+        const spans = receiver.received['/v1/traces'][0].body.resourceSpans[0].scopeSpans[0].spans;
+        assert.strictEqual(spans.length, 2);
+        assert.strictEqual(spans[0].traceId.length, 32);
+        assert.strictEqual(spans[1].parentSpanId, spans[0].spanId);
+        assert.strictEqual(BigInt(spans[1].endTimeUnixNano) - BigInt(spans[1].startTimeUnixNano), 788_000_000n);
+
+        await exporter.flush();
+        assert.strictEqual(receiver.received['/v1/logs'].length, 1, 'queues are drained after a push');
+    });
+
+    it('logs a failed push without throwing', async function () {
+        receiver.server.close();
+        receiver = await startReceiver({ '/v1/metrics': 503 });
+        const warnings = [];
+        exporter = new OtlpExporter({ RED: { log: { warn: (m) => warnings.push(m) } }, store, collector: makeCollector(), endpoint: receiver.endpoint });
+        const results = await exporter.flush();
+        assert.strictEqual(results[0].status, 'rejected');
+        assert.match(warnings[0], /\/v1\/metrics failed: HTTP 503/);
+    });
+
+    it('requires an endpoint', function () {
+        assert.throws(() => new OtlpExporter({ RED, store, collector: makeCollector() }), /endpoint/);
+    });
+});
@@ -0,0 +1,82 @@
+'use strict';
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProcIoProbe, parseNetDev, parseSelfIo, parseDiskstats, IO_COLUMNS } = require('../lib/proc-io');
+
+const NET_DEV = (rx, tx) => `Inter-|   Receive                                                |  Transmit
+ face |bytes    packets errs drop fifo frame compressed multicast|bytes    packets errs drop fifo colls carrier compressed
+    lo: 999999   50    0    0    0     0          0         0 999999   50    0    0    0     0       0          0
+  eth0: ${rx}     670    1    0    0     0          0         0   ${tx}     583    0    0    0     0       0          0
+  eth1: 1000     10    0    0    0     0          0         0   2000     20    2    0    0     0       0          0
+`;
+const SELF_IO = (r, w) => `rchar: 3980\nwchar: 0\nsyscr: 9\nsyscw: 0\nread_bytes: ${r}\nwrite_bytes: ${w}\ncancelled_write_bytes: 0\n`;
+const DISKSTATS = (rs, ws, ioMs) => `   7       0 loop0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0 0
+ 254       0 vda 500 0 ${rs} 100 900 0 ${ws} 300 0 ${ioMs} 400 0 0 0 0 0 0
+ 254       1 vda1 400 0 1000 80 800 0 2000 250 0 90 330 0 0 0 0 0 0
+`;
+
+describe('proc-io parsers', function () {
+    it('sums non-loopback interfaces from /proc/net/dev', function () {
+        assert.deepStrictEqual(parseNetDev(NET_DEV(5000, 7000)),
+            { rxBytes: 6000, rxPackets: 680, rxErrors: 1, txBytes: 9000, txPackets: 603, txErrors: 2 });
+    });
+
+    it('reads storage bytes from /proc/self/io', function () {
+        assert.deepStrictEqual(parseSelfIo(SELF_IO(4096, 8192)), { readBytes: 4096, writeBytes: 8192 });
+    });
+
+    it('picks the device by major:minor from /proc/diskstats', function () {
+        assert.deepStrictEqual(parseDiskstats(DISKSTATS(10, 20, 30), 254, 0), { device: 'vda', readBytes: 5120, writeBytes: 10240, ioMs: 30 });
+        assert.strictEqual(parseDiskstats(DISKSTATS(10, 20, 30), 254, 1).device, 'vda1');
+        assert.strictEqual(parseDiskstats(DISKSTATS(10, 20, 30), 8, 0), null);
+    });
+});
+
+describe('ProcIoProbe', function () {
+    let dir, files;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-procio-'));
+        files = { netDev: path.join(dir, 'net_dev'), selfIo: path.join(dir, 'io'), diskstats: path.join(dir, 'diskstats') };
+        fs.writeFileSync(files.netDev, NET_DEV(5000, 7000));
+        fs.writeFileSync(files.selfIo, SELF_IO(0, 0));
+        fs.writeFileSync(files.diskstats, DISKSTATS(100, 200, 1000));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reports per-interval deltas keyed by sample column', function () {
+        const probe = new ProcIoProbe({ paths: files });
+        probe._device = { major: 254, minor: 0 };
+        probe._prev = probe._read();
+        probe._prevTs = 10_000;
+
+        fs.writeFileSync(files.netDev, NET_DEV(15000, 8000));
+        fs.writeFileSync(files.selfIo, SELF_IO(4096, 65536));
+        fs.writeFileSync(files.diskstats, DISKSTATS(108, 400, 1500));
+        const d = probe.drain(12_000);
+        assert.deepStrictEqual(Object.keys(d), IO_COLUMNS);
+        assert.strictEqual(d.net_rx_bytes, 10000);
+        assert.strictEqual(d.net_tx_bytes, 1000);
+        assert.strictEqual(d.net_rx_errors, 0);
+        assert.strictEqual(d.proc_write_bytes, 65536);
+        assert.strictEqual(d.disk_read_bytes, 8 * 512);
+        assert.strictEqual(d.disk_write_bytes, 200 * 512);
+        assert.strictEqual(d.disk_busy_pct, 25);
+        assert.strictEqual(probe.device, 'vda');
+
+        // An interface coming back with reset counters yields null, not a negative delta
+        fs.writeFileSync(files.netDev, NET_DEV(10, 10));
+        assert.strictEqual(probe.drain(14_000).net_rx_bytes, null);
+    });
+
+    it('reports nulls when /proc is unavailable', function () {
+        const missing = { netDev: path.join(dir, 'nope1'), selfIo: path.join(dir, 'nope2'), diskstats: path.join(dir, 'nope3') };
+        const d = new ProcIoProbe({ paths: missing }).drain();
+        assert.ok(IO_COLUMNS.every(c => d[c] === null));
+    });
+});
@@ -0,0 +1,79 @@
+'use strict';
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Profiler } = require('../lib/profiler');
+
+describe('Profiler', function () {
+    this.timeout(20000);
+    let dir, profiler;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-profiles-'));
+        profiler = new Profiler({ RED: { log: { warn() {} } }, dir });
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('writes a heap snapshot and lists it', function () {
+        const info = profiler.captureHeapSnapshot({ reason: 'heap_growth' });
+        assert.strictEqual(info.kind, 'heap');
+        assert.strictEqual(info.reason, 'heap_growth');
+        assert.ok(info.size > 0);
+        assert.match(info.name, /^heap-\d{8}T\d{9}Z-heap_growth\.heapsnapshot$/);
+        assert.deepStrictEqual(profiler.list().map(p => p.name), [info.name]);
+        assert.strictEqual(profiler.isBusy(), false);
+    });
+
+    it('records a CPU profile for the requested seconds', async function () {
+        const info = await profiler.captureCpuProfile(1);
+        assert.strictEqual(info.kind, 'cpu');
+        const profile = JSON.parse(fs.readFileSync(profiler.pathFor(info.name), 'utf8'));
+        assert.ok(Array.isArray(profile.nodes));
+        await assert.rejects(profiler.captureCpuProfile(0), /seconds/);
+    });
+
+    it('refuses a second capture while one is running', async function () {
+        const running = profiler.captureCpuProfile(1);
+        assert.throws(() => profiler.captureHeapSnapshot(), /already in progress/);
+        await running;
+    });
+
+    it('keeps the directory within maxFiles and maxBytes, newest first', function () {
+        profiler.maxFiles = 2;
+        const names = ['heap-20260101T000000000Z-a.heapsnapshot', 'cpu-20260102T000000000Z-b.cpuprofile', 'heap-20260103T000000000Z-c.heapsnapshot'];
+        for (const n of names) fs.writeFileSync(path.join(dir, n), 'x'.repeat(100));
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a capture');
+        assert.deepStrictEqual(profiler.enforceRetention(), [names[0]]);
+        profiler.maxBytes = 150;
+        assert.deepStrictEqual(profiler.enforceRetention(), [names[1]]);
+        assert.deepStrictEqual(profiler.list().map(p => p.name), [names[2]]);
+        assert.ok(fs.existsSync(path.join(dir, 'notes.txt')), 'other files are left alone');
+    });
+
+    it('rejects names outside the capture pattern', function () {
+        assert.strictEqual(profiler.pathFor('../performance-monitor.db'), null);
+        assert.strictEqual(profiler.remove('notes.txt'), false);
+    });
+
+    it('throttles alarm captures per alarm key', async function () {
+        const first = profiler.captureForAlarm('heap', { key: 'builtin:heap_growth', pattern: 'heap_growth' });
+        assert.ok(first);
+        assert.strictEqual((await first).reason, 'heap_growth');
+        assert.strictEqual(profiler.captureForAlarm('heap', { key: 'builtin:heap_growth', pattern: 'heap_growth' }), null);
+        assert.strictEqual(profiler.captureForAlarm('bogus', { key: 'rule:1' }), null);
+    });
+
+    it('logs, rather than throws, when an alarm heap capture cannot run', async function () {
+        const warnings = [];
+        profiler.RED = { log: { warn: m => warnings.push(m) } };
+        const alarm = profiler.captureForAlarm('heap', { key: 'builtin:heap_growth', pattern: 'heap_growth' });
+        const manual = profiler.captureCpuProfile(1);        // same tick, before the snapshot runs
+        assert.strictEqual(await alarm, null);
+        assert.match(warnings[0], /^\[perf-monitor\] heap capture for builtin:heap_growth failed: .*already in progress/);
+        await manual;
+    });
+});
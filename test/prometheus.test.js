@@ -0,0 +1,122 @@
+'use strict';
+const assert = require('assert');
+const { renderMetrics, escapeLabel, CONTENT_TYPE } = require('../lib/prometheus');
+const { registerRoutes } = require('../lib/http-routes');
+
+function makeSys(overrides = {}) {
+    return {
+        ts: Date.now(),
+        proc_cpu_pct: 12.5, proc_rss: 100e6, proc_heap_used: 50e6, proc_heap_total: 80e6,
+        event_loop_lag: 250, sys_cpu_pct: 40, sys_mem_used: 4e9, sys_mem_total: 8e9,
+        disk_used: 10e9, disk_total: 100e9, container: 0,
+        ...overrides
+    };
+}
+
+describe('prometheus exposition', function () {
+    it('renders system gauges with HELP/TYPE headers', function () {
+        const text = renderMetrics({ system: makeSys() });
+        assert.match(text, /# TYPE perf_monitor_process_cpu_percent gauge\nperf_monitor_process_cpu_percent 12\.5\n/);
+        assert.match(text, /perf_monitor_event_loop_lag_seconds 0\.25\n/);
+        assert.match(text, /perf_monitor_process_resident_memory_bytes 100000000\n/);
+        assert.ok(text.endsWith('\n'));
+    });
+
+    it('renders per-interval deltas as running-total counters', function () {
+        const text = renderMetrics({
+            system: makeSys({ gc_count: 2, net_rx_bytes: 512, cg_oom_kills: 0 }),
+            totals: { gc_count: 40, gc_pause_ms: 1250, net_rx_bytes: 1e6, cg_oom_kills: 1 }
+        });
+        assert.match(text, /# TYPE perf_monitor_gc_collections_total counter\nperf_monitor_gc_collections_total 40\n/);
+        assert.match(text, /perf_monitor_gc_pause_seconds_total 1\.25\n/);
+        assert.match(text, /# TYPE perf_monitor_network_receive_bytes_total counter\nperf_monitor_network_receive_bytes_total 1000000\n/);
+        assert.match(text, /perf_monitor_cgroup_oom_kills_total 1\n/);
+        assert.doesNotMatch(text, /perf_monitor_gc_collections /);
+        assert.doesNotMatch(text, /perf_monitor_network_transmit_bytes_total/);
+    });
+
+    it('renders per-node counters labelled by node_id and node_type', function () {
+        const text = renderMetrics({
+            system: makeSys(),
+            nodes: [{ node_id: 'abc', node_type: 'mqtt in', msg_count: 42, error_count: 3, process_ms: 1500 }]
+        });
+        assert.match(text, /# TYPE perf_monitor_node_messages_total counter/);
+        assert.match(text, /perf_monitor_node_messages_total\{node_id="abc",node_type="mqtt in"\} 42\n/);
+        assert.match(text, /perf_monitor_node_errors_total\{node_id="abc",node_type="mqtt in"\} 3\n/);
+        assert.match(text, /perf_monitor_node_process_seconds_total\{node_id="abc",node_type="mqtt in"\} 1\.5\n/);
+    });
+
+    it('renders cumulative latency histogram buckets', function () {
+        const hist = new Array(14).fill(0);
+        hist[0] = 3; hist[13] = 1;
+        const text = renderMetrics({
+            system: null,
+            nodes: [{ node_id: 'n', node_type: 'function', msg_count: 4, error_count: 0, process_ms: 20_000, latency_hist: hist }]
+        });
+        assert.match(text, /# TYPE perf_monitor_node_process_duration_seconds histogram/);
+        assert.match(text, /perf_monitor_node_process_duration_seconds_bucket\{node_id="n",node_type="function",le="0\.001"\} 3\n/);
+        assert.match(text, /perf_monitor_node_process_duration_seconds_bucket\{node_id="n",node_type="function",le="10"\} 3\n/);
+        assert.match(text, /perf_monitor_node_process_duration_seconds_bucket\{node_id="n",node_type="function",le="\+Inf"\} 4\n/);
+        assert.match(text, /perf_monitor_node_process_duration_seconds_count\{node_id="n",node_type="function"\} 4\n/);
+    });
+
+    it('escapes label values', function () {
+        assert.strictEqual(escapeLabel('a"b\\c\nd'), 'a\\"b\\\\c\\nd');
+    });
+
+    it('GET /performance-monitor/metrics serves the last sample as text', function () {
+        const routes = {};
+        const RED = { httpAdmin: {
+            get: (p, fn) => { routes['GET ' + p] = fn; },
+            post: (p, fn) => { routes['POST ' + p] = fn; },
+            put: (p, fn) => { routes['PUT ' + p] = fn; },
+            delete: (p, fn) => { routes['DELETE ' + p] = fn; }
+        }};
+        const collector = {
+            getLastSample: () => makeSys({ proc_cpu_pct: 7 }),
+            sampleSystem: () => { throw new Error('should use last sample'); },
+            getSystemTotals: () => ({ disk_write_bytes: 4096 }),
+            getNodeTotals: () => [{ node_id: 'n1', node_type: 'function', msg_count: 5, error_count: 0, process_ms: 10 }]
+        };
+        registerRoutes({ RED, store: { retentionDays: 7, maxDbSizeMB: 500 }, collector });
+
+        const headers = {};
+        let body;
+        routes['GET /performance-monitor/metrics']({ query: {} }, {
+            set: (k, v) => { headers[k] = v; },
+            send: (b) => { body = b; }
+        });
+        assert.strictEqual(headers['Content-Type'], CONTENT_TYPE);
+        assert.match(body, /perf_monitor_process_cpu_percent 7\n/);
+        assert.match(body, /perf_monitor_disk_written_bytes_total 4096\n/);
+        assert.match(body, /perf_monitor_node_messages_total\{node_id="n1",node_type="function"\} 5\n/);
+    });
+
+    it('GET /performance-monitor/metrics answers 503 before the first tick without sampling', function () {
+        const routes = {};
+        const RED = { httpAdmin: {
+            get: (p, fn) => { routes['GET ' + p] = fn; },
+            post: (p, fn) => { routes['POST ' + p] = fn; },
+            put: (p, fn) => { routes['PUT ' + p] = fn; },
+            delete: (p, fn) => { routes['DELETE ' + p] = fn; }
+        }};
+        const collector = {
+            getLastSample: () => null,
+            sampleSystem: () => { throw new Error('must not advance the CPU baselines'); },
+            getSystemTotals: () => ({}),
+            getNodeTotals: () => []
+        };
+        registerRoutes({ RED, store: { retentionDays: 7, maxDbSizeMB: 500 }, collector });
+
+        let status, payload;
+        const res = {
+            status: (s) => { status = s; return res; },
+            json: (b) => { payload = b; },
+            set() {},
+            send: () => { throw new Error('should not render'); }
+        };
+        routes['GET /performance-monitor/metrics']({ query: {} }, res);
+        assert.strictEqual(status, 503);
+        assert.strictEqual(payload.error, 'no sample yet');
+    });
+});
@@ -33,6 +33,37 @@ const store = {
     deleteAlarmRule: (id) => {
         alarmRules = alarmRules.filter(r => r.id !== id);
     },
+    getEvents: (from, to, kinds) => [
+        { ts: 5, kind: 'retention', detail: JSON.stringify({ reason: 'maxDbSize', cutoffTs: 1 }) }
+    ].filter(e => kinds.length === 0 || kinds.includes(e.kind)),
+    getFlowStats: (from, to, { sort }) => {
+        if (sort === 'bogus') throw new Error('unknown sort: bogus');
+        return [{ flow_id: 'tab1', node_count: 3, msg_count: 12, msg_rate: 0.2 }];
+    },
+    getFailingNodes: (from, to, { n }) => [
+        { node_id: 'db1', node_type: 'mysql', flow_id: 'tab1', error_count: 42, distinct_errors: 2, last_message: 'ER_LOCK_DEADLOCK', n }
+    ],
+    getDiskSamples: (from, to, { path, kind }) => [
+        { ts: 5, kind: 'volume', path: '/data', mount: '/data', total: 100, used: 95 },
+        { ts: 5, kind: 'dir', path: '/data', label: 'context', size: 40 }
+    ].filter(r => (!path || r.path === path) && (!kind || r.kind === kind)),
+    getNodeErrors: (from, to, { nodeId }) => [{ node_id: nodeId, message: 'ER_LOCK_DEADLOCK', count: 40 }],
+    getTraces: (from, to, opts) => [{ id: 1, trace_id: 'm1', duration_ms: 800, minDurationMs: opts.minDurationMs }],
+    getTrace: (id) => (id === 1 ? { id: 1, trace_id: 'm1', hops: [] } : null),
+    builtinPatterns: [],
+    getBuiltinPatterns() { return this.builtinPatterns; },
+    setBuiltinPattern(pattern, fields) {
+        const row = { pattern, ...this.builtinPatterns.find(r => r.pattern === pattern), ...fields };
+        this.builtinPatterns = this.builtinPatterns.filter(r => r.pattern !== pattern).concat(row);
+        return row;
+    },
+    getNotifications: (limit) => [
+        { id: 1, ts: 5, channel: 'ops', type: 'webhook', pattern: 'loop_block', severity: 'critical', status: 'sent', attempts: 1, error: null }
+    ].slice(0, limit),
+    exportRows: (table) => {
+        if (table !== 'samples') throw new Error(`unknown table: ${table}`);
+        return { columns: ['ts'], rows: [][Symbol.iterator]() };
+    },
     isDegraded: () => false
 };
 
@@ -45,7 +76,32 @@ const RED = {
 // Load routes
 delete require.cache[require.resolve('../lib/http-routes')];
 const { registerRoutes } = require('../lib/http-routes');
-registerRoutes({ RED, store, collector: null });
+let silences = [];
+store.insertSilence = (fields) => {
+    const silence = { id: silences.length + 1, created_at: Date.now(), ...fields };
+    silences.push(silence);
+    return silence;
+};
+store.getSilences = () => silences;
+store.expireSilence = (id) => silences.some(s => s.id === id);
+
+const detector = {
+    getActiveAlarms: () => [{ key: 'builtin:loop_block', pattern: 'loop_block', state: 'firing', since: 1 }],
+    acknowledge: (key, { user, comment }) =>
+        key === 'builtin:loop_block' ? { key, state: 'firing', ack: { user, comment, ts: 2 } } : null
+};
+const profiler = {
+    maxCpuSeconds: 300,
+    busy: false,
+    started: [],
+    isBusy() { return this.busy; },
+    list: () => [{ name: 'heap-20261019T120000000Z-manual.heapsnapshot', kind: 'heap', size: 10 }],
+    captureHeapSnapshot: ({ reason }) => ({ name: 'heap-20261019T120001000Z-manual.heapsnapshot', kind: 'heap', reason }),
+    captureCpuProfile(seconds) { this.started.push(seconds); return Promise.resolve(null); },
+    pathFor: (name) => (name === 'heap-20261019T120000000Z-manual.heapsnapshot' ? `/tmp/${name}` : null),
+    remove: (name) => name === 'heap-20261019T120000000Z-manual.heapsnapshot'
+};
+registerRoutes({ RED, store, collector: null, detector, profiler });
 
 function makeRes() {
     return {
@@ -74,6 +130,223 @@ describe('Report routes', function () {
         handler({ }, res);
     });
 
+    it('GET /performance-monitor/events returns parsed event detail', function () {
+        const res = makeRes();
+        routes['GET /performance-monitor/events']({ query: { from: '0', to: '10', kind: 'retention' } }, res);
+        assert.strictEqual(res._body.events.length, 1);
+        assert.deepStrictEqual(res._body.events[0].detail, { reason: 'maxDbSize', cutoffTs: 1 });
+    });
+
+    it('GET /performance-monitor/events requires from and to', function () {
+        const res = makeRes();
+        routes['GET /performance-monitor/events']({ query: {} }, res);
+        assert.strictEqual(res._status, 400);
+    });
+
+    it('GET /performance-monitor/alarms/active lists detector alarms', function () {
+        const res = makeRes();
+        routes['GET /performance-monitor/alarms/active']({ query: {} }, res);
+        assert.strictEqual(res._body.alarms[0].state, 'firing');
+    });
+
+    it('POST /performance-monitor/alarms/:key/ack records the admin user', function () {
+        const res = makeRes();
+        routes['POST /performance-monitor/alarms/:key/ack']({
+            params: { key: 'builtin:loop_block' }, body: { comment: 'on it' }, user: { username: 'alice' }
+        }, res);
+        assert.deepStrictEqual(res._body.ack, { user: 'alice', comment: 'on it', ts: 2 });
+
+        const missing = makeRes();
+        routes['POST /performance-monitor/alarms/:key/ack']({ params: { key: 'rule:99' }, body: {} }, missing);
+        assert.strictEqual(missing._status, 404);
+    });
+
+    it('POST /performance-monitor/silences creates a time-boxed silence', function () {
+        silences = [];
+        const before = Date.now();
+        const res = makeRes();
+        routes['POST /performance-monitor/silences']({
+            body: { pattern: 'loop_block', durationMinutes: 30, comment: 'deploy window' }, user: { username: 'alice' }
+        }, res);
+        assert.strictEqual(res._status, 201);
+        assert.strictEqual(res._body.created_by, 'alice');
+        assert.ok(res._body.ends_at - res._body.starts_at === 30 * 60_000);
+        assert.ok(res._body.starts_at >= before);
+    });
+
+    it('POST /performance-monitor/silences validates matchers and duration', function () {
+        for (const body of [{ durationMinutes: 10 }, { pattern: 'x' }, { severity: 'urgent', durationMinutes: 5 }, { metric: 'x', endsAt: 1 }]) {
+            const res = makeRes();
+            routes['POST /performance-monitor/silences']({ body }, res);
+            assert.strictEqual(res._status, 400, JSON.stringify(body));
+        }
+    });
+
+    it('DELETE /performance-monitor/silences/:id ends a silence', function () {
+        silences = [{ id: 1 }];
+        const res = makeRes();
+        routes['DELETE /performance-monitor/silences/:id']({ params: { id: '1' } }, res);
+        assert.strictEqual(res._status, 204);
+        const missing = makeRes();
+        routes['DELETE /performance-monitor/silences/:id']({ params: { id: '5' } }, missing);
+        assert.strictEqual(missing._status, 404);
+    });
+
+    it('GET /performance-monitor/notifications returns the delivery log', function () {
+        const res = makeRes();
+        routes['GET /performance-monitor/notifications']({ query: { limit: '10' } }, res);
+        assert.strictEqual(res._body.notifications[0].channel, 'ops');
+    });
+
+    it('GET /performance-monitor/traces lists traces and reports tracing off', function () {
+        const res = makeRes();
+        routes['GET /performance-monitor/traces']({ query: { minDurationMs: '500' } }, res);
+        assert.strictEqual(res._body.enabled, false);
+        assert.strictEqual(res._body.traces[0].minDurationMs, 500);
+
+        const one = makeRes();
+        routes['GET /performance-monitor/traces/:id']({ params: { id: '1' } }, one);
+        assert.deepStrictEqual(one._body.hops, []);
+        const missing = makeRes();
+        routes['GET /performance-monitor/traces/:id']({ params: { id: '2' } }, missing);
+        assert.strictEqual(missing._status, 404);
+    });
+
+    it('GET /performance-monitor/flows returns per-tab stats', function () {
+        const res = makeRes();
+        routes['GET /performance-monitor/flows']({ query: {} }, res);
+        assert.strictEqual(res._body.flows[0].flow_id, 'tab1');
+        assert.strictEqual(res._body.flows[0].label, null, 'no collector to resolve labels');
+
+        const bad = makeRes();
+        routes['GET /performance-monitor/flows']({ query: { sort: 'bogus' } }, bad);
+        assert.strictEqual(bad._status, 400);
+    });
+
+    it('GET /performance-monitor/errors lists failing nodes and one node\'s errors', function () {
+        const res = makeRes();
+        routes['GET /performance-monitor/errors']({ query: {} }, res);
+        assert.strictEqual(res._body.nodes[0].last_message, 'ER_LOCK_DEADLOCK');
+        assert.strictEqual(res._body.nodes[0].n, 10, 'defaults to the top 10');
+
+        const one = makeRes();
+        routes['GET /performance-monitor/errors']({ query: { node: 'db1' } }, one);
+        assert.deepStrictEqual(one._body.errors.map(e => e.node_id), ['db1']);
+    });
+
+    it('GET /performance-monitor/disks filters disk history by kind and rejects unknown kinds', function () {
+        const res = makeRes();
+        routes['GET /performance-monitor/disks']({ query: { kind: 'dir' } }, res);
+        assert.deepStrictEqual(res._body.samples.map(r => r.label), ['context']);
+        assert.deepStrictEqual(res._body.paths, [], 'no collector, no monitored paths');
+
+        const bad = makeRes();
+        routes['GET /performance-monitor/disks']({ query: { kind: 'inode' } }, bad);
+        assert.strictEqual(bad._status, 400);
+    });
+
+    it('GET /performance-monitor/export validates format, bucket and table', function () {
+        for (const query of [{ format: 'parquet' }, { bucket: '-5' }, { table: 'alarm_rules' }]) {
+            const res = makeRes();
+            routes['GET /performance-monitor/export']({ query }, res);
+            assert.strictEqual(res._status, 400, JSON.stringify(query));
+        }
+    });
+
+    it('captures, lists, downloads and deletes profiles', function () {
+        const list = makeRes();
+        routes['GET /performance-monitor/profiles']({ query: {} }, list);
+        assert.strictEqual(list._body.enabled, true);
+        assert.strictEqual(list._body.profiles.length, 1);
+
+        const heap = makeRes();
+        routes['POST /performance-monitor/profiles/heap']({ body: {} }, heap);
+        assert.strictEqual(heap._status, 201);
+        assert.strictEqual(heap._body.kind, 'heap');
+
+        const cpu = makeRes();
+        routes['POST /performance-monitor/profiles/cpu']({ body: { seconds: 30 } }, cpu);
+        assert.strictEqual(cpu._status, 202);
+        assert.deepStrictEqual(profiler.started, [30]);
+        const tooLong = makeRes();
+        routes['POST /performance-monitor/profiles/cpu']({ body: { seconds: 3600 } }, tooLong);
+        assert.strictEqual(tooLong._status, 400);
+        profiler.busy = true;
+        const busy = makeRes();
+        routes['POST /performance-monitor/profiles/heap']({ body: {} }, busy);
+        assert.strictEqual(busy._status, 409);
+        profiler.busy = false;
+
+        const dl = makeRes();
+        routes['GET /performance-monitor/profiles/:name']({ params: { name: 'heap-20261019T120000000Z-manual.heapsnapshot' } }, dl);
+        assert.strictEqual(dl._file, '/tmp/heap-20261019T120000000Z-manual.heapsnapshot');
+        const missing = makeRes();
+        routes['GET /performance-monitor/profiles/:name']({ params: { name: '..%2Fsettings.js' } }, missing);
+        assert.strictEqual(missing._status, 404);
+
+        const del = makeRes();
+        routes['DELETE /performance-monitor/profiles/:name']({ params: { name: 'heap-20261019T120000000Z-manual.heapsnapshot' } }, del);
+        assert.strictEqual(del._status, 204);
+    });
+
+    it('POST /performance-monitor/alarm-rules validates capture', function () {
+        const res = makeRes();
+        routes['POST /performance-monitor/alarm-rules']({ body: { metric: 'proc_heap_used', mode: 'fixed', threshold: 1e9, duration_s: 30, capture: 'core' } }, res);
+        assert.strictEqual(res._status, 400);
+        const ok = makeRes();
+        routes['POST /performance-monitor/alarm-rules']({ body: { metric: 'proc_heap_used', mode: 'fixed', threshold: 1e9, duration_s: 30, capture: 'heap' } }, ok);
+        assert.strictEqual(ok._body.capture, 'heap');
+    });
+
+    it('GET /performance-monitor/builtin-patterns lists effective settings and defaults', function () {
+        const res = makeRes();
+        routes['GET /performance-monitor/builtin-patterns']({}, res);
+        const cpu = res._body.patterns.find(p => p.pattern === 'cpu_spike');
+        assert.strictEqual(cpu.threshold, 90);
+        assert.strictEqual(cpu.enabled, true);
+        assert.deepStrictEqual(cpu.defaults, { threshold: 90, window_s: 60, severity: 'high' });
+    });
+
+    it('PUT /performance-monitor/builtin-patterns stores overrides', function () {
+        const res = makeRes();
+        routes['PUT /performance-monitor/builtin-patterns']({
+            body: { cpu_spike: { threshold: 98, window_s: '300' }, traffic_spike: { enabled: false } }
+        }, res);
+        const byName = Object.fromEntries(res._body.patterns.map(p => [p.pattern, p]));
+        assert.strictEqual(byName.cpu_spike.threshold, 98);
+        assert.strictEqual(byName.cpu_spike.window_s, 300);
+        assert.strictEqual(byName.traffic_spike.enabled, false);
+        store.builtinPatterns = [];
+    });
+
+    it('PUT /performance-monitor/builtin-patterns rejects bad input', function () {
+        for (const body of [{}, { nope: { threshold: 1 } }, { cpu_spike: { threshold: -1 } }, { loop_block: { window_s: 0.5 } }, { heap_growth: { severity: 'urgent' } }]) {
+            const res = makeRes();
+            routes['PUT /performance-monitor/builtin-patterns']({ body }, res);
+            assert.strictEqual(res._status, 400, JSON.stringify(body));
+        }
+    });
+
+    it('PUT /performance-monitor/builtin-patterns checks thresholds against the pattern unit', function () {
+        for (const pattern of ['cpu_spike', 'traffic_drop', 'cpu_throttle', 'oom_risk']) {
+            const res = makeRes();
+            routes['PUT /performance-monitor/builtin-patterns']({ body: { [pattern]: { threshold: 150 } } }, res);
+            assert.strictEqual(res._status, 400, pattern);
+            assert.match(res._body.error, /at most 100/);
+        }
+        for (const window_s of [true, '', [30], '2.5']) {
+            const res = makeRes();
+            routes['PUT /performance-monitor/builtin-patterns']({ body: { cpu_spike: { window_s } } }, res);
+            assert.strictEqual(res._status, 400, JSON.stringify(window_s));
+        }
+        const res = makeRes();
+        routes['PUT /performance-monitor/builtin-patterns']({ body: { loop_block: { threshold: 1500 }, oom_risk: { threshold: 100 } } }, res);
+        assert.strictEqual(res._status, 200, 'ms and 100% thresholds are fine');
+        const byName = Object.fromEntries(res._body.patterns.map(p => [p.pattern, p]));
+        assert.strictEqual(byName.loop_block.threshold, 1500);
+        store.builtinPatterns = [];
+    });
+
     it('GET /performance-monitor/alarm-rules returns empty array', function () {
         const res = makeRes();
         routes['GET /performance-monitor/alarm-rules']({}, res);
@@ -98,6 +371,30 @@ describe('Report routes', function () {
         assert.strictEqual(res._status, 400);
     });
 
+    it('POST /performance-monitor/alarm-rules accepts scoped node metrics', function () {
+        const res = makeRes();
+        routes['POST /performance-monitor/alarm-rules']({
+            body: { metric: 'msg_count', mode: 'fixed', operator: 'lt', threshold: 1, duration_s: 300, scope_type: 'node', scope_value: 'mqtt1' }
+        }, res);
+        assert.strictEqual(res._status, 201);
+        assert.strictEqual(res._body.scope_value, 'mqtt1');
+        assert.strictEqual(res._body.operator, 'lt');
+    });
+
+    it('POST /performance-monitor/alarm-rules validates scope and operator', function () {
+        const bodies = [
+            { metric: 'msg_rate', mode: 'fixed', threshold: 1, duration_s: 60 },
+            { metric: 'msg_rate', mode: 'fixed', threshold: 1, duration_s: 60, scope_type: 'tab', scope_value: 'x' },
+            { metric: 'proc_cpu_pct', mode: 'fixed', threshold: 1, duration_s: 60, scope_type: 'node', scope_value: 'x' },
+            { metric: 'proc_cpu_pct', mode: 'fixed', threshold: 1, duration_s: 60, operator: 'eq' }
+        ];
+        for (const body of bodies) {
+            const res = makeRes();
+            routes['POST /performance-monitor/alarm-rules']({ body }, res);
+            assert.strictEqual(res._status, 400, JSON.stringify(body));
+        }
+    });
+
     it('PUT /performance-monitor/alarm-rules/:id updates rule', function () {
         // Insert first
         alarmRules.push({ id: 1, metric: 'proc_cpu_pct', mode: 'fixed', threshold: 80, duration_s: 30, enabled: 1 });
@@ -0,0 +1,120 @@
+'use strict';
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const MetricsStore = require('../lib/metrics-store');
+const rollups = require('../lib/rollups');
+
+function tempDbPath() {
+    return path.join(os.tmpdir(), `pm-rollup-${Date.now()}-${Math.random().toString(36).slice(2)}.db`);
+}
+
+function sys(ts, cpu) {
+    return {
+        ts, proc_cpu_pct: cpu, proc_rss: 1000 + cpu, proc_heap_used: 500, proc_heap_total: 800,
+        event_loop_lag: 1, sys_cpu_pct: cpu / 2, sys_mem_used: 2000, sys_mem_total: 8000,
+        disk_used: 100, disk_total: 1000, container: 0
+    };
+}
+
+// Run rollups until the backlog up to `now` is caught up, as the 60 s timer would.
+function catchUp(store, now) {
+    for (let run = 0; run < 1000; run++) {
+        const written = store.runRollups(now);
+        if (!written['1m'] && !written['1h']) return run;
+    }
+    throw new Error('rollups never caught up');
+}
+
+describe('rollups', function () {
+    let store, dbPath;
+    const HOUR = 3_600_000;
+    // Three complete hours of 30s samples, aligned to an hour boundary.
+    const start = Math.floor((Date.now() - 5 * HOUR) / HOUR) * HOUR;
+
+    beforeEach(function () {
+        dbPath = tempDbPath();
+        store = new MetricsStore({ dbPath, retentionDays: 1, rollupRetentionDays: { '1m': 0.1, '1h': 90 } });
+        store.open();
+        for (let ts = start; ts < start + 3 * HOUR; ts += 30_000) {
+            store.flush({ system: sys(ts, (ts - start) % HOUR < HOUR / 2 ? 10 : 30), nodes: [] });
+        }
+    });
+
+    afterEach(function () {
+        store.close();
+        for (const suffix of ['', '-wal', '-shm']) {
+            if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+        }
+    });
+
+    it('pickRollup chooses the coarsest table that divides the bucket', function () {
+        assert.strictEqual(rollups.pickRollup(10_000), null);
+        assert.strictEqual(rollups.pickRollup(60_000).name, '1m');
+        assert.strictEqual(rollups.pickRollup(600_000).name, '1m');
+        assert.strictEqual(rollups.pickRollup(HOUR).name, '1h');
+        assert.strictEqual(rollups.pickRollup(90_000), null);
+    });
+
+    it('writes min/avg/max/p95 per column for completed buckets', function () {
+        const written = store.runRollups(start + 3 * HOUR + 1);
+        assert.ok(written['1m'] > 0);
+        assert.ok(written['1h'] > 0);
+        const row = store._db.prepare("SELECT * FROM samples_1h WHERE ts = ? AND metric = 'proc_cpu_pct'").get(start);
+        assert.strictEqual(row.n, 120);
+        assert.strictEqual(row.min, 10);
+        assert.strictEqual(row.max, 30);
+        assert.strictEqual(row.avg, 20);
+        assert.strictEqual(row.p95, 30);
+    });
+
+    it('caps the buckets rolled up per run and catches up on later runs', function () {
+        const first = store.runRollups(start + 3 * HOUR);
+        const [minute, hour] = rollups.ROLLUPS;
+        assert.strictEqual(first['1m'], minute.maxBucketsPerRun * rollups.ROLLUP_COLUMNS.filter(c => c in sys(0, 0)).length);
+        assert.strictEqual(rollups.getWatermark(store._db, minute), start + minute.maxBucketsPerRun * minute.resolutionMs);
+        assert.strictEqual(rollups.getWatermark(store._db, hour), start + hour.maxBucketsPerRun * HOUR);
+
+        assert.ok(catchUp(store, start + 3 * HOUR) > 1);
+        assert.strictEqual(rollups.getWatermark(store._db, minute), start + 3 * HOUR);
+        const minutes = store._db.prepare("SELECT COUNT(*) c FROM samples_1m WHERE metric = 'proc_cpu_pct'").get().c;
+        assert.strictEqual(minutes, 180);
+    });
+
+    it('resumes from its watermark without duplicating work', function () {
+        store.runRollups(start + HOUR - 1);
+        const first = store._db.prepare('SELECT COUNT(*) c FROM samples_1h').get().c;
+        assert.strictEqual(first, 0, 'the first hour is not complete yet');
+        catchUp(store, start + 3 * HOUR);
+        const again = store.runRollups(start + 3 * HOUR);
+        assert.strictEqual(again['1h'], 0);
+        const hours = store._db.prepare("SELECT COUNT(*) c FROM samples_1h WHERE metric = 'proc_cpu_pct'").get().c;
+        assert.strictEqual(hours, 3);
+    });
+
+    it('getRange serves hourly buckets from the rollup once raw rows are gone', function () {
+        catchUp(store, start + 3 * HOUR);
+        store._db.exec('DELETE FROM samples');
+        const rows = store.getRange(start, start + 3 * HOUR - 1, { bucketMs: HOUR });
+        assert.strictEqual(rows.length, 3);
+        assert.strictEqual(rows[0].ts, start);
+        assert.strictEqual(rows[0].proc_cpu_pct, 20);
+        assert.strictEqual(rows[0].proc_rss, 1030, 'rss reports the bucket max');
+        assert.strictEqual(rows[0].proc_cpu_pct_p95, 30, 'p95 is served alongside');
+    });
+
+    it('getRange combines rollup history with the raw tail', function () {
+        catchUp(store, start + 2 * HOUR);
+        const rows = store.getRange(start, start + 3 * HOUR - 1, { bucketMs: HOUR });
+        assert.deepStrictEqual(rows.map(r => r.ts), [start, start + HOUR, start + 2 * HOUR]);
+        assert.ok(rows.every(r => r.proc_cpu_pct === 20));
+    });
+
+    it('runRetention prunes rollups by their own retention', function () {
+        catchUp(store, start + 3 * HOUR);
+        const result = store.runRetention();
+        assert.ok(result.deletedRollups['1m'] > 0, 'minute rollups older than 2.4h are gone');
+        assert.strictEqual(result.deletedRollups['1h'], 0, 'hour rollups are kept for 90 days');
+    });
+});
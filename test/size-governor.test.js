@@ -0,0 +1,127 @@
+'use strict';
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const MetricsStore = require('../lib/metrics-store');
+
+function tempDbPath() {
+    return path.join(os.tmpdir(), `pm-size-${Date.now()}-${Math.random().toString(36).slice(2)}.db`);
+}
+
+function sys(ts) {
+    return {
+        ts, proc_cpu_pct: 1, proc_rss: 1, proc_heap_used: 1, proc_heap_total: 1,
+        event_loop_lag: 0, sys_cpu_pct: 0, sys_mem_used: 0, sys_mem_total: 0,
+        disk_used: 0, disk_total: 0, container: 0
+    };
+}
+
+describe('MetricsStore size governor', function () {
+    let store, dbPath;
+
+    beforeEach(function () {
+        dbPath = tempDbPath();
+        store = new MetricsStore({ dbPath, maxDbSizeMB: 500 });
+        store.open();
+        const base = Date.now() - 3_600_000;
+        for (let i = 0; i < 3000; i++) {
+            store.flush({
+                system: sys(base + i * 1000),
+                nodes: [{ node_id: 'node-' + (i % 7), node_type: 'function', msg_count: 1, avg_process_ms: 1, error_count: 0, last_error_ts: null }]
+            });
+        }
+    });
+
+    afterEach(function () {
+        store.close();
+        for (const suffix of ['', '-wal', '-shm']) {
+            if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+        }
+    });
+
+    it('creates the database with incremental auto_vacuum', function () {
+        assert.strictEqual(store._db.prepare('PRAGMA auto_vacuum').get().auto_vacuum, 2);
+    });
+
+    it('getDbSizeBytes counts in-use pages plus WAL, not the free list', function () {
+        store._db.exec('DELETE FROM node_samples; PRAGMA wal_checkpoint(TRUNCATE);');
+        const { page_count } = store._db.prepare('PRAGMA page_count').get();
+        const { freelist_count } = store._db.prepare('PRAGMA freelist_count').get();
+        const { page_size } = store._db.prepare('PRAGMA page_size').get();
+        assert.ok(freelist_count > 0, 'the delete left free pages behind');
+        assert.strictEqual(store.getDbSizeBytes(), (page_count - freelist_count) * page_size);
+    });
+
+    it('does nothing while under budget', function () {
+        const seen = [];
+        store.on('store:pruned', e => seen.push(e));
+        assert.strictEqual(store.enforceSizeLimit(), null);
+        assert.strictEqual(seen.length, 0);
+    });
+
+    it('prunes the oldest history when over budget and records why', function () {
+        store._db.exec('PRAGMA wal_checkpoint(TRUNCATE);');
+        const before = store.getDbSizeBytes();
+        store.maxDbSizeMB = (before / 2) / (1024 * 1024);
+        const seen = [];
+        store.on('store:pruned', e => seen.push(e));
+
+        const result = store.enforceSizeLimit();
+        assert.ok(result, 'pruning happened');
+        assert.ok(result.deletedSamples > 0);
+        assert.ok(result.sizeAfter < before, `size ${result.sizeAfter} < ${before}`);
+        assert.strictEqual(seen.length, 1);
+
+        const oldest = store._db.prepare('SELECT MIN(ts) AS ts FROM samples').get().ts;
+        assert.ok(oldest > result.cutoffTs, 'everything up to the cutoff is gone');
+
+        const history = store._db.prepare('SELECT COUNT(*) c FROM samples').get().c;
+        assert.ok(history > 3000 / 3, `kept ${history} of 3000 samples`);
+
+        const events = store.getEvents(0, Date.now() + 1000, ['retention']);
+        assert.strictEqual(events.length, 1);
+        const detail = JSON.parse(events[0].detail);
+        assert.strictEqual(detail.reason, 'maxDbSize');
+        assert.strictEqual(detail.cutoffTs, result.cutoffTs);
+    });
+
+    it('shrinks the file on disk, not just the row count', function () {
+        store._db.exec('PRAGMA wal_checkpoint(TRUNCATE);');
+        const before = fs.statSync(dbPath).size;
+        store.maxDbSizeMB = (before / 2) / (1024 * 1024);
+
+        assert.ok(store.enforceSizeLimit());
+        const after = fs.statSync(dbPath).size;
+        assert.ok(after < before, `file ${after} < ${before}`);
+    });
+
+    it('converts a database created without auto_vacuum when opened', function () {
+        store.close();
+        for (const suffix of ['', '-wal', '-shm']) {
+            if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+        }
+        const { DatabaseSync } = require('node:sqlite');
+        const legacy = new DatabaseSync(dbPath);
+        legacy.exec('PRAGMA journal_mode = WAL; CREATE TABLE filler (x TEXT);');
+        assert.strictEqual(legacy.prepare('PRAGMA auto_vacuum').get().auto_vacuum, 0);
+        legacy.close();
+
+        store = new MetricsStore({ dbPath });
+        store.open();
+        assert.strictEqual(store._db.prepare('PRAGMA auto_vacuum').get().auto_vacuum, 2);
+    });
+
+    it('warns through the supplied logger when compaction fails', function () {
+        const warnings = [];
+        store.log = { warn: m => warnings.push(m) };
+        const exec = store._db.exec.bind(store._db);
+        store._db.exec = sql => {
+            if (/incremental_vacuum/.test(sql)) throw new Error('disk I/O error');
+            return exec(sql);
+        };
+        store._compact();
+        store._db.exec = exec;
+        assert.deepStrictEqual(warnings, ['[perf-monitor] incremental_vacuum failed: disk I/O error']);
+    });
+});
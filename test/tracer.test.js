@@ -0,0 +1,110 @@
+'use strict';
+const assert = require('assert');
+const { Tracer, _sampled } = require('../lib/tracer');
+
+function makeRED() {
+    const hooks = {};
+    return {
+        hooks: {
+            add: (name, fn) => { hooks[name.split('.')[0]] = fn; },
+            remove: (pattern) => { hooks.removed = pattern; }
+        },
+        log: { warn() {} },
+        _hooks: hooks
+    };
+}
+
+const nodes = {
+    httpIn:  { id: 'in1',  type: 'http in',       z: 'api' },
+    fn:      { id: 'fn1',  type: 'function',      z: 'api' },
+    resp:    { id: 'res1', type: 'http response', z: 'api' }
+};
+
+function send(h, msg, from, to) {
+    h.onSend([{ msg, source: { id: from.id, node: from }, destination: { id: to.id } }]);
+}
+function receive(h, msg, node) { h.onReceive({ msg, destination: { id: node.id, node } }); }
+function complete(h, msg, node, error) { h.onComplete({ msg, node: { id: node.id, node }, error }); }
+
+const wait = (ms) => new Promise(r => setTimeout(r, ms));
+
+describe('Tracer', function () {
+    let RED, traces, tracer;
+
+    beforeEach(function () {
+        RED = makeRED();
+        traces = [];
+        tracer = new Tracer({ RED, store: { insertTrace: (t) => traces.push(t) }, sampleRate: 1, settleMs: 0 });
+        tracer.start();
+    });
+
+    afterEach(function () { tracer.stop(); });
+
+    it('records every hop of a message path with timings', async function () {
+        const h = RED._hooks;
+        const msg = { _msgid: 'm1' };
+        send(h, msg, nodes.httpIn, nodes.fn);
+        receive(h, msg, nodes.fn);
+        send(h, msg, nodes.fn, nodes.resp);
+        complete(h, msg, nodes.fn);
+        receive(h, msg, nodes.resp);
+        complete(h, msg, nodes.resp);
+        await wait(5);
+
+        assert.strictEqual(traces.length, 1);
+        const t = traces[0];
+        assert.strictEqual(t.trace_id, 'm1');
+        assert.strictEqual(t.origin_type, 'http in');
+        assert.strictEqual(t.flow_id, 'api');
+        assert.strictEqual(t.status, 'complete');
+        assert.deepStrictEqual(t.hops.map(x => [x.from, x.to, x.to_type]), [['in1', 'fn1', 'function'], ['fn1', 'res1', 'http response']]);
+        assert.ok(t.hops.every(x => x.process_ms >= 0 && x.wait_ms >= 0));
+        assert.ok(t.duration_ms >= t.hops[1].completed_ms);
+    });
+
+    it('keeps the trace open until downstream nodes finish', async function () {
+        const h = RED._hooks;
+        const msg = { _msgid: 'm2' };
+        send(h, msg, nodes.httpIn, nodes.fn);
+        receive(h, msg, nodes.fn);
+        send(h, msg, nodes.fn, nodes.resp);
+        complete(h, msg, nodes.fn);
+        await wait(5);
+        assert.strictEqual(traces.length, 0, 'the response hop is still open');
+
+        receive(h, msg, nodes.resp);
+        complete(h, msg, nodes.resp, new Error('socket hang up'));
+        await wait(5);
+        assert.strictEqual(traces[0].status, 'error');
+        assert.strictEqual(traces[0].hops[1].error, 'socket hang up');
+    });
+
+    it('flushes stuck traces as timeouts', function () {
+        const h = RED._hooks;
+        send(h, { _msgid: 'm3' }, nodes.httpIn, nodes.fn);
+        tracer._sweep(Date.now() + 120_000);
+        assert.strictEqual(traces[0].status, 'timeout');
+        assert.strictEqual(traces[0].hops[0].received_ms, null);
+    });
+
+    it('ignores unsampled messages and removes its hooks on stop', function () {
+        tracer.sampleRate = 0;
+        send(RED._hooks, { _msgid: 'm4' }, nodes.httpIn, nodes.fn);
+        assert.strictEqual(tracer._active.size, 0);
+        tracer.stop();
+        assert.strictEqual(RED._hooks.removed, '*.perfTrace');
+    });
+});
+
+describe('Tracer sampling', function () {
+    it('is stable per _msgid and close to the configured rate', function () {
+        let hits = 0;
+        for (let i = 0; i < 20000; i++) {
+            const id = `a1b2c3d4e5f6${i.toString(16)}`;
+            const s = _sampled(id, 0.01);
+            assert.strictEqual(_sampled(id, 0.01), s);
+            if (s) hits++;
+        }
+        assert.ok(hits > 120 && hits < 280, `sampled ${hits} of 20000`);
+    });
+});